@@ -0,0 +1,519 @@
+/**
+ * Team and player alias dictionary
+ *
+ * Cappers write "Niners", "LAL", "KAT" or "Man U"; Bovada writes "San
+ * Francisco 49ers", "Los Angeles Lakers", "Karl-Anthony Towns" and
+ * "Manchester United". The bundled dataset maps the short forms to the
+ * names Bovada uses, per league, so the matcher can expand a name before
+ * scoring and the simple parser can tell which sport a pick is for.
+ *
+ * Servers can add their own aliases at runtime; those are kept per server
+ * and optionally mirrored to a JSON file. Aliases are also learned when a
+ * poster corrects a wrong link ("Seb K" -> "Sebastian Korda"); learned ones
+ * are flagged so managers can review them, and never replace a server alias
+ * or a bundled name.
+ */
+
+import { readJsonFile, createJsonWriter } from './jsonFile.js';
+
+// Canonical name (as Bovada lists it) -> aliases, grouped by league, with teams
+// and players apart so a team total isn't read as a player prop
+export const ALIAS_DATA = {
+  NFL: {
+    sport: 'football',
+    teams: {
+      'Arizona Cardinals': ['ARI', 'Cardinals', 'Cards'],
+      'Atlanta Falcons': ['ATL', 'Falcons', 'Dirty Birds'],
+      'Baltimore Ravens': ['BAL', 'Ravens'],
+      'Buffalo Bills': ['BUF', 'Bills'],
+      'Carolina Panthers': ['CAR', 'Panthers'],
+      'Chicago Bears': ['CHI', 'Bears'],
+      'Cincinnati Bengals': ['CIN', 'Bengals', 'Cincy'],
+      'Cleveland Browns': ['CLE', 'Browns'],
+      'Dallas Cowboys': ['DAL', 'Cowboys', 'Boys'],
+      'Denver Broncos': ['DEN', 'Broncos'],
+      'Detroit Lions': ['DET', 'Lions'],
+      'Green Bay Packers': ['GB', 'Packers', 'Pack'],
+      'Houston Texans': ['HOU', 'Texans'],
+      'Indianapolis Colts': ['IND', 'Colts'],
+      'Jacksonville Jaguars': ['JAX', 'Jaguars', 'Jags'],
+      'Kansas City Chiefs': ['KC', 'Chiefs'],
+      'Las Vegas Raiders': ['LV', 'LVR', 'Raiders'],
+      'Los Angeles Chargers': ['LAC', 'Chargers', 'Bolts'],
+      'Los Angeles Rams': ['LAR', 'Rams'],
+      'Miami Dolphins': ['MIA', 'Dolphins', 'Fins'],
+      'Minnesota Vikings': ['MIN', 'Vikings', 'Vikes'],
+      'New England Patriots': ['NE', 'Patriots', 'Pats'],
+      'New Orleans Saints': ['NOLA', 'Saints'],
+      'New York Giants': ['NYG', 'Giants', 'G-Men'],
+      'New York Jets': ['NYJ', 'Jets', 'Gang Green'],
+      'Philadelphia Eagles': ['PHI', 'Eagles', 'Birds'],
+      'Pittsburgh Steelers': ['PIT', 'Steelers'],
+      'San Francisco 49ers': ['SF', '49ers', 'Niners'],
+      'Seattle Seahawks': ['SEA', 'Seahawks', 'Hawks'],
+      'Tampa Bay Buccaneers': ['TB', 'Buccaneers', 'Bucs'],
+      'Tennessee Titans': ['TEN', 'Titans'],
+      'Washington Commanders': ['WAS', 'WSH', 'Commanders'],
+    },
+    players: {
+      'Patrick Mahomes': ['Mahomes'],
+      'Christian McCaffrey': ['CMC'],
+    },
+  },
+  NBA: {
+    sport: 'basketball',
+    teams: {
+      'Atlanta Hawks': ['ATL', 'Hawks'],
+      'Boston Celtics': ['BOS', 'Celtics', 'Celts', "C's"],
+      'Brooklyn Nets': ['BKN', 'BRK', 'Nets'],
+      'Charlotte Hornets': ['CHA', 'Hornets'],
+      'Chicago Bulls': ['CHI', 'Bulls'],
+      'Cleveland Cavaliers': ['CLE', 'Cavaliers', 'Cavs'],
+      'Dallas Mavericks': ['DAL', 'Mavericks', 'Mavs'],
+      'Denver Nuggets': ['DEN', 'Nuggets', 'Nugs'],
+      'Detroit Pistons': ['DET', 'Pistons'],
+      'Golden State Warriors': ['GSW', 'GS', 'Warriors', 'Dubs'],
+      'Houston Rockets': ['HOU', 'Rockets'],
+      'Indiana Pacers': ['IND', 'Pacers'],
+      'Los Angeles Clippers': ['LAC', 'Clippers', 'Clips'],
+      'Los Angeles Lakers': ['LAL', 'Lakers', 'Lakeshow'],
+      'Memphis Grizzlies': ['MEM', 'Grizzlies', 'Grizz'],
+      'Miami Heat': ['MIA', 'Heat'],
+      'Milwaukee Bucks': ['MIL', 'Bucks'],
+      'Minnesota Timberwolves': ['MIN', 'Timberwolves', 'Wolves', 'T-Wolves'],
+      'New Orleans Pelicans': ['NOP', 'Pelicans', 'Pels'],
+      'New York Knicks': ['NYK', 'Knicks'],
+      'Oklahoma City Thunder': ['OKC', 'Thunder'],
+      'Orlando Magic': ['ORL', 'Magic'],
+      'Philadelphia 76ers': ['PHI', '76ers', 'Sixers'],
+      'Phoenix Suns': ['PHX', 'Suns'],
+      'Portland Trail Blazers': ['POR', 'Trail Blazers', 'Blazers'],
+      'Sacramento Kings': ['SAC', 'Kings'],
+      'San Antonio Spurs': ['SAS', 'Spurs'],
+      'Toronto Raptors': ['TOR', 'Raptors', 'Raps'],
+      'Utah Jazz': ['UTA', 'Jazz'],
+      'Washington Wizards': ['WAS', 'Wizards', 'Wiz'],
+    },
+    players: {
+      'LeBron James': ['LeBron', 'Bron', 'LBJ', 'King James'],
+      'Anthony Davis': ['AD'],
+      'Karl-Anthony Towns': ['KAT'],
+      'Kevin Durant': ['KD'],
+      'Stephen Curry': ['Steph', 'Chef Curry'],
+      'Giannis Antetokounmpo': ['Giannis', 'Greek Freak'],
+      'Nikola Jokic': ['Joker', 'Jokic'],
+      'Shai Gilgeous-Alexander': ['SGA', 'Shai'],
+      'Luka Doncic': ['Luka'],
+      'Victor Wembanyama': ['Wemby'],
+      'Anthony Edwards': ['Ant', 'Ant-Man'],
+    },
+  },
+  MLB: {
+    sport: 'baseball',
+    teams: {
+      'Arizona Diamondbacks': ['ARI', 'Diamondbacks', 'D-backs'],
+      'Athletics': ['ATH', 'OAK', "A's", 'Oakland Athletics'],
+      'Atlanta Braves': ['ATL', 'Braves'],
+      'Baltimore Orioles': ['BAL', 'Orioles', "O's"],
+      'Boston Red Sox': ['BOS', 'Red Sox', 'BoSox', 'Sox'],
+      'Chicago Cubs': ['CHC', 'Cubs'],
+      'Chicago White Sox': ['CWS', 'CHW', 'White Sox', 'Sox'],
+      'Cincinnati Reds': ['CIN', 'Reds'],
+      'Cleveland Guardians': ['CLE', 'Guardians', 'Guards'],
+      'Colorado Rockies': ['COL', 'Rockies'],
+      'Detroit Tigers': ['DET', 'Tigers'],
+      'Houston Astros': ['HOU', 'Astros', 'Stros'],
+      'Kansas City Royals': ['KC', 'KCR', 'Royals'],
+      'Los Angeles Angels': ['LAA', 'Angels', 'Halos'],
+      'Los Angeles Dodgers': ['LAD', 'Dodgers', 'Doyers'],
+      'Miami Marlins': ['MIA', 'Marlins', 'Fish'],
+      'Milwaukee Brewers': ['MIL', 'Brewers', 'Brew Crew'],
+      'Minnesota Twins': ['MIN', 'Twins'],
+      'New York Mets': ['NYM', 'Mets'],
+      'New York Yankees': ['NYY', 'Yankees', 'Yanks', 'Bronx Bombers'],
+      'Philadelphia Phillies': ['PHI', 'Phillies', 'Phils'],
+      'Pittsburgh Pirates': ['PIT', 'Pirates', 'Bucs'],
+      'San Diego Padres': ['SD', 'SDP', 'Padres', 'Friars'],
+      'San Francisco Giants': ['SF', 'SFG', 'Giants'],
+      'Seattle Mariners': ['SEA', 'Mariners', "M's"],
+      'St. Louis Cardinals': ['STL', 'Cardinals', 'Cards'],
+      'Tampa Bay Rays': ['TB', 'TBR', 'Rays'],
+      'Texas Rangers': ['TEX', 'Rangers'],
+      'Toronto Blue Jays': ['TOR', 'Blue Jays', 'Jays'],
+      'Washington Nationals': ['WSH', 'WAS', 'Nationals', 'Nats'],
+    },
+    players: {
+      'Shohei Ohtani': ['Ohtani', 'Shotime'],
+    },
+  },
+  NHL: {
+    sport: 'hockey',
+    teams: {
+      'Anaheim Ducks': ['ANA', 'Ducks'],
+      'Boston Bruins': ['BOS', 'Bruins', "B's"],
+      'Buffalo Sabres': ['BUF', 'Sabres'],
+      'Calgary Flames': ['CGY', 'Flames'],
+      'Carolina Hurricanes': ['CAR', 'Hurricanes', 'Canes'],
+      'Chicago Blackhawks': ['CHI', 'Blackhawks', 'Hawks'],
+      'Colorado Avalanche': ['COL', 'Avalanche', 'Avs'],
+      'Columbus Blue Jackets': ['CBJ', 'Blue Jackets', 'Jackets'],
+      'Dallas Stars': ['DAL', 'Stars'],
+      'Detroit Red Wings': ['DET', 'Red Wings', 'Wings'],
+      'Edmonton Oilers': ['EDM', 'Oilers'],
+      'Florida Panthers': ['FLA', 'Panthers', 'Cats'],
+      'Los Angeles Kings': ['LAK', 'LA Kings', 'Kings'],
+      'Minnesota Wild': ['MIN', 'Wild'],
+      'Montreal Canadiens': ['MTL', 'Canadiens', 'Habs'],
+      'Nashville Predators': ['NSH', 'Predators', 'Preds'],
+      'New Jersey Devils': ['NJD', 'NJ', 'Devils'],
+      'New York Islanders': ['NYI', 'Islanders', 'Isles'],
+      'New York Rangers': ['NYR', 'Rangers'],
+      'Ottawa Senators': ['OTT', 'Senators', 'Sens'],
+      'Philadelphia Flyers': ['PHI', 'Flyers'],
+      'Pittsburgh Penguins': ['PIT', 'Penguins', 'Pens'],
+      'San Jose Sharks': ['SJ', 'SJS', 'Sharks'],
+      'Seattle Kraken': ['SEA', 'Kraken'],
+      'St. Louis Blues': ['STL', 'Blues'],
+      'Tampa Bay Lightning': ['TB', 'TBL', 'Lightning', 'Bolts'],
+      'Toronto Maple Leafs': ['TOR', 'Maple Leafs', 'Leafs'],
+      'Utah Mammoth': ['UTA', 'Mammoth'],
+      'Vancouver Canucks': ['VAN', 'Canucks', 'Nucks'],
+      'Vegas Golden Knights': ['VGK', 'Golden Knights', 'Knights'],
+      'Washington Capitals': ['WSH', 'Capitals', 'Caps'],
+      'Winnipeg Jets': ['WPG', 'Jets'],
+    },
+  },
+  EPL: {
+    sport: 'soccer',
+    teams: {
+      'Arsenal': ['Gunners'],
+      'Aston Villa': ['Villa'],
+      'Brighton & Hove Albion': ['Brighton', 'Seagulls'],
+      'Chelsea': ['CFC', 'Blues'],
+      'Liverpool': ['LFC', 'Reds'],
+      'Manchester City': ['Man City', 'MCFC'],
+      'Manchester United': ['Man U', 'Man Utd', 'Man United', 'MUFC'],
+      'Newcastle United': ['Newcastle', 'Toon', 'Magpies'],
+      'Nottingham Forest': ['Forest', 'Nottm Forest'],
+      'Tottenham Hotspur': ['Tottenham', 'Spurs'],
+      'West Ham United': ['West Ham', 'Hammers'],
+      'Wolverhampton Wanderers': ['Wolves'],
+    },
+  },
+  'La Liga': {
+    sport: 'soccer',
+    teams: {
+      'Real Madrid': ['Madrid', 'Los Blancos'],
+      'Barcelona': ['Barca', 'FC Barcelona'],
+      'Atletico Madrid': ['Atleti', 'Atletico'],
+    },
+  },
+  'Serie A': {
+    sport: 'soccer',
+    teams: {
+      'Inter Milan': ['Inter', 'Internazionale'],
+      'AC Milan': ['Milan'],
+      'Juventus': ['Juve'],
+    },
+  },
+  Bundesliga: {
+    sport: 'soccer',
+    teams: {
+      'Bayern Munich': ['Bayern', 'FC Bayern'],
+      'Borussia Dortmund': ['Dortmund', 'BVB'],
+    },
+  },
+  'Ligue 1': {
+    sport: 'soccer',
+    teams: {
+      'Paris Saint-Germain': ['PSG'],
+    },
+  },
+  ATP: {
+    sport: 'tennis',
+    players: {
+      'Stan Wawrinka': ['Stan the Man', 'Stanimal', 'Stan'],
+      'Novak Djokovic': ['Djoker', 'Nole'],
+      'Rafael Nadal': ['Rafa'],
+      'Carlos Alcaraz': ['Carlitos'],
+      'Jannik Sinner': ['Sinner'],
+      'Daniil Medvedev': ['Meddy'],
+      'Alexander Zverev': ['Sascha'],
+      'Stefanos Tsitsipas': ['Tsitsi'],
+      'Felix Auger-Aliassime': ['FAA'],
+      'Alex de Minaur': ['Demon', 'ADM'],
+    },
+  },
+  WTA: {
+    sport: 'tennis',
+    players: {
+      'Aryna Sabalenka': ['Saba'],
+      'Iga Swiatek': ['Iga'],
+      'Coco Gauff': ['Coco'],
+      'Jessica Pegula': ['JPeg'],
+    },
+  },
+  UFC: {
+    sport: 'mma',
+    players: {
+      'Jon Jones': ['Bones'],
+      'Conor McGregor': ['Notorious', 'Conor'],
+      'Israel Adesanya': ['Izzy', 'Stylebender'],
+      'Alex Pereira': ['Poatan'],
+    },
+  },
+  PGA: {
+    sport: 'golf',
+    players: {
+      'Scottie Scheffler': ['Scheffler', 'Scottie'],
+      'Rory McIlroy': ['McIlroy', 'Rory'],
+      'Xander Schauffele': ['Schauffele', 'Xander'],
+      'Bryson DeChambeau': ['DeChambeau', 'Bryson', 'BDC'],
+      'Ludvig Aberg': ['Aberg'],
+    },
+  },
+  PDC: {
+    sport: 'darts',
+    players: {
+      'Luke Littler': ['Littler', 'The Nuke'],
+      'Luke Humphries': ['Humphries', 'Cool Hand Luke'],
+      'Michael van Gerwen': ['MVG', 'Van Gerwen'],
+    },
+  },
+};
+
+/**
+ * Normalizes a name into a dictionary key
+ * @param {string} name - Name or alias
+ * @returns {string} Lowercase key without accents or punctuation
+ */
+export function normalizeAliasKey(name) {
+  return String(name)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove accents
+    .replace(/[^a-z0-9\s]/g, '') // Remove special chars
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Creates an alias dictionary
+ * @param {Object} options - Dictionary options
+ * @param {Object} options.data - Bundled aliases (defaults to ALIAS_DATA)
+ * @param {string|null} options.filePath - JSON file backing server aliases (memory only if not set)
+ * @returns {Object} Dictionary with forServer/flush methods and the default server's lookup methods
+ */
+export function createAliasDictionary({ data = ALIAS_DATA, filePath = null } = {}) {
+  const bundled = buildIndex(data);
+  const servers = loadServerAliases(filePath);
+  const writer = createJsonWriter(filePath, () => Object.fromEntries(servers), 'aliases');
+
+  /**
+   * Builds the lookup methods for one server's view of the dictionary
+   * @param {string} serverId - Discord guild ID ('global' outside a server)
+   * @returns {Object} Server dictionary
+   */
+  const forServer = (serverId = 'global') => {
+    const custom = () => servers.get(serverId) || {};
+
+    const view = {
+      /**
+       * Finds every entry an alias or canonical name refers to
+       * @param {string} name - Name as written in a pick
+       * @param {Object} options - Lookup options
+       * @param {string} options.sport - Prefer entries from this sport when the alias is shared
+       * @returns {Array} Entries ({ name, sport, league, team, custom })
+       */
+      lookup(name, { sport } = {}) {
+        const key = normalizeAliasKey(name || '');
+        if (!key) return [];
+
+        // A server's own alias replaces the bundled meaning
+        const own = custom()[key];
+        const entries = own ? [{ ...own, custom: true }] : (bundled.get(key) || []);
+
+        const sameSport = sport ? entries.filter(entry => entry.sport === sport) : [];
+        return sameSport.length > 0 ? sameSport : entries;
+      },
+
+      /**
+       * @param {string} name - Name as written in a pick
+       * @param {Object} options - Lookup options (see lookup)
+       * @returns {string[]} Canonical names the alias expands to, excluding the name itself
+       */
+      expand(name, options) {
+        const key = normalizeAliasKey(name || '');
+        const names = view.lookup(name, options).map(entry => entry.name);
+        return [...new Set(names)].filter(canonical => normalizeAliasKey(canonical) !== key);
+      },
+
+      /**
+       * @param {string} name - Name as written in a pick
+       * @returns {boolean} True if the name only ever means a team ("Lakers", "Arsenal")
+       */
+      isTeam(name) {
+        // Server aliases are teams when the name they stand for is
+        const isBundledTeam = entry => bundled.get(normalizeAliasKey(entry.name))?.some(known => known.team);
+        const entries = view.lookup(name);
+        return entries.length > 0 && entries.every(entry => entry.team ?? isBundledTeam(entry));
+      },
+
+      /**
+       * Infers sport and league from names, when every reading of them agrees
+       * @param {string[]} names - Player/team names from a pick
+       * @returns {Object} { sport, league }, null where unknown or ambiguous
+       */
+      inferContext(names) {
+        const entries = (names || []).flatMap(name => view.lookup(name));
+        const sports = new Set(entries.map(entry => entry.sport).filter(Boolean));
+        const leagues = new Set(entries.map(entry => entry.league).filter(Boolean));
+
+        return {
+          sport: sports.size === 1 ? [...sports][0] : null,
+          league: sports.size === 1 && leagues.size === 1 ? [...leagues][0] : null,
+        };
+      },
+
+      /**
+       * Adds (or replaces) a server alias
+       * @param {string} alias - Alias as cappers write it
+       * @param {string} name - Name as Bovada lists it
+       * @param {Object} options - Context for names the bundled data doesn't know
+       * @param {string} options.sport - Sport
+       * @param {string} options.league - League
+       * @param {boolean} options.learned - Learned from a correction rather than added by hand
+       * @returns {Object} The stored entry
+       */
+      add(alias, name, { sport = null, league = null, learned = false } = {}) {
+        const key = normalizeAliasKey(alias || '');
+        if (!key || !name) {
+          throw new Error('An alias needs both a short form and a full name');
+        }
+
+        // Inherit sport and league from the bundled entry for the full name
+        const known = bundled.get(normalizeAliasKey(name))?.find(entry => normalizeAliasKey(entry.name) === normalizeAliasKey(name));
+        const entry = { name: name.trim(), sport: sport || known?.sport || null, league: league || known?.league || null };
+        if (learned) entry.learned = true;
+
+        servers.set(serverId, { ...custom(), [key]: entry });
+        writer.schedule();
+        return entry;
+      },
+
+      /**
+       * Learns an alias from a corrected match
+       * @param {string} alias - Name as written in the pick
+       * @param {string} name - Participant the poster meant
+       * @param {Object} options - Context from the event (see add)
+       * @returns {Object|null} The stored entry, or null if there was nothing to learn
+       */
+      learn(alias, name, options = {}) {
+        const key = normalizeAliasKey(alias || '');
+        if (!key || !name || key === normalizeAliasKey(name)) return null;
+
+        // A server alias was set on purpose, a correction doesn't override it
+        const own = custom()[key];
+        if (own && !own.learned) return null;
+
+        // Nor does it redefine a name everyone already knows ("Lakers"), which one
+        // mistaken correction would otherwise break for the whole server
+        if (bundled.has(key)) return null;
+
+        return view.add(alias, name, { ...options, learned: true });
+      },
+
+      /**
+       * @param {string} alias - Server alias to remove
+       * @param {Object} options - Removal options
+       * @param {boolean} options.learned - Only remove it if it was learned
+       * @returns {boolean} True if the alias existed
+       */
+      remove(alias, { learned = false } = {}) {
+        const key = normalizeAliasKey(alias || '');
+        const { [key]: removed, ...rest } = custom();
+        if (!removed || (learned && !removed.learned)) return false;
+
+        servers.set(serverId, rest);
+        writer.schedule();
+        return true;
+      },
+
+      /**
+       * @param {Object} options - List options
+       * @param {boolean} options.learned - Learned aliases instead of ones added by hand
+       * @returns {Array} Server aliases ({ alias, name, sport, league, learned })
+       */
+      list({ learned = false } = {}) {
+        return Object.entries(custom())
+          .filter(([, entry]) => Boolean(entry.learned) === learned)
+          .map(([alias, entry]) => ({ alias, ...entry }));
+      },
+    };
+
+    return view;
+  };
+
+  return {
+    ...forServer(),
+    forServer,
+
+    /**
+     * Writes any pending changes to disk
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      await writer.flush();
+    },
+  };
+}
+
+/**
+ * Indexes bundled aliases and canonical names by key
+ * @param {Object} data - Aliases grouped by league
+ * @returns {Map} Key -> entries ({ name, sport, league, team })
+ */
+function buildIndex(data) {
+  const index = new Map();
+
+  const addKey = (key, entry) => {
+    const entries = index.get(key) || [];
+    if (!entries.some(existing => existing.name === entry.name && existing.league === entry.league)) {
+      entries.push(entry);
+    }
+    index.set(key, entries);
+  };
+
+  for (const [league, { sport, teams = {}, players = {} }] of Object.entries(data)) {
+    const names = [
+      ...Object.entries(teams).map(([name, aliases]) => [name, aliases, true]),
+      ...Object.entries(players).map(([name, aliases]) => [name, aliases, false]),
+    ];
+    for (const [name, aliases, team] of names) {
+      const entry = { name, sport, league, team };
+      addKey(normalizeAliasKey(name), entry);
+      for (const alias of aliases) {
+        addKey(normalizeAliasKey(alias), entry);
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Loads server aliases from the backing file
+ * @param {string|null} filePath - Backing file
+ * @returns {Map} Server ID -> { key: entry }
+ */
+function loadServerAliases(filePath) {
+  const servers = new Map(Object.entries(readJsonFile(filePath, 'aliases') || {}));
+  if (servers.size > 0) {
+    console.log(`  ↳ Loaded aliases for ${servers.size} server(s) from ${filePath}`);
+  }
+
+  return servers;
+}
+
+// Bundled aliases only, for callers that don't manage server aliases
+export const defaultAliases = createAliasDictionary();
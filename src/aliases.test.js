@@ -0,0 +1,155 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, existsSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createAliasDictionary, normalizeAliasKey, defaultAliases } from './aliases.js';
+
+describe('normalizeAliasKey', () => {
+  it('ignores case, accents and punctuation', () => {
+    assert.strictEqual(normalizeAliasKey("  C's "), 'cs');
+    assert.strictEqual(normalizeAliasKey('Nikola Jokić'), 'nikola jokic');
+    assert.strictEqual(normalizeAliasKey('Karl-Anthony Towns'), 'karlanthony towns');
+  });
+});
+
+describe('defaultAliases', () => {
+  it('expands team abbreviations and nicknames', () => {
+    assert.deepStrictEqual(defaultAliases.expand('Niners'), ['San Francisco 49ers']);
+    assert.deepStrictEqual(defaultAliases.expand('LAL'), ['Los Angeles Lakers']);
+    assert.deepStrictEqual(defaultAliases.expand('Man U'), ['Manchester United']);
+    assert.deepStrictEqual(defaultAliases.expand('bucs'), ['Tampa Bay Buccaneers', 'Pittsburgh Pirates']);
+  });
+
+  it('expands player short names', () => {
+    assert.deepStrictEqual(defaultAliases.expand('KAT'), ['Karl-Anthony Towns']);
+    assert.deepStrictEqual(defaultAliases.expand('Stan the Man'), ['Stan Wawrinka']);
+  });
+
+  it('narrows shared aliases by sport', () => {
+    assert.deepStrictEqual(defaultAliases.expand('Bucs', { sport: 'baseball' }), ['Pittsburgh Pirates']);
+    assert.deepStrictEqual(defaultAliases.expand('Bucs', { sport: 'tennis' }).length, 2);
+  });
+
+  it('returns nothing for unknown names or the canonical name itself', () => {
+    assert.deepStrictEqual(defaultAliases.expand('Galan'), []);
+    assert.deepStrictEqual(defaultAliases.expand('Los Angeles Lakers'), []);
+  });
+
+  it('infers sport and league when every reading agrees', () => {
+    assert.deepStrictEqual(defaultAliases.inferContext(['Niners']), { sport: 'football', league: 'NFL' });
+    assert.deepStrictEqual(defaultAliases.inferContext(['Los Angeles Lakers']), { sport: 'basketball', league: 'NBA' });
+    assert.deepStrictEqual(defaultAliases.inferContext(['Sox']), { sport: 'baseball', league: 'MLB' });
+    assert.deepStrictEqual(defaultAliases.inferContext(['Giants']), { sport: null, league: null });
+    assert.deepStrictEqual(defaultAliases.inferContext(['Galan']), { sport: null, league: null });
+  });
+
+  it('tells teams from players', () => {
+    assert.strictEqual(defaultAliases.isTeam('Lakers'), true);
+    assert.strictEqual(defaultAliases.isTeam('Arsenal'), true);
+    assert.strictEqual(defaultAliases.isTeam('Giants'), true);
+    assert.strictEqual(defaultAliases.isTeam('LeBron'), false);
+    assert.strictEqual(defaultAliases.isTeam('Sinner'), false);
+    assert.strictEqual(defaultAliases.isTeam('Galan'), false);
+  });
+});
+
+describe('server aliases', () => {
+  it('keeps aliases per server', () => {
+    const aliases = createAliasDictionary();
+    aliases.forServer('guild-1').add('Gobbler', 'Sebastian Korda');
+
+    assert.deepStrictEqual(aliases.forServer('guild-1').expand('gobbler'), ['Sebastian Korda']);
+    assert.deepStrictEqual(aliases.forServer('guild-2').expand('gobbler'), []);
+  });
+
+  it('inherits sport and league from bundled names', () => {
+    const entry = createAliasDictionary().forServer('guild-1').add('The Bird Gang', 'Philadelphia Eagles');
+
+    assert.deepStrictEqual(entry, { name: 'Philadelphia Eagles', sport: 'football', league: 'NFL' });
+  });
+
+  it('overrides the bundled meaning for that server', () => {
+    const server = createAliasDictionary().forServer('guild-1');
+    server.add('Giants', 'San Francisco Giants');
+
+    assert.deepStrictEqual(server.expand('Giants'), ['San Francisco Giants']);
+    assert.deepStrictEqual(server.inferContext(['Giants']), { sport: 'baseball', league: 'MLB' });
+  });
+
+  it('lists and removes aliases', () => {
+    const server = createAliasDictionary().forServer('guild-1');
+    server.add('Gobbler', 'Sebastian Korda', { sport: 'tennis' });
+
+    assert.deepStrictEqual(server.list(), [{ alias: 'gobbler', name: 'Sebastian Korda', sport: 'tennis', league: null }]);
+    assert.strictEqual(server.remove('Gobbler'), true);
+    assert.strictEqual(server.remove('Gobbler'), false);
+    assert.deepStrictEqual(server.list(), []);
+  });
+
+  it('learns aliases from corrections, flagged for review', () => {
+    const server = createAliasDictionary().forServer('guild-1');
+
+    const entry = server.learn('Seb K', 'Sebastian Korda', { sport: 'tennis', league: 'ATP' });
+
+    assert.deepStrictEqual(entry, { name: 'Sebastian Korda', sport: 'tennis', league: 'ATP', learned: true });
+    assert.deepStrictEqual(server.expand('seb k'), ['Sebastian Korda']);
+    assert.deepStrictEqual(server.list({ learned: true }).map(e => e.alias), ['seb k']);
+    assert.deepStrictEqual(server.list(), []);
+  });
+
+  it('does not let a correction replace a server alias', () => {
+    const server = createAliasDictionary().forServer('guild-1');
+    server.add('Gobbler', 'Sebastian Korda');
+
+    assert.strictEqual(server.learn('Gobbler', 'Ben Shelton'), null);
+    assert.strictEqual(server.learn('Sebastian Korda', 'Sebastian Korda'), null);
+    assert.deepStrictEqual(server.expand('Gobbler'), ['Sebastian Korda']);
+  });
+
+  it('does not let a correction shadow a bundled name', () => {
+    const server = createAliasDictionary().forServer('guild-1');
+
+    assert.strictEqual(server.learn('Lakers', 'Los Angeles Clippers', { sport: 'basketball', league: 'NBA' }), null);
+    assert.strictEqual(server.learn('LAL', 'Los Angeles Clippers'), null);
+    assert.deepStrictEqual(server.expand('Lakers'), ['Los Angeles Lakers']);
+    assert.deepStrictEqual(server.list({ learned: true }), []);
+  });
+
+  it('removes only learned aliases when asked to', () => {
+    const server = createAliasDictionary().forServer('guild-1');
+    server.add('Gobbler', 'Sebastian Korda');
+    server.learn('Seb K', 'Sebastian Korda');
+
+    assert.strictEqual(server.remove('Gobbler', { learned: true }), false);
+    assert.strictEqual(server.remove('Seb K', { learned: true }), true);
+    assert.deepStrictEqual(server.list({ learned: true }), []);
+  });
+
+  it('rejects incomplete aliases', () => {
+    assert.throws(() => createAliasDictionary().add('', 'Sebastian Korda'));
+  });
+
+  it('persists aliases to disk across instances', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'aliases-'));
+    const filePath = join(dir, 'nested', 'aliases.json');
+
+    try {
+      const aliases = createAliasDictionary({ filePath });
+      aliases.forServer('guild-1').add('Gobbler', 'Sebastian Korda');
+      await aliases.flush();
+
+      assert.ok(existsSync(filePath));
+
+      const saved = JSON.parse(readFileSync(filePath, 'utf8'));
+      assert.strictEqual(saved['guild-1'].gobbler.name, 'Sebastian Korda');
+
+      mock.method(console, 'log', () => {}); // "Loaded aliases for 1 server(s)"
+      const reloaded = createAliasDictionary({ filePath });
+      assert.deepStrictEqual(reloaded.forServer('guild-1').expand('Gobbler'), ['Sebastian Korda']);
+    } finally {
+      mock.restoreAll();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -1,24 +1,96 @@
-import { Client, GatewayIntentBits, Events } from 'discord.js';
-import { parsePick } from './parser.js';
-import { findMatchingEvent } from './matcher.js';
+import { Client, GatewayIntentBits, Events, ComponentType, MessageFlags } from 'discord.js';
+import { join } from 'node:path';
+import { parsePick, parsePickImage } from './parser.js';
+import { findMatchingEventWithDebug, confirmMatch } from './matcher.js';
 import { buildBovadaUrl } from './urlBuilder.js';
-import { fetchBovadaEvents } from './bovada.js';
+import {
+  fetchBovadaEvents,
+  startEventPrefetch,
+  getEventCacheAges,
+  getSourceHealth,
+  useEventStore,
+  useEventSources,
+  EVENTS_UNAVAILABLE,
+} from './events.js';
+import { createEventSources, createOddsApiQuota } from './sources.js';
+import { createEventStore, isInProgress } from './eventStore.js';
+import { formatAge } from './eventCache.js';
+import { formatQuota } from './quota.js';
+import { createParseCache } from './parseCache.js';
+import { formatOdds, payoutPerUnit } from './odds.js';
+import { describePeriod } from './periods.js';
+import { describeTimeHint } from './timeHints.js';
+import { describeSelection } from './selection.js';
+import { createAliasDictionary } from './aliases.js';
+import { createServerSettings } from './settings.js';
+import { assessLineMove } from './lineMove.js';
+import { handleCommand } from './commands.js';
+import {
+  selectChoices,
+  buildChoiceRows,
+  parseChoice,
+  selectCorrections,
+  buildCorrectionRows,
+  learnCorrection,
+  CORRECTION_ID_PREFIX,
+} from './disambiguation.js';
+
+// Vision models cap image size and count per request
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGES = 4;
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// How long the poster has to choose between close matches before the best guess stands
+const CHOICE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Reacting with this to a reply says a link was wrong
+const WRONG_MATCH_EMOJI = '❌';
+const MAX_TRACKED_REPLIES = 500; // Replies that can still be corrected, newest kept
 
 /**
  * Creates and configures the Discord bot
  * @param {Object} config - Bot configuration
  * @param {string} config.discordToken - Discord bot token
  * @param {string} config.picksChannelId - Channel ID to monitor (optional, monitors all if not set)
- * @param {string} config.anthropicApiKey - Anthropic API key
+ * @param {Object} config.llm - LLM provider used for parsing and matching (see llm.js)
+ * @param {string} config.dataDir - Directory for persisted state (optional, memory only if not set)
+ * @param {number} config.parseCacheTtlMs - How long parsed picks are reused (optional)
+ * @param {string} config.oddsFormat - Format prices are shown in: american, decimal, fractional or implied (optional)
+ * @param {Object} config.settings - Defaults for per-server settings, e.g. { staleOddsCents, staleOddsAction } (optional)
+ * @param {Object} config.prefetch - Background event refresh: { sports, intervalMs } (optional, off if intervalMs is 0)
+ * @param {string[]|string} config.eventSources - Event sources in order, e.g. "odds-api,bovada" or "fixtures" (optional, see sources.js)
+ * @param {string} config.fixturesDir - Recorded responses for the fixtures source (optional)
  * @returns {Object} Bot instance with start/stop methods
  */
 export function createBot(config) {
-  const { discordToken, picksChannelId, anthropicApiKey } = config;
+  const { discordToken, picksChannelId, llm, dataDir, parseCacheTtlMs, oddsFormat = 'american' } = config;
+
+  const parseCache = createParseCache({
+    ttlMs: parseCacheTtlMs,
+    filePath: dataDir ? join(dataDir, 'parse-cache.json') : null,
+  });
+  const aliases = createAliasDictionary({
+    filePath: dataDir ? join(dataDir, 'aliases.json') : null,
+  });
+  const settings = createServerSettings({
+    defaults: config.settings,
+    filePath: dataDir ? join(dataDir, 'server-settings.json') : null,
+  });
+  const oddsApiQuota = createOddsApiQuota({ dataDir });
+  useEventSources(createEventSources(config.eventSources, { fixturesDir: config.fixturesDir, quota: oddsApiQuota }));
+  const eventStore = createEventStore({
+    filePath: dataDir ? join(dataDir, 'events.json') : null,
+  });
+  useEventStore(eventStore);
+  const replies = new Map(); // Reply ID -> what it linked, for corrections
+  const context = { llm, parseCache, aliases, settings, oddsFormat, replies };
+  let prefetch = null;
 
   const client = new Client({
     intents: [
       GatewayIntentBits.Guilds,
       GatewayIntentBits.GuildMessages,
+      GatewayIntentBits.GuildMessageReactions,
       GatewayIntentBits.MessageContent,
     ],
   });
@@ -39,22 +111,52 @@ export function createBot(config) {
     // If a specific channel is configured, only process messages from that channel
     if (picksChannelId && message.channel.id !== picksChannelId) return;
 
-    // Skip messages that look like commands or are too short
-    if (message.content.startsWith('!') || message.content.length < 5) return;
+    // Bot commands ("!alias", "!stale"); anything else starting with "!" is someone else's
+    if (message.content.startsWith('!')) {
+      try {
+        await handleCommand(message, context);
+      } catch (error) {
+        console.error('Error handling command:', error);
+      }
+      return;
+    }
+
+    // Skip messages that are too short and carry no bet slip screenshot
+    const hasImages = message.attachments.some(isImageAttachment);
+    if (!hasImages && message.content.length < 5) return;
 
     try {
-      await handlePickMessage(message, anthropicApiKey);
+      await handlePickMessage(message, context);
     } catch (error) {
       console.error('Error processing message:', error);
     }
   });
 
+  // ❌ on one of our replies: ask which event was meant and learn from it
+  client.on(Events.MessageReactionAdd, async (reaction, user) => {
+    if (user.bot || reaction.emoji.name !== WRONG_MATCH_EMOJI) return;
+
+    const record = replies.get(reaction.message.id);
+    if (!record || user.id !== record.message.author.id) return;
+
+    try {
+      await startCorrection(reaction.message, record);
+    } catch (error) {
+      console.error('Error starting correction:', error);
+    }
+  });
+
   return {
     start: async () => {
+      if (config.prefetch?.intervalMs > 0) {
+        prefetch = startEventPrefetch(config.prefetch);
+      }
       await client.login(discordToken);
     },
-    stop: () => {
+    stop: async () => {
+      prefetch?.stop();
       client.destroy();
+      await Promise.all([parseCache.flush(), aliases.flush(), settings.flush(), eventStore.flush(), oddsApiQuota.flush()]);
     },
     client, // Expose for testing
   };
@@ -63,19 +165,33 @@ export function createBot(config) {
 /**
  * Handles a potential pick message
  * @param {Message} message - Discord message
- * @param {string} anthropicApiKey - Anthropic API key
+ * @param {Object} context - Shared bot state
+ * @param {Object} context.llm - LLM provider
+ * @param {Object} context.parseCache - Parse cache
+ * @param {Object} context.aliases - Alias dictionary (see aliases.js)
+ * @param {Object} context.settings - Server settings store (see settings.js)
+ * @param {string} context.oddsFormat - Format prices are shown in
+ * @param {Map} context.replies - Recent replies, for corrections
  */
-async function handlePickMessage(message, anthropicApiKey) {
+async function handlePickMessage(message, context) {
+  const { llm, parseCache, oddsFormat } = context;
+  const aliases = context.aliases.forServer(message.guildId || undefined);
+  const serverSettings = context.settings.get(message.guildId || undefined);
+
   // Check for debug mode
   const debugMode = message.content.toLowerCase().includes('/debug');
   const cleanContent = message.content.replace(/\/debug/gi, '').trim();
   
-  console.log(`📨 Processing: "${cleanContent}"${debugMode ? ' (DEBUG)' : ''}`);
+  const images = await loadImageAttachments(message);
+  
+  console.log(`📨 Processing: "${cleanContent}"${images.length ? ` + ${images.length} image(s)` : ''}${debugMode ? ' (DEBUG)' : ''}`);
 
-  // Step 1: Parse the pick using LLM
-  const parsedPick = await parsePick(cleanContent, anthropicApiKey);
+  // Step 1: Parse the pick using LLM (reading the slip if one was attached)
+  const parsedPick = images.length > 0
+    ? await parsePickImage(images, llm, { text: cleanContent, aliases })
+    : await parsePick(cleanContent, llm, { cache: parseCache, aliases });
   
-  if (!parsedPick || !parsedPick.isValidPick) {
+  if (!parsedPick || !parsedPick.isValidPick || !parsedPick.legs?.length) {
     console.log('  ↳ Not a valid pick, skipping');
     if (debugMode) {
       await message.reply({
@@ -87,51 +203,269 @@ async function handlePickMessage(message, anthropicApiKey) {
 
   console.log('  ↳ Parsed pick:', JSON.stringify(parsedPick, null, 2));
 
-  // Step 2: Fetch current Bovada events
-  const events = await fetchBovadaEvents(parsedPick.sport);
+  // Steps 2-4: Fetch events, match and link each leg
+  const legResults = [];
+  for (const leg of parsedPick.legs) {
+    let events;
+    try {
+      events = await fetchBovadaEvents(leg.sport, { league: leg.league });
+    } catch (error) {
+      if (error.code !== EVENTS_UNAVAILABLE) throw error;
+      console.log(`  ↳ Events unavailable for "${leg.description}"`);
+      legResults.push({ leg, events: [], matchResult: null, url: null, lineMove: null, unavailable: true });
+      continue;
+    }
+
+    const matchResult = await findMatchingEventWithDebug(leg, events, llm, { aliases, now: message.createdTimestamp });
+    const legResult = buildLegResult(leg, events, matchResult, serverSettings);
 
-  // Step 3: Find matching event (with debug info)
-  const { findMatchingEventWithDebug } = await import('./matcher.js');
-  const matchResult = await findMatchingEventWithDebug(parsedPick, events, anthropicApiKey);
-  const matchedEvent = matchResult?.event || null;
+    if (matchResult?.event) {
+      console.log(`  ↳ Matched "${leg.description}":`, legResult.url);
+      if (matchResult.choices.length > 0) console.log(`  ↳ Ambiguous: ${matchResult.choices.length} close matches`);
+      if (legResult.lineMove?.stale) {
+        console.log(`  ↳ Stale: ${legResult.lineMove.lineMissing ? 'line gone' : `moved ${legResult.lineMove.cents}c`}`);
+      }
+    } else {
+      console.log(`  ↳ No matching event found for "${leg.description}"`);
+    }
 
-  if (debugMode) {
-    const debugInfo = formatDebugInfo(parsedPick, events, matchResult);
-    await message.reply({ content: debugInfo });
+    legResults.push(legResult);
   }
 
-  if (!matchedEvent) {
-    console.log('  ↳ No matching event found');
-    if (!debugMode) {
-      await message.reply({
-        content: `⚠️ Couldn't find a matching Bovada event for: **${parsedPick.description || cleanContent}**`,
-      });
+  if (debugMode) {
+    // One message per leg keeps each under Discord's length limit
+    for (const [index, result] of legResults.entries()) {
+      const header = legResults.length > 1 ? `**Leg ${index + 1}/${legResults.length}**\n` : '';
+      const debugInfo = formatDebugInfo(result, parseCache.stats());
+      await message.reply({ content: header + debugInfo });
     }
     return;
   }
 
-  console.log('  ↳ Matched event:', matchedEvent);
+  if (legResults.every(result => result.unavailable)) {
+    await message.reply({
+      content: `🛑 Bovada is unavailable right now, so I couldn't look up: **${parsedPick.description || cleanContent}**. Try again in a few minutes.`,
+    });
+    return;
+  }
+
+  if (!legResults.some(result => result.url)) {
+    await message.reply({
+      content: `⚠️ Couldn't find a matching Bovada event for: **${parsedPick.description || cleanContent}**`,
+    });
+    return;
+  }
+
+  // Legs too close to call wait for the poster to choose from a menu
+  selectChoices(legResults).forEach((choices, index) => {
+    legResults[index].choices = choices;
+  });
+  const components = buildChoiceRows(legResults);
+
+  // Step 5: Reply with all links in one grouped message
+  const reply = await message.reply({ content: formatReply(parsedPick, legResults, oddsFormat, serverSettings), components });
+  const record = { message, parsedPick, legResults, aliases, oddsFormat, serverSettings };
+  if (components.length > 0) {
+    awaitChoices(reply, record);
+  }
+  trackReply(context.replies, reply, record);
+}
+
+/**
+ * Remembers what a reply linked, so a ❌ on it can be corrected later
+ * @param {Map} replies - Recent replies
+ * @param {Message} reply - Our reply
+ * @param {Object} record - What it linked ({ message, parsedPick, legResults, ... })
+ */
+function trackReply(replies, reply, record) {
+  replies.set(reply.id, record);
+  if (replies.size > MAX_TRACKED_REPLIES) {
+    replies.delete(replies.keys().next().value);
+  }
+}
+
+/**
+ * Replaces a leg's match with the event the poster says they meant
+ * @param {Object} record - Reply record (see handlePickMessage)
+ * @param {number} legIndex - Leg to change
+ * @param {Object} event - Event meant
+ */
+function replaceLegMatch(record, legIndex, event) {
+  const previous = record.legResults[legIndex];
+  const matchResult = {
+    ...previous.matchResult,
+    event,
+    confidence: 1,
+    choices: [],
+    ...confirmMatch(previous.leg, event, { aliases: record.aliases }),
+  };
+  record.legResults[legIndex] = buildLegResult(previous.leg, previous.events, matchResult, record.serverSettings);
+}
+
+/**
+ * Builds a leg's result: its link and how the line moved since posting
+ * @param {Object} leg - Parsed pick leg
+ * @param {Array} events - Events the leg was matched against
+ * @param {Object} matchResult - Result of findMatchingEventWithDebug
+ * @param {Object} serverSettings - Settings for the server the pick was posted in
+ * @returns {Object} Leg result ({ leg, events, matchResult, url, lineMove })
+ */
+function buildLegResult(leg, events, matchResult, serverSettings) {
+  const url = matchResult?.event ? buildBovadaUrl(matchResult.event) : null;
+
+  // Compare the posted odds/line with what Bovada offers now
+  const lineMove = matchResult?.event
+    ? assessLineMove(leg, leg.prop ? matchResult.propMarket : matchResult.market, serverSettings)
+    : null;
+
+  return { leg, events, matchResult, url, lineMove };
+}
+
+/**
+ * Collects the poster's choices for ambiguous legs, editing the reply as each
+ * is settled. Whatever is still open after CHOICE_TIMEOUT_MS keeps its best guess.
+ * @param {Message} reply - Our reply carrying the select menus
+ * @param {Object} record - Reply record, with `choices` on legs still open (see handlePickMessage)
+ */
+function awaitChoices(reply, record) {
+  const { message, parsedPick, legResults, oddsFormat, serverSettings } = record;
+  const collector = reply.createMessageComponentCollector({ componentType: ComponentType.StringSelect, time: CHOICE_TIMEOUT_MS });
+
+  collector.on('collect', async (interaction) => {
+    try {
+      if (interaction.user.id !== message.author.id) {
+        await interaction.reply({ content: '⛔ Only the person who posted the pick can choose', flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const choice = parseChoice(interaction.customId, interaction.values);
+      const previous = choice && legResults[choice.legIndex];
+      const event = previous?.choices?.[choice.choiceIndex];
+      if (!event) {
+        await interaction.deferUpdate();
+        return;
+      }
+
+      console.log(`  ↳ Poster chose ${event.displayName || event.description} for "${previous.leg.description}"`);
+      replaceLegMatch(record, choice.legIndex, event);
+
+      const components = buildChoiceRows(legResults);
+      await interaction.update({ content: formatReply(parsedPick, legResults, oddsFormat, serverSettings), components });
+      if (components.length === 0) collector.stop('settled');
+    } catch (error) {
+      console.error('Error handling event choice:', error);
+    }
+  });
+
+  collector.on('end', async (_, reason) => {
+    if (reason === 'settled') return;
+
+    // Nobody chose in time: the best guesses stand
+    for (const legResult of legResults) legResult.choices = [];
+    await reply.edit({ content: formatReply(parsedPick, legResults, oddsFormat, serverSettings), components: [] })
+      .catch(error => console.error('Error closing event choices:', error.message));
+  });
+}
+
+/**
+ * Asks the poster who they meant after a ❌, then fixes the reply and learns
+ * the name as an alias. Menus left untouched close after CHOICE_TIMEOUT_MS.
+ * @param {Message} reply - Our reply that was marked wrong
+ * @param {Object} record - Reply record (see handlePickMessage)
+ */
+async function startCorrection(reply, record) {
+  const { message, parsedPick, legResults, aliases, oddsFormat, serverSettings } = record;
+  const corrections = selectCorrections(legResults, message.createdTimestamp);
+  const components = buildCorrectionRows(legResults, corrections);
+  if (components.length === 0) return;
+
+  console.log(`  ↳ Correction requested for "${parsedPick.description || message.content}"`);
+  const prompt = await reply.reply({ content: `🛠️ <@${message.author.id}> which one did you mean?`, components });
+  const collector = prompt.createMessageComponentCollector({ componentType: ComponentType.StringSelect, time: CHOICE_TIMEOUT_MS });
+  const fixed = [];
+
+  collector.on('collect', async (interaction) => {
+    try {
+      if (interaction.user.id !== message.author.id) {
+        await interaction.reply({ content: '⛔ Only the person who posted the pick can correct it', flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const choice = parseChoice(interaction.customId, interaction.values, CORRECTION_ID_PREFIX);
+      const option = choice && corrections[choice.legIndex]?.[choice.choiceIndex];
+      if (!option) {
+        await interaction.deferUpdate();
+        return;
+      }
 
-  // Step 4: Build Bovada URL
-  const url = buildBovadaUrl(matchedEvent);
+      const { leg } = legResults[choice.legIndex];
+      replaceLegMatch(record, choice.legIndex, option.event);
+      corrections[choice.legIndex] = [];
+      await reply.edit({ content: formatReply(parsedPick, legResults, oddsFormat, serverSettings) });
 
-  // Step 5: Reply with the link (skip if debug mode already replied)
-  if (!debugMode) {
-    const replyContent = formatReply(parsedPick, matchedEvent, url);
-    await message.reply({ content: replyContent });
+      const learned = learnCorrection(aliases, leg, option);
+      const name = option.participant || option.event.displayName || option.event.description;
+      console.log(`  ↳ Corrected "${leg.description}" to ${name}${learned ? ' (learned alias)' : ''}`);
+      fixed.push(learned ? `✅ Fixed. **${leg.players[0]}** now means **${learned.name}** here` : `✅ Fixed **${leg.description}**`);
+
+      const remaining = buildCorrectionRows(legResults, corrections);
+      await interaction.update({ content: fixed.join('\n'), components: remaining });
+      if (remaining.length === 0) collector.stop('fixed');
+    } catch (error) {
+      console.error('Error handling correction:', error);
+    }
+  });
+
+  collector.on('end', async (_, reason) => {
+    if (reason === 'fixed') return;
+    await prompt.edit({ content: fixed.join('\n') || '⌛ Correction closed', components: [] })
+      .catch(error => console.error('Error closing correction:', error.message));
+  });
+}
+
+/**
+ * Checks whether an attachment is an image we can send to the vision model
+ * @param {Attachment} attachment - Discord attachment
+ * @returns {boolean} True for supported images under the size limit
+ */
+function isImageAttachment(attachment) {
+  return IMAGE_TYPES.includes(attachment.contentType?.split(';')[0]) && attachment.size <= MAX_IMAGE_BYTES;
+}
+
+/**
+ * Downloads a message's image attachments for the vision parser
+ * @param {Message} message - Discord message
+ * @returns {Promise<Array>} Images ({ mediaType, data }) as base64
+ */
+async function loadImageAttachments(message) {
+  const attachments = [...message.attachments.values()].filter(isImageAttachment).slice(0, MAX_IMAGES);
+  const images = [];
+
+  for (const attachment of attachments) {
+    try {
+      const response = await fetch(attachment.url);
+      if (!response.ok) {
+        console.error(`  ↳ Attachment download failed: ${response.status}`);
+        continue;
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+      images.push({ mediaType: attachment.contentType.split(';')[0], data: buffer.toString('base64') });
+    } catch (error) {
+      console.error(`  ↳ Attachment download error: ${error.message}`);
+    }
   }
 
-  console.log('  ↳ Replied with link:', url);
+  return images;
 }
 
 /**
  * Formats debug information
- * @param {Object} parsedPick - Parsed pick data
- * @param {Array} events - All events fetched
- * @param {Object} matchResult - Match result with candidates
+ * @param {Object} legResult - Per-leg result ({ leg, events, matchResult, lineMove })
+ * @param {Object} parseCacheStats - Parse cache counters
  * @returns {string} Formatted debug output
  */
-function formatDebugInfo(parsedPick, events, matchResult) {
+function formatDebugInfo(legResult, parseCacheStats) {
+  const { leg: parsedPick, events, matchResult, lineMove } = legResult;
   const lines = ['🔍 **Debug Output**\n'];
   
   // Parsed pick
@@ -140,10 +474,17 @@ function formatDebugInfo(parsedPick, events, matchResult) {
   lines.push(`• Sport: ${parsedPick.sport || 'not detected'}`);
   lines.push(`• Bet Type: ${parsedPick.betType || 'unknown'}`);
   lines.push(`• Odds: ${parsedPick.odds || 'unknown'}`);
+  if (parsedPick.prop) {
+    const { player, stat, direction, line } = parsedPick.prop;
+    lines.push(`• Prop: ${player} ${direction} ${line} ${stat}`);
+  }
+  lines.push(`• Period: ${describePeriod(parsedPick.period)}`);
+  lines.push(`• Live: ${parsedPick.live ? 'yes' : 'no'}`);
+  lines.push(`• When: ${describeTimeHint(parsedPick.when)}${parsedPick.game ? ` · Game ${parsedPick.game}` : ''}`);
   lines.push('');
   
   // Events summary
-  lines.push(`**Events Found:** ${events?.length || 0}`);
+  lines.push(`**Events Found:** ${events?.length || 0}${legResult.unavailable ? ' (sources unavailable)' : ''}`);
   if (events && events.length > 0) {
     const sportCounts = {};
     events.forEach(e => {
@@ -169,27 +510,199 @@ function formatDebugInfo(parsedPick, events, matchResult) {
   // Final result
   if (matchResult?.event) {
     const url = buildBovadaUrl(matchResult.event);
-    lines.push(`**✅ Best Match:** ${matchResult.event.displayName || matchResult.event.description}`);
+    const live = isInProgress(matchResult.event) ? ' 🔴 live' : '';
+    lines.push(`**✅ Best Match:** ${matchResult.event.displayName || matchResult.event.description}${live}`);
     lines.push(`**Confidence:** ${((matchResult.confidence || 0) * 100).toFixed(0)}%`);
+    if (matchResult.choices?.length > 0) {
+      lines.push(`**❓ Too close to call:** ${matchResult.choices.map(e => e.displayName || e.description).join(' / ')}`);
+    }
+    lines.push(`**Pick:** ${describeSelection(parsedPick, matchResult.selection)}`);
     lines.push(`**Link:** ${url}`);
+    if (parsedPick.prop) {
+      lines.push(`**Prop Market:** ${matchResult.propMarket?.market.description || 'not offered'}`);
+    }
+    if (parsedPick.period) {
+      const markets = matchResult.periodMarkets?.map(m => m.description).join(', ');
+      lines.push(`**${describePeriod(parsedPick.period)} Markets:** ${markets || 'none listed'}`);
+    }
+    if (lineMove) {
+      const moved = lineMove.cents !== null ? `${lineMove.cents}¢ ${lineMove.worse ? 'against' : 'for'} the pick` : 'unknown';
+      lines.push(`**Line Move:** ${moved}${lineMove.lineMissing ? ', posted line gone' : ''}${lineMove.stale ? ' (stale)' : ''}`);
+    }
   } else {
     lines.push('**❌ No Match Found**');
   }
+  lines.push('');
+
+  // Parse cache
+  const { hits, misses, size, hitRate } = parseCacheStats;
+  lines.push(`**Parse Cache:** ${hits} hits / ${misses} misses (${(hitRate * 100).toFixed(0)}%), ${size} entries`);
+
+  // Event cache
+  const cacheAges = getEventCacheAges()
+    .map(({ key, ageMs, events, refreshing }) => `${key} ${formatAge(ageMs)} (${events})${refreshing ? ' 🔄' : ''}`);
+  lines.push(`**Event Cache:** ${cacheAges.join(', ') || 'empty'}`);
+  const sourceHealth = getSourceHealth();
+  lines.push(`**Sources:** ${sourceHealth.map(({ name, status }) => `${name} ${status}`).join(', ') || 'none'}`);
+  for (const { name, quota } of sourceHealth.filter(health => health.quota)) {
+    lines.push(`**Quota (${name}):** ${formatQuota(quota)}`);
+  }
   
   return lines.join('\n');
 }
 
 /**
- * Formats the reply message
+ * Formats the reply message for every leg of a pick
  * @param {Object} parsedPick - Parsed pick data
- * @param {Object} matchedEvent - Matched event data
- * @param {string} url - Bovada URL
+ * @param {Array} legResults - Per-leg results ({ leg, matchResult, url, lineMove, unavailable, choices })
+ * @param {string} oddsFormat - Format prices are shown in
+ * @param {Object} serverSettings - Settings for the server the pick was posted in
  * @returns {string} Formatted reply
  */
-function formatReply(parsedPick, matchedEvent, url) {
-  const betType = parsedPick.betType || 'bet';
-  const odds = parsedPick.odds ? ` (${parsedPick.odds})` : '';
+function formatReply(parsedPick, legResults, oddsFormat, serverSettings) {
+  const sections = legResults.map((result) => {
+    if (result.unavailable) {
+      return `🛑 Bovada is unavailable right now, couldn't look up: **${result.leg.description}**`;
+    }
+    if (!result.url) {
+      return `⚠️ No Bovada event found for: **${result.leg.description}**`;
+    }
+    if (result.choices?.length > 0) {
+      return `❓ **${result.leg.description}** could be ${result.choices.length} games, choose the right one below`;
+    }
+    return formatLeg(result, oddsFormat, serverSettings);
+  });
+
+  if (parsedPick.isParlay) {
+    const units = parsedPick.units ? ` (${parsedPick.units}u)` : '';
+    const stake = parsedPick.stake ? ` ($${parsedPick.stake})` : '';
+    sections.unshift(`🧾 **${legResults.length}-leg parlay**${units}${stake}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * States which segment of the game the leg is on
+ * @param {string} period - Period code
+ * @param {Object} matchResult - Match result for the leg
+ * @returns {string} Formatted period line
+ */
+function formatPeriod(period, matchResult) {
+  const label = describePeriod(period);
+
+  // Only warn when we actually have the event's market list to check against
+  if (matchResult.event.markets?.length && matchResult.periodMarkets?.length === 0) {
+    return `⏱️ ${label} · ⚠️ no ${label} market listed on Bovada right now`;
+  }
+  return `⏱️ ${label}`;
+}
+
+/**
+ * Formats a single matched leg
+ * @param {Object} legResult - Per-leg result ({ leg, matchResult, url, lineMove })
+ * @param {string} oddsFormat - Format prices are shown in
+ * @param {Object} serverSettings - Settings for the server the pick was posted in
+ * @returns {string} Formatted leg
+ */
+function formatLeg({ leg, matchResult, url, lineMove }, oddsFormat, serverSettings) {
+  const matchedEvent = matchResult.event;
   const eventName = matchedEvent.displayName || matchedEvent.description;
 
-  return `🎯 **${eventName}**\n📊 ${betType}${odds}\n🔗 ${url}`;
+  // Show what the stake returns when we know both
+  const payout = leg.units ? payoutPerUnit(leg.price || leg.odds) : null;
+  const stake = payout !== null ? ` · ${leg.units}u to win ${(leg.units * payout).toFixed(2)}u` : '';
+
+  const lines = [`🎯 **${eventName}**`, `📊 ${describeSelection(leg, matchResult.selection, oddsFormat)}${stake}`];
+  if (isInProgress(matchedEvent)) {
+    lines.push('🔴 Game in progress · linking live betting');
+  }
+  // Picks that named a day or series game show which game they were matched to
+  if ((leg.when || leg.game) && matchedEvent.startTime) {
+    const hint = [leg.when && describeTimeHint(leg.when), leg.game && `Game ${leg.game}`].filter(Boolean).join(' · ');
+    lines.push(`🗓️ ${hint} · starts <t:${Math.floor(Date.parse(matchedEvent.startTime) / 1000)}:f>`);
+  }
+  if (leg.prop) {
+    lines.push(formatPropMarket(leg.prop, matchResult.propMarket, oddsFormat));
+  } else if (matchResult.market?.outcome) {
+    lines.push(formatGameMarket(matchResult.market, oddsFormat));
+  }
+  if (leg.period) {
+    lines.push(formatPeriod(leg.period, matchResult));
+  }
+  if (lineMove) {
+    lines.push(...formatLineMove(lineMove, oddsFormat));
+  }
+
+  if (lineMove?.suppress) {
+    const reason = lineMove.lineMissing ? 'the posted line is gone' : `odds moved ${lineMove.cents}¢ against the pick`;
+    lines.push(`🔒 Link withheld: ${reason} (server limit ${serverSettings.staleOddsCents}¢)`);
+  } else {
+    lines.push(`🔗 ${url}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Describes how the line has moved since the pick was posted
+ * @param {Object} lineMove - Result of assessLineMove
+ * @param {string} oddsFormat - Format prices are shown in
+ * @returns {string[]} Formatted lines (none if nothing moved)
+ */
+function formatLineMove(lineMove, oddsFormat) {
+  const lines = [];
+  const staleTag = lineMove.stale ? ' · ⚠️ **stale**' : '';
+
+  if (lineMove.lineMissing) {
+    lines.push(`🚫 Posted line ${lineMove.postedLine} no longer offered (now ${lineMove.currentLine})${staleTag}`);
+  }
+
+  if (lineMove.cents) {
+    const from = formatOdds(lineMove.posted, oddsFormat);
+    const to = formatOdds(lineMove.current, oddsFormat);
+    const implied = `${(lineMove.posted.impliedProbability * 100).toFixed(1)}% → ${(lineMove.current.impliedProbability * 100).toFixed(1)}%`;
+    const tag = lineMove.lineMissing ? '' : staleTag;
+    lines.push(`${lineMove.worse ? '📉' : '📈'} Moved ${lineMove.cents}¢ since posted: ${from} → ${to} (implied ${implied})${tag}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Shows Bovada's current price for the side a game-line pick is on
+ * @param {Object} gameMarket - Result of findGameMarket, with an outcome
+ * @param {string} oddsFormat - Format prices are shown in
+ * @returns {string} Formatted price line
+ */
+function formatGameMarket(gameMarket, oddsFormat) {
+  const { market, outcome } = gameMarket;
+
+  const sign = market.key === 'spreads' && outcome.point > 0 ? '+' : '';
+  const point = outcome.point !== null ? ` ${sign}${outcome.point}` : '';
+  const odds = formatOdds(outcome.price || outcome.odds, oddsFormat) || outcome.odds;
+  const price = odds ? ` (${odds})` : '';
+  return `💲 Bovada now: ${outcome.name}${point}${price}`;
+}
+
+/**
+ * Describes the Bovada market found for a prop pick
+ * @param {Object} prop - Parsed prop
+ * @param {Object|null} propMarket - Result of findPropMarket
+ * @param {string} oddsFormat - Format prices are shown in
+ * @returns {string} Formatted market line
+ */
+function formatPropMarket(prop, propMarket, oddsFormat) {
+  if (!propMarket) {
+    return `⚠️ No Bovada market for ${prop.player} ${prop.stat.replace(/_/g, ' ')} — linking the game`;
+  }
+
+  const { market, outcome } = propMarket;
+  if (!outcome) {
+    return `📌 ${market.description}`;
+  }
+
+  const odds = formatOdds(outcome.price || outcome.odds, oddsFormat) || outcome.odds;
+  const price = odds ? ` (${odds})` : '';
+  return `📌 ${market.description}: ${outcome.name} ${outcome.point}${price}`;
 }
@@ -1,176 +1,110 @@
 /**
- * Bovada event fetching and caching
- * 
+ * Bovada event source
+ *
  * Note: Bovada doesn't have a public API. Options:
- * 1. Use The Odds API (paid, but reliable)
+ * 1. Use The Odds API (paid, but reliable, see oddsApi.js)
  * 2. Scrape Bovada directly (fragile, ToS concerns)
- * 3. Use mock data for development
- * 
- * This module provides an abstraction layer so we can swap implementations.
+ * 3. Use mock data or recorded responses for development (see sources.js)
+ *
+ * This module scrapes the JSON coupon endpoint that powers Bovada's site and
+ * parses its responses; sources.js decides which sources are used and in
+ * what order.
  */
 
-// In-memory cache for events
-const eventCache = new Map();
-const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+import { parseBovadaMarkets, createMarket } from './markets.js';
+import { fetchJson, createCircuitBreaker } from './http.js';
+import { createEventSource } from './eventSource.js';
+import { SPORTS, getCouponPath } from './sports.js';
 
 /**
- * Fetches events from Bovada for a given sport
- * @param {string} sport - Sport to fetch (e.g., "tennis", "basketball")
- * @returns {Promise<Array>} List of events
+ * Creates the Bovada event source, scraping Bovada directly
+ * @param {Object} options - Source options
+ * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+ * @returns {Object} Event source (see eventSource.js)
  */
-export async function fetchBovadaEvents(sport) {
-  const cacheKey = sport || 'all';
-  const cached = eventCache.get(cacheKey);
+export function createBovadaSource({ fetch = globalThis.fetch } = {}) {
+  const breaker = createCircuitBreaker({ name: 'Bovada' });
 
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
-    console.log(`  ↳ Using cached events for ${cacheKey}`);
-    return cached.events;
-  }
-
-  // Try different data sources in order of preference
-  let events = [];
-
-  // Option 1: Try The Odds API if configured
-  if (process.env.ODDS_API_KEY) {
-    events = await fetchFromOddsAPI(sport);
-  }
-
-  // Option 2: Try scraping Bovada directly
-  if (events.length === 0) {
-    events = await fetchFromBovadaDirect(sport);
-  }
+  /**
+   * Fetches events by scraping Bovada directly
+   * @param {string} sport - Sport to fetch (null = fetch all sports)
+   * @param {string|null} league - League from the pick, for leagues on their own coupon (college)
+   * @returns {Promise<Array>} Events
+   * @throws {Error} If Bovada can't be reached (see http.js)
+   */
+  const fetchFromBovadaDirect = async (sport, league = null) => {
+    // Bovada has a JSON API that powers their site
+    // This is undocumented and may break, but works for now
 
-  // No mock data - require real data
-  if (events.length === 0) {
-    console.log('  ↳ No events found from Bovada API');
-  }
-
-  // Cache the results
-  eventCache.set(cacheKey, {
-    events,
-    timestamp: Date.now(),
-  });
-
-  return events;
-}
-
-/**
- * Fetches events from The Odds API
- * @param {string} sport - Sport to fetch
- * @returns {Promise<Array>} Events
- */
-async function fetchFromOddsAPI(sport) {
-  const apiKey = process.env.ODDS_API_KEY;
-  if (!apiKey) return [];
-
-  // Map our sport names to The Odds API sport keys
-  const sportKeyMap = {
-    tennis: 'tennis_atp_aus_open_singles', // TODO: Support multiple tennis leagues
-    basketball: 'basketball_nba',
-    football: 'americanfootball_nfl',
-    baseball: 'baseball_mlb',
-    hockey: 'icehockey_nhl',
-    soccer: 'soccer_epl',
-    mma: 'mma_mixed_martial_arts',
-  };
-
-  const sportKey = sport ? sportKeyMap[sport.toLowerCase()] : null;
-  if (!sportKey) {
-    console.log(`  ↳ Unknown sport for Odds API: ${sport}`);
-    return [];
-  }
+    // If no sport specified, fetch all sports in parallel
+    if (!sport) {
+      console.log('  ↳ Fetching all sports from Bovada...');
+      const results = await Promise.allSettled(SPORTS.map(s => fetchFromBovadaDirect(s)));
+      if (results.every(result => result.status === 'rejected')) throw results[0].reason;
+      return results.flatMap(result => (result.status === 'fulfilled' ? result.value : []));
+    }
 
-  try {
-    const url = `https://api.the-odds-api.com/v4/sports/${sportKey}/odds/?apiKey=${apiKey}&regions=us&markets=h2h,spreads,totals&bookmakers=bovada`;
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      console.error(`  ↳ Odds API error: ${response.status}`);
+    const path = getCouponPath(sport, league);
+    if (!path) {
       return [];
     }
 
-    const data = await response.json();
-    
-    // Transform to our event format
-    return data.map(event => ({
-      id: event.id,
-      sport: sport,
-      league: event.sport_title,
-      description: `${event.home_team} vs ${event.away_team}`,
-      displayName: `${event.home_team} vs ${event.away_team}`,
-      participant1: event.home_team,
-      participant2: event.away_team,
-      startTime: event.commence_time,
-      markets: event.bookmakers?.find(b => b.key === 'bovada')?.markets || [],
-      // Store raw data for URL building
-      _raw: event,
-    }));
-  } catch (error) {
-    console.error(`  ↳ Odds API fetch error: ${error.message}`);
-    return [];
-  }
-}
-
-/**
- * Fetches events by scraping Bovada directly
- * @param {string} sport - Sport to fetch (null = fetch all sports)
- * @returns {Promise<Array>} Events
- */
-async function fetchFromBovadaDirect(sport) {
-  // Bovada has a JSON API that powers their site
-  // This is undocumented and may break, but works for now
-  
-  const sportPaths = {
-    tennis: '/services/sports/event/coupon/events/A/description/tennis',
-    basketball: '/services/sports/event/coupon/events/A/description/basketball',
-    football: '/services/sports/event/coupon/events/A/description/football',
-    baseball: '/services/sports/event/coupon/events/A/description/baseball',
-    hockey: '/services/sports/event/coupon/events/A/description/hockey',
-    soccer: '/services/sports/event/coupon/events/A/description/soccer',
-    mma: '/services/sports/event/coupon/events/A/description/ufc-mma',
-  };
+    // The in-play coupon carries live odds for games that have started; without
+    // it we'd only have the pre-game lines
+    const [pregame, live] = await Promise.allSettled([fetchCoupon(path), fetchCoupon(`${path}?liveOnly=true`)]);
+    if (pregame.status === 'rejected') throw pregame.reason;
+    if (live.status === 'rejected') {
+      console.error(`  ↳ Live ${sport} coupon unavailable: ${live.reason.message}`);
+    }
 
-  // If no sport specified, fetch all sports in parallel
-  if (!sport) {
-    console.log('  ↳ Fetching all sports from Bovada...');
-    const allSports = Object.keys(sportPaths);
-    const results = await Promise.all(
-      allSports.map(s => fetchFromBovadaDirect(s).catch(() => []))
+    // Parse Bovada's response format
+    return mergeLiveEvents(
+      parseBovadaResponse(pregame.value, sport),
+      live.status === 'fulfilled' ? parseBovadaResponse(live.value, sport) : [],
     );
-    return results.flat();
-  }
-
-  const path = sportPaths[sport.toLowerCase()];
-  if (!path) {
-    return [];
-  }
+  };
 
-  try {
+  /**
+   * Fetches one Bovada coupon
+   * @param {string} path - Coupon path (and query)
+   * @returns {Promise<Array>} Raw Bovada response
+   */
+  const fetchCoupon = async (path) => {
     // Simple URL without extra params - matches working curl
     const url = `https://www.bovada.lv${path}`;
     console.log(`  ↳ Fetching: ${url}`);
-    
-    const response = await fetch(url, {
+
+    return fetchJson(url, {
+      source: 'Bovada',
+      breaker,
+      fetch,
       headers: {
         'User-Agent': 'Mozilla/5.0',
         'Accept': 'application/json',
       },
     });
+  };
 
-    if (!response.ok) {
-      console.error(`  ↳ Bovada direct fetch error: ${response.status} for ${sport}`);
-      console.error(`  ↳ URL: ${url}`);
-      return [];
-    }
+  return createEventSource({
+    name: 'bovada',
+    sports: SPORTS,
+    fetchEvents: (sport, { league = null } = {}) => fetchFromBovadaDirect(sport, league),
+    breaker,
+  });
+}
 
-    const data = await response.json();
-    
-    // Parse Bovada's response format
-    return parseBovadaResponse(data, sport);
-  } catch (error) {
-    console.error(`  ↳ Bovada direct fetch error: ${error.message}`);
-    return [];
-  }
+/**
+ * Merges live events into the pre-game list, live versions replacing pre-game ones
+ * @param {Array} pregame - Events from the sport coupon
+ * @param {Array} live - Events from the live coupon
+ * @returns {Array} Events
+ */
+export function mergeLiveEvents(pregame, live) {
+  const liveIds = new Set(live.map(event => event.id));
+  return [
+    ...pregame.filter(event => !liveIds.has(event.id)),
+    ...live.map(event => ({ ...event, live: true })),
+  ];
 }
 
 /**
@@ -179,7 +113,7 @@ async function fetchFromBovadaDirect(sport) {
  * @param {string} sport - Sport name
  * @returns {Array} Parsed events
  */
-function parseBovadaResponse(data, sport) {
+export function parseBovadaResponse(data, sport) {
   const events = [];
 
   if (!Array.isArray(data)) return events;
@@ -208,6 +142,7 @@ function parseBovadaResponse(data, sport) {
         startTime: event.startTime ? new Date(event.startTime).toISOString() : null,
         link: event.link, // Direct link from Bovada!
         live: event.live || false,
+        markets: parseBovadaMarkets(event.displayGroups),
         // Store for URL building
         _raw: event,
         _path: pathInfo,
@@ -236,6 +171,26 @@ export function getMockEvents(sport) {
         participant2: 'Lautaro Midon',
         startTime: new Date(Date.now() + 3600000).toISOString(),
         link: '/sports/tennis/atp/buenos-aires/daniel-elahi-galan-lautaro-midon-202602081100',
+        markets: [
+          createMarket({
+            id: 'mock-tennis-1-ml',
+            key: 'h2h',
+            description: 'Moneyline',
+            outcomes: [
+              { id: 'mock-tennis-1-ml-h', name: 'Daniel Elahi Galan', side: 'home', odds: '-110' },
+              { id: 'mock-tennis-1-ml-a', name: 'Lautaro Midon', side: 'away', odds: '-120' },
+            ],
+          }),
+          createMarket({
+            id: 'mock-tennis-1-games',
+            key: 'totals',
+            description: 'Total Games',
+            outcomes: [
+              { id: 'mock-tennis-1-games-o', name: 'Over', side: 'over', point: 22.5, odds: '-105' },
+              { id: 'mock-tennis-1-games-u', name: 'Under', side: 'under', point: 22.5, odds: '-125' },
+            ],
+          }),
+        ],
       },
       {
         id: 'mock-tennis-2',
@@ -247,6 +202,17 @@ export function getMockEvents(sport) {
         participant2: 'Rebecca Sramkova',
         startTime: new Date(Date.now() + 86400000).toISOString(),
         link: '/sports/tennis/wta/austin/jessica-pegula-rebecca-sramkova-202602241100',
+        markets: [
+          createMarket({
+            id: 'mock-tennis-2-ml',
+            key: 'h2h',
+            description: 'Moneyline',
+            outcomes: [
+              { id: 'mock-tennis-2-ml-h', name: 'Jessica Pegula', side: 'home', odds: '-250' },
+              { id: 'mock-tennis-2-ml-a', name: 'Rebecca Sramkova', side: 'away', odds: '+200' },
+            ],
+          }),
+        ],
       },
       {
         id: 'mock-tennis-3',
@@ -258,6 +224,26 @@ export function getMockEvents(sport) {
         participant2: 'Mattia Bellucci',
         startTime: new Date(Date.now() + 86400000).toISOString(),
         link: '/sports/tennis/atp/acapulco/sebastian-korda-mattia-bellucci-202602241100',
+        markets: [
+          createMarket({
+            id: 'mock-tennis-3-ml',
+            key: 'h2h',
+            description: 'Moneyline',
+            outcomes: [
+              { id: 'mock-tennis-3-ml-h', name: 'Sebastian Korda', side: 'home', odds: '-180' },
+              { id: 'mock-tennis-3-ml-a', name: 'Mattia Bellucci', side: 'away', odds: '+150' },
+            ],
+          }),
+          createMarket({
+            id: 'mock-prop-korda-aces',
+            key: 'player_aces',
+            description: 'Total Aces - Sebastian Korda',
+            outcomes: [
+              { id: 'mock-prop-korda-aces-o', name: 'Over', description: 'Sebastian Korda', side: 'over', point: 8.5, odds: '-120' },
+              { id: 'mock-prop-korda-aces-u', name: 'Under', description: 'Sebastian Korda', side: 'under', point: 8.5, odds: '-110' },
+            ],
+          }),
+        ],
       },
       {
         id: 'mock-tennis-4',
@@ -269,6 +255,7 @@ export function getMockEvents(sport) {
         participant2: 'Rinky Hijikata / Jordan Thompson',
         startTime: new Date(Date.now() + 7200000).toISOString(),
         link: '/sports/tennis/davis-cup/davis-cup/g-escobar-d-hidalgo-rinky-hijikata-jordan-thompson-202602081100',
+        markets: [],
       },
     ],
     basketball: [
@@ -282,6 +269,73 @@ export function getMockEvents(sport) {
         participant2: 'Boston Celtics',
         startTime: new Date(Date.now() + 86400000).toISOString(),
         link: '/sports/basketball/nba/los-angeles-lakers-boston-celtics-202602091900',
+        markets: [
+          createMarket({
+            id: 'mock-nba-1-ml',
+            key: 'h2h',
+            description: 'Moneyline',
+            outcomes: [
+              { id: 'mock-nba-1-ml-h', name: 'Los Angeles Lakers', side: 'home', odds: '+130' },
+              { id: 'mock-nba-1-ml-a', name: 'Boston Celtics', side: 'away', odds: '-150' },
+            ],
+          }),
+          createMarket({
+            id: 'mock-nba-1-spread',
+            key: 'spreads',
+            description: 'Point Spread',
+            outcomes: [
+              { id: 'mock-nba-1-spread-h', name: 'Los Angeles Lakers', side: 'home', point: 3.5, odds: '-110' },
+              { id: 'mock-nba-1-spread-a', name: 'Boston Celtics', side: 'away', point: -3.5, odds: '-110' },
+            ],
+          }),
+          createMarket({
+            id: 'mock-nba-1-total',
+            key: 'totals',
+            description: 'Total',
+            outcomes: [
+              { id: 'mock-nba-1-total-o', name: 'Over', side: 'over', point: 220.5, odds: '-110' },
+              { id: 'mock-nba-1-total-u', name: 'Under', side: 'under', point: 220.5, odds: '-110' },
+            ],
+          }),
+          createMarket({
+            id: 'mock-nba-1-1h-spread',
+            key: 'spreads',
+            period: '1H',
+            description: 'Point Spread',
+            outcomes: [
+              { id: 'mock-nba-1-1h-spread-h', name: 'Los Angeles Lakers', side: 'home', point: -3, odds: '-110' },
+              { id: 'mock-nba-1-1h-spread-a', name: 'Boston Celtics', side: 'away', point: 3, odds: '-110' },
+            ],
+          }),
+          createMarket({
+            id: 'mock-nba-1-1q-total',
+            key: 'totals',
+            period: '1Q',
+            description: 'Total',
+            outcomes: [
+              { id: 'mock-nba-1-1q-total-o', name: 'Over', side: 'over', point: 56.5, odds: '-110' },
+              { id: 'mock-nba-1-1q-total-u', name: 'Under', side: 'under', point: 56.5, odds: '-110' },
+            ],
+          }),
+          createMarket({
+            id: 'mock-prop-lebron-points',
+            key: 'player_points',
+            description: 'Total Points - LeBron James (LAL)',
+            outcomes: [
+              { id: 'mock-prop-lebron-points-o', name: 'Over', description: 'LeBron James', side: 'over', point: 25.5, odds: '-115' },
+              { id: 'mock-prop-lebron-points-u', name: 'Under', description: 'LeBron James', side: 'under', point: 25.5, odds: '-115' },
+            ],
+          }),
+          createMarket({
+            id: 'mock-prop-tatum-rebounds',
+            key: 'player_rebounds',
+            description: 'Total Rebounds - Jayson Tatum (BOS)',
+            outcomes: [
+              { id: 'mock-prop-tatum-rebounds-o', name: 'Over', description: 'Jayson Tatum', side: 'over', point: 8.5, odds: '+100' },
+              { id: 'mock-prop-tatum-rebounds-u', name: 'Under', description: 'Jayson Tatum', side: 'under', point: 8.5, odds: '-130' },
+            ],
+          }),
+        ],
       },
     ],
   };
@@ -294,9 +348,3 @@ export function getMockEvents(sport) {
   return Object.values(mockEvents).flat();
 }
 
-/**
- * Clears the event cache
- */
-export function clearEventCache() {
-  eventCache.clear();
-}
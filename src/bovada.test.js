@@ -1,6 +1,7 @@
-import { describe, it } from 'node:test';
+import { describe, it, before, after, mock } from 'node:test';
 import assert from 'node:assert';
-import { getMockEvents, clearEventCache } from './bovada.js';
+import { getMockEvents, parseBovadaResponse, mergeLiveEvents, createBovadaSource } from './bovada.js';
+import { clearEventCache } from './events.js';
 
 describe('getMockEvents', () => {
   it('returns tennis events for tennis sport', () => {
@@ -60,3 +61,162 @@ describe('clearEventCache', () => {
     assert.doesNotThrow(() => clearEventCache());
   });
 });
+
+describe('parseBovadaResponse', () => {
+  const response = [
+    {
+      path: [{ type: 'LEAGUE', description: 'NBA', link: '/basketball/nba' }],
+      events: [
+        {
+          id: '1001',
+          description: 'Los Angeles Lakers @ Boston Celtics',
+          link: '/basketball/nba/los-angeles-lakers-boston-celtics-202602091900',
+          startTime: 1770681600000,
+          competitors: [{ name: 'Los Angeles Lakers' }, { name: 'Boston Celtics' }],
+          displayGroups: [
+            {
+              description: 'Game Lines',
+              markets: [
+                {
+                  id: 'm1',
+                  description: 'Moneyline',
+                  period: { description: 'Game', abbreviation: 'G' },
+                  outcomes: [
+                    { id: 'o5', description: 'Los Angeles Lakers', type: 'A', price: { american: '+130', decimal: '2.30' } },
+                    { id: 'o6', description: 'Boston Celtics', type: 'H', price: { american: '-150', decimal: '1.667' } },
+                  ],
+                },
+                {
+                  id: 'm3',
+                  description: 'Point Spread',
+                  period: { description: 'First Half', abbreviation: '1H' },
+                  outcomes: [
+                    { id: 'o3', description: 'Los Angeles Lakers', type: 'H', price: { american: '-110', handicap: '-3.0' } },
+                    { id: 'o4', description: 'Boston Celtics', type: 'A', price: { american: '-110', handicap: '3.0' } },
+                  ],
+                },
+              ],
+            },
+            {
+              description: 'Player Props',
+              markets: [
+                {
+                  id: 'm2',
+                  description: 'Total Points - LeBron James (LAL)',
+                  outcomes: [
+                    { id: 'o1', description: 'Over', type: 'O', price: { american: '-115', handicap: '25.5' } },
+                    { id: 'o2', description: 'Under', type: 'U', price: { american: '-115', handicap: '25.5' } },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+  ];
+
+  it('parses participants and league', () => {
+    const [event] = parseBovadaResponse(response, 'basketball');
+
+    assert.strictEqual(event.participant1, 'Los Angeles Lakers');
+    assert.strictEqual(event.league, 'NBA');
+  });
+
+  it('normalizes game markets', () => {
+    const [event] = parseBovadaResponse(response, 'basketball');
+    const moneyline = event.markets.find(m => m.id === 'm1');
+
+    assert.strictEqual(moneyline.key, 'h2h');
+    assert.strictEqual(moneyline.period, null);
+    assert.deepStrictEqual(moneyline.outcomes.map(o => [o.name, o.side, o.odds]), [
+      ['Los Angeles Lakers', 'away', '+130'],
+      ['Boston Celtics', 'home', '-150'],
+    ]);
+    assert.strictEqual(moneyline.outcomes[0].price.decimal, 2.3);
+  });
+
+  it('keeps player prop markets', () => {
+    const [event] = parseBovadaResponse(response, 'basketball');
+    const prop = event.markets.find(m => m.id === 'm2');
+
+    assert.strictEqual(prop.key, 'player_points');
+    assert.deepStrictEqual(prop.outcomes.map(o => [o.side, o.description, o.point, o.odds]), [
+      ['over', 'LeBron James', 25.5, '-115'],
+      ['under', 'LeBron James', 25.5, '-115'],
+    ]);
+  });
+
+  it('keeps period markets', () => {
+    const [event] = parseBovadaResponse(response, 'basketball');
+    const spread = event.markets.find(m => m.id === 'm3');
+
+    assert.strictEqual(spread.key, 'spreads');
+    assert.strictEqual(spread.period, '1H');
+    assert.deepStrictEqual(spread.outcomes.map(o => [o.name, o.point, o.odds]), [
+      ['Los Angeles Lakers', -3, '-110'],
+      ['Boston Celtics', 3, '-110'],
+    ]);
+  });
+
+  it('returns no events for non-array responses', () => {
+    assert.deepStrictEqual(parseBovadaResponse({ error: 'nope' }, 'basketball'), []);
+  });
+});
+
+describe('mergeLiveEvents', () => {
+  it('replaces pre-game events with their live versions', () => {
+    const merged = mergeLiveEvents(
+      [{ id: '1', live: false }, { id: '2', live: false }],
+      [{ id: '1', live: false }],
+    );
+
+    assert.deepStrictEqual(merged, [{ id: '2', live: false }, { id: '1', live: true }]);
+  });
+});
+
+describe('createBovadaSource', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+  after(() => mock.restoreAll());
+
+  const coupon = (id, live) => [{
+    path: [{ type: 'LEAGUE', description: 'NBA' }],
+    events: [{ id, description: `Event ${id}`, live, competitors: [{ name: 'A' }, { name: 'B' }] }],
+  }];
+
+  /**
+   * fetch stand-in answering the pre-game and live coupons
+   */
+  function createFetch({ live }) {
+    const calls = [];
+    const fetch = async (url) => {
+      calls.push(url);
+      const isLive = url.includes('liveOnly=true');
+      if (isLive && live instanceof Error) throw live;
+      return { ok: true, status: 200, headers: new Headers(), json: async () => (isLive ? live : coupon('pre', false)) };
+    };
+    fetch.calls = calls;
+    return fetch;
+  }
+
+  it('fetches the live coupon alongside the pre-game one', async () => {
+    const fetch = createFetch({ live: coupon('in-play', true) });
+    const events = await createBovadaSource({ fetch }).fetchEvents('basketball');
+
+    assert.deepStrictEqual(events.map(e => [e.id, e.live]), [['pre', false], ['in-play', true]]);
+    assert.deepStrictEqual(fetch.calls, [
+      'https://www.bovada.lv/services/sports/event/coupon/events/A/description/basketball',
+      'https://www.bovada.lv/services/sports/event/coupon/events/A/description/basketball?liveOnly=true',
+    ]);
+  });
+
+  it('keeps pre-game events when the live coupon fails', async () => {
+    const fetch = createFetch({ live: new TypeError('fetch failed') });
+    const events = await createBovadaSource({ fetch }).fetchEvents('basketball');
+
+    assert.deepStrictEqual(events.map(e => e.id), ['pre']);
+  });
+});
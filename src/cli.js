@@ -5,10 +5,19 @@
  */
 
 import 'dotenv/config';
-import { parsePick, parsePickSimple } from './parser.js';
-import { findMatchingEvent, findMatchingEventSimple } from './matcher.js';
+import { join, extname } from 'node:path';
+import { readFileSync } from 'node:fs';
+import { parsePick, parsePickImage, parsePickSimple } from './parser.js';
+import { findMatchingEvent, findMatchingEventSimple, confirmMatch } from './matcher.js';
+import { describeSelection } from './selection.js';
 import { buildBovadaUrl } from './urlBuilder.js';
-import { fetchBovadaEvents } from './bovada.js';
+import { fetchBovadaEvents, useEventSources, EVENTS_UNAVAILABLE } from './events.js';
+import { createEventSources, createOddsApiQuota } from './sources.js';
+import { createOddsApiClient } from './oddsApi.js';
+import { formatQuota } from './quota.js';
+import { isInProgress } from './eventStore.js';
+import { createParseCache } from './parseCache.js';
+import { createLLMProviderFromEnv } from './llm.js';
 
 const args = process.argv.slice(2);
 
@@ -19,54 +28,100 @@ Bovada Bet Linker - CLI Demo
 Usage:
   node src/cli.js "<pick text>"              Parse a pick and generate link
   node src/cli.js --mock "<pick text>"       Use mock data only (no API calls)
+  node src/cli.js --fixtures "<pick text>"   Replay recorded Bovada responses (no API calls)
   node src/cli.js --parse "<pick text>"      Only parse, don't match
+  node src/cli.js --image slip.png ["text"]  Read a bet slip screenshot
   node src/cli.js --events [sport]           List available events
+  node src/cli.js --quota                    Show Odds API quota and budget use
 
 Examples:
   node src/cli.js "Galan ML -110: 1 unit"
   node src/cli.js --mock "Lakers +150: 2u"
+  node src/cli.js --simple "Lakers ML / Celtics -3.5 / Over 220.5 parlay 1u"
   node src/cli.js --events tennis
 
 Options:
   --mock      Use mock event data (no API key needed)
+  --fixtures  Use recorded Bovada responses from FIXTURES_DIR (default src/fixtures/bovada)
   --parse     Only parse the pick, don't match to events
   --events    List available events for a sport
+  --quota     Show Odds API credits left and today's/this month's spend
   --simple    Use simple parser (no LLM)
+  --no-cache  Don't reuse or store cached LLM parses
+  --image     Parse a bet slip screenshot (needs a vision-capable LLM)
   --help, -h  Show this help
 `);
   process.exit(0);
 }
 
+// Quota counts are shared with the bot through DATA_DIR
+const quota = createOddsApiQuota({ dataDir: process.env.DATA_DIR || 'data' });
+
 async function main() {
   const useMock = args.includes('--mock');
+  const useFixtures = args.includes('--fixtures');
   const parseOnly = args.includes('--parse');
   const listEvents = args.includes('--events');
+  const showQuota = args.includes('--quota');
   const useSimple = args.includes('--simple');
+  const useCache = !args.includes('--no-cache');
+  const llm = useSimple ? null : createLLMProviderFromEnv();
+
+  const imageIndex = args.indexOf('--image');
+  const imagePath = imageIndex >= 0 ? args[imageIndex + 1] : null;
+
+  // Filter out flags (and the image path) to get the actual input
+  const input = args
+    .filter((a, i) => !a.startsWith('--') && !(imagePath && i === imageIndex + 1))
+    .join(' ');
 
-  // Filter out flags to get the actual input
-  const input = args.filter(a => !a.startsWith('--')).join(' ');
+  if (showQuota) {
+    await showQuotaStatus(quota);
+    return;
+  }
+
+  // Offline sources replace the configured chain (EVENT_SOURCES)
+  useEventSources(createEventSources(useMock ? ['mock'] : useFixtures ? ['fixtures'] : undefined, { quota }));
 
   if (listEvents) {
     await showEvents(input || undefined);
+    await quota.flush();
     return;
   }
 
-  if (!input) {
+  if (!input && !imagePath) {
     console.error('Error: Please provide a pick to parse');
     process.exit(1);
   }
 
-  console.log('📝 Input:', input);
+  console.log('📝 Input:', input || '(none)');
+  if (imagePath) console.log('🖼️  Image:', imagePath);
   console.log('');
 
   // Step 1: Parse
   let parsed;
-  if (useSimple || !process.env.ANTHROPIC_API_KEY) {
+  if (imagePath) {
+    if (!llm) {
+      console.error('Error: Reading a bet slip needs an LLM (set ANTHROPIC_API_KEY or LLM_PROVIDER)');
+      process.exit(1);
+    }
+    console.log(`🤖 Reading bet slip (${llm.name}/${llm.model})...`);
+    const mediaType = `image/${extname(imagePath).slice(1).toLowerCase().replace('jpg', 'jpeg')}`;
+    const data = readFileSync(imagePath).toString('base64');
+    parsed = await parsePickImage([{ mediaType, data }], llm, { text: input });
+  } else if (!llm) {
     console.log('🔍 Parsing (simple mode)...');
     parsed = parsePickSimple(input);
   } else {
-    console.log('🤖 Parsing (LLM mode)...');
-    parsed = await parsePick(input, process.env.ANTHROPIC_API_KEY);
+    console.log(`🤖 Parsing (LLM mode: ${llm.name}/${llm.model})...`);
+    const cache = useCache
+      ? createParseCache({
+        ttlMs: process.env.PARSE_CACHE_TTL_MS ? Number(process.env.PARSE_CACHE_TTL_MS) : undefined,
+        filePath: join(process.env.DATA_DIR || 'data', 'parse-cache.json'),
+      })
+      : undefined;
+    parsed = await parsePick(input, llm, { cache });
+    await cache?.flush();
   }
 
   console.log('📊 Parsed:', JSON.stringify(parsed, null, 2));
@@ -81,13 +136,35 @@ async function main() {
     return;
   }
 
-  // Step 2: Fetch events
-  let sport = parsed.sport;
-  
-  // Force mock mode if requested or no API key
-  if (useMock) {
-    process.env.ODDS_API_KEY = '';
+  if (parsed.isParlay) {
+    console.log(`🧾 ${parsed.legs.length}-leg parlay${parsed.units ? ` (${parsed.units}u)` : ''}`);
+    console.log('');
+  }
+
+  let matchedCount = 0;
+  for (const [index, leg] of parsed.legs.entries()) {
+    if (parsed.legs.length > 1) {
+      console.log(`━━ Leg ${index + 1}/${parsed.legs.length}: ${leg.description}`);
+    }
+    if (await linkLeg(leg, llm)) matchedCount++;
+    console.log('');
   }
+  await quota.flush();
+
+  if (matchedCount === 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Fetches events, matches and prints the link for one pick leg
+ * @param {Object} leg - Parsed pick leg
+ * @param {Object|null} llm - LLM provider (simple matching only if not set)
+ * @returns {Promise<boolean>} Whether a link was produced
+ */
+async function linkLeg(leg, llm) {
+  // Step 2: Fetch events
+  const sport = leg.sport;
   
   // If no sport detected, fetch all events (for demo/mock mode)
   if (!sport) {
@@ -96,40 +173,71 @@ async function main() {
     console.log(`📅 Fetching ${sport} events...`);
   }
   
-  const events = await fetchBovadaEvents(sport);
+  let events;
+  try {
+    events = await fetchBovadaEvents(sport, { league: leg.league });
+  } catch (error) {
+    if (error.code !== EVENTS_UNAVAILABLE) throw error;
+    console.log(`🛑 Bovada is unavailable: ${error.message}`);
+    return false;
+  }
   console.log(`   Found ${events.length} events`);
   console.log('');
 
   if (events.length === 0) {
-    console.log('⚠️  No events found. Try --mock for demo data.');
-    process.exit(1);
+    console.log('⚠️  No events found. Try --mock or --fixtures for demo data.');
+    return false;
   }
 
   // Step 3: Match
   console.log('🎯 Matching to event...');
   let matched;
-  if (useSimple || !process.env.ANTHROPIC_API_KEY) {
-    const result = findMatchingEventSimple(parsed, events);
+  if (!llm) {
+    const result = findMatchingEventSimple(leg, events);
     matched = result?.event;
     if (result) {
       console.log(`   Confidence: ${(result.confidence * 100).toFixed(0)}%`);
     }
   } else {
-    matched = await findMatchingEvent(parsed, events, process.env.ANTHROPIC_API_KEY);
+    matched = await findMatchingEvent(leg, events, llm);
   }
 
   if (!matched) {
     console.log('❌ No matching event found');
-    process.exit(1);
+    return false;
   }
 
   console.log('✅ Matched:', matched.description || matched.displayName);
+  console.log('📊 Pick:', describeSelection(leg, confirmMatch(leg, matched).selection));
+  if (isInProgress(matched)) {
+    console.log('🔴 Game in progress, linking live betting');
+  }
   console.log('');
 
   // Step 4: Build URL
   const url = buildBovadaUrl(matched);
   console.log('🔗 Bovada Link:');
   console.log(`   ${url}`);
+  return true;
+}
+
+/**
+ * Prints Odds API quota status, refreshed from a (free) sports listing request
+ * @param {Object} quota - Quota tracker (see quota.js)
+ */
+async function showQuotaStatus(quota) {
+  if (process.env.ODDS_API_KEY) {
+    try {
+      await createOddsApiClient({ apiKey: process.env.ODDS_API_KEY, quota }).listSports();
+    } catch (error) {
+      console.log(`⚠️  Could not reach The Odds API (${error.message}), showing the last known quota`);
+    }
+  } else {
+    console.log('ℹ️  ODDS_API_KEY is not set, showing the last known quota');
+  }
+
+  console.log(`📊 Odds API quota: ${formatQuota(quota.status())}`);
+  await quota.flush();
 }
 
 async function showEvents(sport) {
@@ -138,7 +246,7 @@ async function showEvents(sport) {
   const events = await fetchBovadaEvents(sport);
   
   if (events.length === 0) {
-    console.log('No events found. Using mock data might not have this sport.');
+    console.log('No events found. Mock data and fixtures might not have this sport.');
     return;
   }
 
@@ -0,0 +1,200 @@
+/**
+ * Bot commands
+ *
+ * Messages starting with "!" are commands rather than picks. Reading
+ * commands are open to everyone; commands that change how the bot treats a
+ * server's picks need the Manage Server permission.
+ */
+
+import { PermissionFlagsBits } from 'discord.js';
+import { STALE_ODDS_ACTIONS } from './settings.js';
+
+/**
+ * Runs the command in a message, if it's one of ours
+ * @param {Message} message - Discord message starting with "!"
+ * @param {Object} context - Shared bot state (see bot.js)
+ * @returns {Promise<boolean>} True if the message was a bot command
+ */
+export async function handleCommand(message, context) {
+  const match = message.content.match(/^!(\w+)\b\s*([\s\S]*)$/);
+  const handler = match && COMMANDS[match[1].toLowerCase()];
+  if (!handler) return false;
+
+  await handler(message, match[2].trim(), context);
+  return true;
+}
+
+/**
+ * Handles "!alias" commands for managing this server's aliases
+ *
+ *   !alias list
+ *   !alias Stan the Man = Stan Wawrinka
+ *   !alias remove Stan the Man
+ *
+ * @param {Message} message - Discord message
+ * @param {string} args - Text after the command name
+ * @param {Object} context - Shared bot state
+ */
+async function handleAliasCommand(message, args, context) {
+  const aliases = context.aliases.forServer(message.guildId || undefined);
+
+  if (!args || /^list$/i.test(args)) {
+    const entries = aliases.list();
+    await message.reply({
+      content: entries.length > 0
+        ? `📖 **Server aliases**\n${entries.map(e => `• ${e.alias} → ${e.name}`).join('\n')}`
+        : '📖 No server aliases yet. Add one with `!alias <short name> = <full name>`',
+    });
+    return;
+  }
+
+  // Changing aliases affects everyone's links, so it's limited to server managers
+  if (!canManageServer(message)) {
+    await message.reply({ content: '⛔ Only members with Manage Server can change aliases' });
+    return;
+  }
+
+  const removeMatch = args.match(/^(?:remove|delete|rm)\s+(.+)$/i);
+  if (removeMatch) {
+    const removed = aliases.remove(removeMatch[1]);
+    await message.reply({ content: removed ? `🗑️ Removed alias **${removeMatch[1]}**` : `⚠️ No alias **${removeMatch[1]}**` });
+    return;
+  }
+
+  const addMatch = args.match(/^(.+?)\s*=\s*(.+)$/);
+  if (!addMatch) {
+    await message.reply({ content: '⚠️ Usage: `!alias <short name> = <full name>`, `!alias remove <short name>` or `!alias list`' });
+    return;
+  }
+
+  const entry = aliases.add(addMatch[1], addMatch[2]);
+  const known = [entry.sport, entry.league].filter(Boolean).join(', ');
+  console.log(`  ↳ Alias added: "${addMatch[1]}" -> "${entry.name}"`);
+  await message.reply({ content: `✅ **${addMatch[1]}** now means **${entry.name}**${known ? ` (${known})` : ''}` });
+}
+
+/**
+ * Handles "!learned" commands for reviewing aliases learned from corrections
+ *
+ *   !learned                list this server's learned aliases
+ *   !learned remove Seb K   forget one
+ *   !learned clear          forget them all
+ *
+ * @param {Message} message - Discord message
+ * @param {string} args - Text after the command name
+ * @param {Object} context - Shared bot state
+ */
+async function handleLearnedCommand(message, args, context) {
+  const aliases = context.aliases.forServer(message.guildId || undefined);
+  const learned = aliases.list({ learned: true });
+
+  if (!args || /^list$/i.test(args)) {
+    await message.reply({
+      content: learned.length > 0
+        ? `🧠 **Learned aliases**\n${learned.map(e => `• ${e.alias} → ${e.name}`).join('\n')}`
+        : '🧠 No learned aliases yet. React ❌ to a wrong link to teach me',
+    });
+    return;
+  }
+
+  // Learned aliases change everyone's links too
+  if (!canManageServer(message)) {
+    await message.reply({ content: '⛔ Only members with Manage Server can remove learned aliases' });
+    return;
+  }
+
+  if (/^clear$/i.test(args)) {
+    for (const { alias } of learned) aliases.remove(alias, { learned: true });
+    console.log(`  ↳ Cleared ${learned.length} learned aliases`);
+    await message.reply({ content: `🗑️ Forgot ${learned.length} learned alias${learned.length === 1 ? '' : 'es'}` });
+    return;
+  }
+
+  const removeMatch = args.match(/^(?:remove|delete|rm)\s+(.+)$/i);
+  if (!removeMatch) {
+    await message.reply({ content: '⚠️ Usage: `!learned`, `!learned remove <short name>` or `!learned clear`' });
+    return;
+  }
+
+  const removed = aliases.remove(removeMatch[1], { learned: true });
+  await message.reply({ content: removed ? `🗑️ Forgot **${removeMatch[1]}**` : `⚠️ No learned alias **${removeMatch[1]}**` });
+}
+
+/**
+ * Handles "!stale" commands for the stale-odds threshold
+ *
+ *   !stale                 show the current setting
+ *   !stale 30              flag picks whose odds moved 30 cents or more against them
+ *   !stale 30 suppress     withhold links for those picks instead
+ *   !stale off             never flag picks as stale
+ *   !stale reset           back to the bot defaults
+ *
+ * @param {Message} message - Discord message
+ * @param {string} args - Text after the command name
+ * @param {Object} context - Shared bot state
+ */
+async function handleStaleCommand(message, args, context) {
+  const serverId = message.guildId || undefined;
+
+  if (!args) {
+    await message.reply({ content: describeStaleSetting(context.settings.get(serverId)) });
+    return;
+  }
+
+  if (!canManageServer(message)) {
+    await message.reply({ content: '⛔ Only members with Manage Server can change the stale-odds setting' });
+    return;
+  }
+
+  if (/^reset$/i.test(args)) {
+    await message.reply({ content: describeStaleSetting(context.settings.reset(serverId)) });
+    return;
+  }
+
+  let changes;
+  if (/^off$/i.test(args)) {
+    changes = { staleOddsAction: 'off' };
+  } else {
+    const match = args.match(/^(\d+)\s*(?:¢|c|cents?)?(?:\s+(\w+))?$/i);
+    const action = match?.[2]?.toLowerCase() || 'annotate';
+    if (!match || !STALE_ODDS_ACTIONS.includes(action)) {
+      await message.reply({ content: '⚠️ Usage: `!stale <cents> [annotate|suppress]`, `!stale off` or `!stale reset`' });
+      return;
+    }
+    changes = { staleOddsCents: parseInt(match[1], 10), staleOddsAction: action };
+  }
+
+  const settings = context.settings.set(serverId, changes);
+  console.log(`  ↳ Stale odds setting changed: ${JSON.stringify(changes)}`);
+  await message.reply({ content: describeStaleSetting(settings) });
+}
+
+/**
+ * @param {Object} settings - Server settings
+ * @returns {string} Human-readable stale-odds setting
+ */
+function describeStaleSetting({ staleOddsCents, staleOddsAction }) {
+  switch (staleOddsAction) {
+    case 'off':
+      return '⏸️ Stale odds: not flagged';
+    case 'suppress':
+      return `🔒 Stale odds: links withheld when odds move ${staleOddsCents}¢+ against the pick or the posted line is gone`;
+    default:
+      return `⚠️ Stale odds: flagged when odds move ${staleOddsCents}¢+ against the pick or the posted line is gone`;
+  }
+}
+
+/**
+ * Checks whether the author can change server-wide bot settings
+ * @param {Message} message - Discord message
+ * @returns {boolean} True in DMs or for members with Manage Server
+ */
+function canManageServer(message) {
+  return !message.guild || Boolean(message.member?.permissions.has(PermissionFlagsBits.ManageGuild));
+}
+
+const COMMANDS = {
+  alias: handleAliasCommand,
+  learned: handleLearnedCommand,
+  stale: handleStaleCommand,
+};
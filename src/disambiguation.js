@@ -0,0 +1,176 @@
+/**
+ * Asking the poster which event they meant
+ *
+ * When a leg's best events are too close to call (see findAmbiguousChoices
+ * in matcher.js), the reply carries a select menu per leg listing them. The
+ * poster's choice replaces the guess, and the reply is edited into the final
+ * links once every leg is settled.
+ *
+ * After the fact, a ❌ on a reply opens the same kind of menu listing the
+ * participants of other events. The one chosen fixes the link and, for
+ * single-name legs, is learned as an alias ("Seb K" -> "Sebastian Korda").
+ */
+
+import { ActionRowBuilder, StringSelectMenuBuilder } from 'discord.js';
+import { isInProgress } from './eventStore.js';
+
+// Custom id prefixes of our select menus: "<prefix>:<leg index>"
+export const CHOICE_ID_PREFIX = 'pick-choice';
+export const CORRECTION_ID_PREFIX = 'pick-fix';
+
+const MAX_MENUS = 5; // Discord allows five rows of components per message
+const MAX_LABEL_LENGTH = 100;
+const MAX_CORRECTION_EVENTS = 12; // Two participants each, within a menu's 25 options
+
+/**
+ * Picks the legs to ask about: the first five with choices, since each needs
+ * its own row. Later ambiguous legs keep their best match.
+ * @param {Array} legResults - Per-leg results ({ leg, matchResult })
+ * @returns {Array} Choices per leg (empty for legs that aren't asked about)
+ */
+export function selectChoices(legResults) {
+  let menus = 0;
+  return legResults.map(({ matchResult }) => {
+    const choices = matchResult?.choices || [];
+    if (choices.length < 2 || menus === MAX_MENUS) return [];
+    menus++;
+    return choices;
+  });
+}
+
+/**
+ * Builds a select menu for every leg still waiting on a choice
+ * @param {Array} legResults - Per-leg results, with `choices` for legs to ask about
+ * @returns {Array} Action rows (none once every leg is settled)
+ */
+export function buildChoiceRows(legResults) {
+  return legResults.flatMap(({ leg, choices }, legIndex) => {
+    if (!choices?.length) return [];
+
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(`${CHOICE_ID_PREFIX}:${legIndex}`)
+      .setPlaceholder(truncate(`Which game for ${leg.description}?`))
+      .addOptions(choices.map((event, choiceIndex) => ({
+        label: truncate(event.displayName || event.description || `${event.participant1} vs ${event.participant2}`),
+        description: truncate(describeChoice(event)),
+        value: String(choiceIndex),
+      })));
+
+    return [new ActionRowBuilder().addComponents(menu)];
+  });
+}
+
+/**
+ * Reads a choice from a select menu interaction
+ * @param {string} customId - The menu's custom id
+ * @param {string[]} values - Selected option values
+ * @param {string} prefix - Custom id prefix of the menus to accept
+ * @returns {Object|null} { legIndex, choiceIndex }, or null if it isn't one of those menus
+ */
+export function parseChoice(customId, values, prefix = CHOICE_ID_PREFIX) {
+  const match = customId?.match(new RegExp(`^${prefix}:(\\d+)$`));
+  const choiceIndex = Number(values?.[0]);
+  if (!match || !Number.isInteger(choiceIndex)) return null;
+  return { legIndex: Number(match[1]), choiceIndex };
+}
+
+/**
+ * Lists who a corrected leg could have meant: participants of the other
+ * candidate events first, then of the rest of the leg's sport
+ * @param {Object} legResult - Per-leg result ({ leg, events, matchResult })
+ * @param {number} now - When the pick was posted, so games started since still count
+ * @returns {Array} Options ({ event, participant }); participant is null for tournaments
+ */
+export function listCorrectionOptions({ leg, events, matchResult, unavailable }, now = Date.now()) {
+  if (unavailable) return [];
+
+  const current = matchResult?.event;
+  const eligible = event => event !== current
+    && (!leg.sport || event.sport === leg.sport)
+    && (leg.live || !isInProgress(event, now));
+  const ranked = [...(matchResult?.candidates || []).map(candidate => candidate.event), ...(events || [])];
+
+  return [...new Set(ranked.filter(eligible))]
+    .slice(0, MAX_CORRECTION_EVENTS)
+    .flatMap(event => {
+      const participants = [event.participant1, event.participant2].filter(Boolean);
+      return participants.length > 0
+        ? participants.map(participant => ({ event, participant }))
+        : [{ event, participant: null }];
+    });
+}
+
+/**
+ * Picks the legs to offer corrections for: the first five with options
+ * @param {Array} legResults - Per-leg results
+ * @param {number} now - When the pick was posted
+ * @returns {Array} Options per leg (empty for legs without a menu)
+ */
+export function selectCorrections(legResults, now = Date.now()) {
+  let menus = 0;
+  return legResults.map(legResult => {
+    const options = listCorrectionOptions(legResult, now);
+    if (options.length === 0 || menus === MAX_MENUS) return [];
+    menus++;
+    return options;
+  });
+}
+
+/**
+ * Builds a correction menu for every leg with options left
+ * @param {Array} legResults - Per-leg results
+ * @param {Array} corrections - Options per leg (see selectCorrections)
+ * @returns {Array} Action rows
+ */
+export function buildCorrectionRows(legResults, corrections) {
+  return legResults.flatMap(({ leg }, legIndex) => {
+    const options = corrections[legIndex];
+    if (!options?.length) return [];
+
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(`${CORRECTION_ID_PREFIX}:${legIndex}`)
+      .setPlaceholder(truncate(`Who did you mean in ${leg.description}?`))
+      .addOptions(options.map(({ event, participant }, index) => {
+        const opponent = [event.participant1, event.participant2].find(name => name && name !== participant);
+        return {
+          label: truncate(participant || event.displayName || event.description),
+          description: truncate([participant && opponent && `vs ${opponent}`, describeChoice(event)].filter(Boolean).join(' · ')),
+          value: String(index),
+        };
+      }));
+
+    return [new ActionRowBuilder().addComponents(menu)];
+  });
+}
+
+/**
+ * Learns the name in a corrected leg as an alias for the participant chosen
+ * @param {Object} aliases - Server alias dictionary (see aliases.js)
+ * @param {Object} leg - Parsed pick leg
+ * @param {Object} option - Chosen option ({ event, participant })
+ * @returns {Object|null} Learned entry, or null if there was nothing to learn
+ */
+export function learnCorrection(aliases, leg, { event, participant }) {
+  // Only a single name maps onto one participant ("Lakers/Celtics o220" doesn't)
+  if (!participant || leg.players?.length !== 1) return null;
+  return aliases.learn(leg.players[0], participant, { sport: event.sport, league: event.league });
+}
+
+/**
+ * @param {Object} event - Event
+ * @returns {string} e.g. "tennis · WTA · Tue, Oct 20, 7:00 PM"
+ */
+function describeChoice(event) {
+  const start = event.startTime
+    ? new Date(event.startTime).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+    : null;
+  return [event.sport, event.league, start].filter(Boolean).join(' · ') || 'Bovada event';
+}
+
+/**
+ * @param {string} text - Label text
+ * @returns {string} Text within Discord's label length
+ */
+function truncate(text) {
+  return text.length > MAX_LABEL_LENGTH ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}…` : text;
+}
@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  selectChoices,
+  buildChoiceRows,
+  parseChoice,
+  listCorrectionOptions,
+  selectCorrections,
+  buildCorrectionRows,
+  learnCorrection,
+  CHOICE_ID_PREFIX,
+  CORRECTION_ID_PREFIX,
+} from './disambiguation.js';
+import { createAliasDictionary } from './aliases.js';
+
+const jayhawks = { id: 'ku', sport: 'basketball', league: 'NCAAB', displayName: 'Kansas Jayhawks vs Duke Blue Devils' };
+const wildcats = { id: 'ksu', sport: 'basketball', league: 'NCAAB', displayName: 'Kansas State Wildcats vs Baylor Bears' };
+const leg = { description: 'Kansas ML -150' };
+
+describe('selectChoices', () => {
+  it('asks about legs with several choices', () => {
+    const choices = selectChoices([
+      { leg, matchResult: { choices: [jayhawks, wildcats] } },
+      { leg, matchResult: { choices: [] } },
+      { leg, matchResult: null, unavailable: true },
+    ]);
+
+    assert.deepStrictEqual(choices, [[jayhawks, wildcats], [], []]);
+  });
+
+  it('asks about five legs at most', () => {
+    const legResults = Array.from({ length: 7 }, () => ({ leg, matchResult: { choices: [jayhawks, wildcats] } }));
+
+    assert.deepStrictEqual(selectChoices(legResults).map(c => c.length), [2, 2, 2, 2, 2, 0, 0]);
+  });
+});
+
+describe('buildChoiceRows', () => {
+  it('builds one select menu per open leg', () => {
+    const rows = buildChoiceRows([{ leg, choices: [] }, { leg, choices: [jayhawks, wildcats] }]).map(row => row.toJSON());
+
+    assert.strictEqual(rows.length, 1);
+    const [menu] = rows[0].components;
+    assert.strictEqual(menu.custom_id, `${CHOICE_ID_PREFIX}:1`);
+    assert.strictEqual(menu.placeholder, 'Which game for Kansas ML -150?');
+    assert.deepStrictEqual(menu.options.map(o => [o.label, o.value]), [
+      ['Kansas Jayhawks vs Duke Blue Devils', '0'],
+      ['Kansas State Wildcats vs Baylor Bears', '1'],
+    ]);
+    assert.strictEqual(menu.options[0].description, 'basketball · NCAAB');
+  });
+
+  it('keeps labels within Discord limits', () => {
+    const long = { ...jayhawks, displayName: 'x'.repeat(150) };
+    const [row] = buildChoiceRows([{ leg, choices: [long, wildcats] }]).map(r => r.toJSON());
+
+    assert.strictEqual(row.components[0].options[0].label.length, 100);
+  });
+
+  it('builds nothing once every leg is settled', () => {
+    assert.deepStrictEqual(buildChoiceRows([{ leg, choices: [] }, { leg }]), []);
+  });
+});
+
+describe('parseChoice', () => {
+  it('reads the leg and choice', () => {
+    assert.deepStrictEqual(parseChoice(`${CHOICE_ID_PREFIX}:2`, ['1']), { legIndex: 2, choiceIndex: 1 });
+  });
+
+  it('ignores other components', () => {
+    assert.strictEqual(parseChoice('something-else:2', ['1']), null);
+    assert.strictEqual(parseChoice(`${CHOICE_ID_PREFIX}:2`, []), null);
+  });
+});
+
+describe('corrections', () => {
+  const hour = 60 * 60 * 1000;
+  const event = (id, participant1, participant2, extra = {}) => ({
+    id,
+    sport: 'tennis',
+    participant1,
+    participant2,
+    startTime: new Date(Date.now() + hour).toISOString(),
+    ...extra,
+  });
+  const galan = event('galan', 'Daniel Elahi Galan', 'Lautaro Midon');
+  const korda = event('korda', 'Sebastian Korda', 'Mattia Bellucci');
+  const pegula = event('pegula', 'Jessica Pegula', 'Rebecca Sramkova');
+  const started = event('started', 'Ben Shelton', 'Tommy Paul', { startTime: new Date(Date.now() - hour).toISOString() });
+  const lakers = event('lakers', 'Los Angeles Lakers', 'Boston Celtics', { sport: 'basketball' });
+  const sebLeg = { description: 'Seb K ML -120', players: ['Seb K'], sport: 'tennis' };
+  const legResult = {
+    leg: sebLeg,
+    events: [galan, pegula, started, korda, lakers],
+    matchResult: { event: galan, candidates: [{ event: galan, score: 0.6 }, { event: korda, score: 0.5 }] },
+  };
+
+  it('lists the other candidates\' participants first, then the sport\'s other games', () => {
+    const options = listCorrectionOptions(legResult);
+
+    assert.deepStrictEqual(options.map(o => o.participant), ['Sebastian Korda', 'Mattia Bellucci', 'Jessica Pegula', 'Rebecca Sramkova']);
+  });
+
+  it('offers nothing for legs that could not be looked up', () => {
+    assert.deepStrictEqual(listCorrectionOptions({ leg: sebLeg, unavailable: true }), []);
+  });
+
+  it('builds a menu of participants per leg', () => {
+    const corrections = selectCorrections([legResult]);
+    const [row] = buildCorrectionRows([legResult], corrections).map(r => r.toJSON());
+    const [menu] = row.components;
+
+    assert.strictEqual(menu.custom_id, `${CORRECTION_ID_PREFIX}:0`);
+    assert.strictEqual(menu.options[0].label, 'Sebastian Korda');
+    assert.ok(menu.options[0].description.startsWith('vs Mattia Bellucci · tennis'));
+    assert.deepStrictEqual(parseChoice(menu.custom_id, ['0'], CORRECTION_ID_PREFIX), { legIndex: 0, choiceIndex: 0 });
+    assert.strictEqual(parseChoice(menu.custom_id, ['0']), null);
+  });
+
+  it('learns the pick\'s name as an alias for the participant chosen', () => {
+    const aliases = createAliasDictionary().forServer('guild-1');
+
+    const learned = learnCorrection(aliases, sebLeg, { event: korda, participant: 'Sebastian Korda' });
+
+    assert.deepStrictEqual(learned, { name: 'Sebastian Korda', sport: 'tennis', league: null, learned: true });
+    assert.deepStrictEqual(aliases.expand('Seb K'), ['Sebastian Korda']);
+  });
+
+  it('learns nothing from legs naming both sides', () => {
+    const aliases = createAliasDictionary().forServer('guild-1');
+    const totalLeg = { description: 'Lakers/Celtics o220', players: ['Lakers', 'Celtics'] };
+
+    assert.strictEqual(learnCorrection(aliases, totalLeg, { event: lakers, participant: 'Los Angeles Lakers' }), null);
+    assert.deepStrictEqual(aliases.list({ learned: true }), []);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Event cache with background refresh
+ *
+ * Events are cached per sport (and league, for Odds API lookups). Within the
+ * TTL a pick gets cached events; after it, a pick still gets the stale events
+ * straight away while a refresh runs behind it, up to a hard staleness limit.
+ * Concurrent requests for the same key share one fetch, and a prefetch loop
+ * can keep the configured sports warm so picks rarely wait on a fetch at all.
+ * With a snapshot store attached (see eventStore.js), fetched events also
+ * survive restarts.
+ */
+
+import { findLeague } from './sports.js';
+
+const TTL_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_STALE_MS = 30 * 60 * 1000; // Older than this, wait for fresh events
+
+/**
+ * Creates an event cache
+ * @param {Object} options - Cache options
+ * @param {Function} options.load - Fetches events: (sport, league) => Promise<Array>, throwing when the source fails
+ * @param {number} options.ttlMs - How long events are served without a refresh
+ * @param {number} options.maxStaleMs - How old events may be and still be served during a refresh
+ * @param {Object} options.store - Snapshot store to restore from and save to (optional, see eventStore.js)
+ * @returns {Object} Cache with get/refresh/ages/prefetch/useStore/clear methods
+ */
+export function createEventCache({ load, ttlMs = TTL_MS, maxStaleMs = MAX_STALE_MS, store = null }) {
+  const entries = new Map(); // key -> { events, timestamp }
+  const inFlight = new Map(); // key -> Promise<Array>
+  let generation = 0; // Bumped by clear(), so fetches started before it are dropped
+  let snapshots = null;
+
+  const keyFor = (sport, league) => [sport || 'all', league].filter(Boolean).join(':');
+
+  // A sport-wide fetch (e.g. from the prefetch loop) covers every league in it,
+  // except leagues Bovada lists on their own coupon (college football and basketball)
+  const sportWideEntry = (sport, league) => (league && !findLeague(sport, league)?.ownCoupon
+    ? entries.get(keyFor(sport))
+    : null);
+
+  const cache = {
+    /**
+     * Gets events, from cache when fresh enough
+     * @param {string|null} sport - Sport (null for all sports)
+     * @param {Object} options - Lookup options
+     * @param {string} options.league - League from the pick
+     * @returns {Promise<Array>} Events
+     */
+    async get(sport, { league = null } = {}) {
+      const key = keyFor(sport, league);
+
+      const cached = [entries.get(key), sportWideEntry(sport, league)]
+        .filter(Boolean)
+        .sort((a, b) => b.timestamp - a.timestamp)[0];
+      const age = cached ? Date.now() - cached.timestamp : Infinity;
+
+      if (age < ttlMs) {
+        console.log(`  ↳ Using cached events for ${key}`);
+        return cached.events;
+      }
+
+      if (age < maxStaleMs) {
+        console.log(`  ↳ Using stale events for ${key} (${formatAge(age)} old) while refreshing`);
+        cache.refresh(sport, { league }).catch(error => {
+          console.error(`  ↳ Event refresh failed for ${key}: ${error.message}`);
+        });
+        return cached.events;
+      }
+
+      return cache.refresh(sport, { league });
+    },
+
+    /**
+     * Fetches events and caches them, sharing any fetch already running for the key
+     * @param {string|null} sport - Sport (null for all sports)
+     * @param {Object} options - Fetch options
+     * @param {string} options.league - League from the pick
+     * @returns {Promise<Array>} Events
+     * @throws {Error} The load error, if there are no previous events to fall back on
+     */
+    refresh(sport, { league = null } = {}) {
+      const key = keyFor(sport, league);
+      if (inFlight.has(key)) return inFlight.get(key);
+
+      const started = generation;
+      const request = (async () => {
+        let events;
+        try {
+          events = await load(sport, league);
+        } catch (error) {
+          // Last known good events beat none while the source is down
+          const previous = entries.get(key) || sportWideEntry(sport, league);
+          if (!previous) throw error;
+          console.log(`  ↳ Refresh for ${key} failed, keeping the previous ${previous.events.length} events`);
+          return previous.events;
+        }
+
+        // Cleared while fetching: the caller gets its events, the cache stays empty
+        if (started !== generation) return events;
+
+        const timestamp = Date.now();
+        entries.set(key, { events, timestamp });
+        snapshots?.save(key, events, timestamp);
+        return events;
+      })().finally(() => {
+        if (inFlight.get(key) === request) inFlight.delete(key);
+      });
+
+      inFlight.set(key, request);
+      return request;
+    },
+
+    /**
+     * @returns {Array} Cache entries ({ key, ageMs, events, refreshing }), oldest first
+     */
+    ages() {
+      const now = Date.now();
+      return [...entries]
+        .map(([key, { events, timestamp }]) => ({
+          key,
+          ageMs: now - timestamp,
+          events: events.length,
+          refreshing: inFlight.has(key),
+        }))
+        .sort((a, b) => b.ageMs - a.ageMs);
+    },
+
+    /**
+     * Refreshes sports on an interval, starting immediately
+     * @param {Object} options - Prefetch options
+     * @param {string[]} options.sports - Sports to keep warm
+     * @param {number} options.intervalMs - Time between refreshes
+     * @returns {Object} Handle with a stop method
+     */
+    prefetch({ sports, intervalMs }) {
+      let running = false;
+
+      const refreshAll = async () => {
+        // A slow round shouldn't pile up behind itself
+        if (running) return;
+        running = true;
+        try {
+          // One sport at a time keeps the load on Bovada (and the Odds API quota) even
+          for (const sport of sports) {
+            await cache.refresh(sport).catch(error => {
+              console.error(`  ↳ Prefetch failed for ${sport}: ${error.message}`);
+            });
+          }
+        } finally {
+          running = false;
+        }
+      };
+
+      refreshAll();
+      const timer = setInterval(refreshAll, intervalMs);
+      timer.unref?.();
+
+      return {
+        stop() {
+          clearInterval(timer);
+        },
+      };
+    },
+
+    /**
+     * Restores saved events and saves every fetch from now on
+     *
+     * Restored events keep their original timestamps, so old ones are
+     * refreshed on first use but still stand in if the refresh fails.
+     *
+     * @param {Object} eventStore - Snapshot store (see eventStore.js)
+     */
+    useStore(eventStore) {
+      snapshots = eventStore;
+      const restored = eventStore.entries().filter(([key]) => !entries.has(key));
+      for (const [key, snapshot] of restored) entries.set(key, snapshot);
+      if (restored.length > 0) console.log(`  ↳ Restored events for ${restored.map(([key]) => key).join(', ')}`);
+    },
+
+    /**
+     * Clears the cache, including what fetches still running would have stored
+     */
+    clear() {
+      generation++;
+      entries.clear();
+      inFlight.clear();
+    },
+  };
+
+  if (store) cache.useStore(store);
+  return cache;
+}
+
+/**
+ * @param {number} ms - Age in milliseconds
+ * @returns {string} Short age ("42s", "3m", "2h")
+ */
+export function formatAge(ms) {
+  if (ms < 60 * 1000) return `${Math.round(ms / 1000)}s`;
+  if (ms < 60 * 60 * 1000) return `${Math.round(ms / 60 / 1000)}m`;
+  return `${Math.round(ms / 60 / 60 / 1000)}h`;
+}
@@ -0,0 +1,170 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import { createEventCache, formatAge } from './eventCache.js';
+
+// The cache logs every lookup; keep test output readable
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+/**
+ * Loader returning numbered batches of events, with a `calls` log
+ * and a way to hold fetches open
+ */
+function createLoader() {
+  const calls = [];
+  let gate = null;
+
+  const load = async (sport, league) => {
+    calls.push([sport, league]);
+    if (gate) await gate.promise;
+    return [{ id: `${sport}-${calls.length}` }];
+  };
+
+  load.calls = calls;
+  load.hold = () => {
+    let release;
+    gate = { promise: new Promise(resolve => { release = resolve; }) };
+    return () => {
+      gate = null;
+      release();
+    };
+  };
+  return load;
+}
+
+describe('createEventCache', () => {
+  it('serves fresh events from cache', async () => {
+    const load = createLoader();
+    const cache = createEventCache({ load });
+
+    assert.deepStrictEqual(await cache.get('tennis'), [{ id: 'tennis-1' }]);
+    assert.deepStrictEqual(await cache.get('tennis'), [{ id: 'tennis-1' }]);
+    assert.strictEqual(load.calls.length, 1);
+  });
+
+  it('serves stale events while refreshing', async () => {
+    const load = createLoader();
+    const cache = createEventCache({ load, ttlMs: 0 });
+    await cache.get('tennis');
+
+    const release = load.hold();
+    assert.deepStrictEqual(await cache.get('tennis'), [{ id: 'tennis-1' }]);
+    assert.strictEqual(cache.ages()[0].refreshing, true);
+
+    release();
+    await cache.refresh('tennis');
+    assert.deepStrictEqual(await cache.get('tennis'), [{ id: 'tennis-2' }]);
+  });
+
+  it('waits for fresh events once they are too old', async () => {
+    const load = createLoader();
+    const cache = createEventCache({ load, ttlMs: 0, maxStaleMs: 0 });
+    await cache.get('tennis');
+
+    assert.deepStrictEqual(await cache.get('tennis'), [{ id: 'tennis-2' }]);
+  });
+
+  it('shares one fetch between concurrent requests', async () => {
+    const load = createLoader();
+    const cache = createEventCache({ load });
+
+    const release = load.hold();
+    const requests = [cache.get('tennis'), cache.get('tennis'), cache.refresh('tennis')];
+    release();
+
+    const results = await Promise.all(requests);
+    assert.strictEqual(load.calls.length, 1);
+    assert.ok(results.every(events => events === results[0]));
+  });
+
+  it('uses sport-wide events for a league lookup', async () => {
+    const load = createLoader();
+    const cache = createEventCache({ load });
+    await cache.get('tennis');
+
+    assert.deepStrictEqual(await cache.get('tennis', { league: 'WTA' }), [{ id: 'tennis-1' }]);
+    assert.strictEqual(load.calls.length, 1);
+  });
+
+  it('fetches leagues on their own coupon instead of using sport-wide events', async () => {
+    const load = createLoader();
+    const cache = createEventCache({ load });
+    await cache.get('basketball');
+
+    assert.deepStrictEqual(await cache.get('basketball', { league: 'NCAAB' }), [{ id: 'basketball-2' }]);
+    assert.deepStrictEqual(load.calls, [['basketball', null], ['basketball', 'NCAAB']]);
+  });
+
+  it('keeps the previous events when a refresh fails', async () => {
+    let fail = false;
+    const cache = createEventCache({
+      load: async () => {
+        if (fail) throw new Error('Bovada error: 429');
+        return [{ id: 'a' }];
+      },
+    });
+    await cache.refresh('tennis');
+
+    fail = true;
+    assert.deepStrictEqual(await cache.refresh('tennis'), [{ id: 'a' }]);
+  });
+
+  it('keeps an empty schedule when the fetch succeeds', async () => {
+    let events = [{ id: 'a' }];
+    const cache = createEventCache({ load: async () => events });
+    await cache.refresh('tennis');
+
+    events = [];
+    assert.deepStrictEqual(await cache.refresh('tennis'), []);
+  });
+
+  it('throws when a fetch fails with nothing cached', async () => {
+    const cache = createEventCache({ load: async () => { throw new Error('Bovada error: 503'); } });
+    await assert.rejects(cache.get('tennis'), /503/);
+  });
+
+  it('drops fetches still running when cleared', async () => {
+    const load = createLoader();
+    const cache = createEventCache({ load });
+
+    const release = load.hold();
+    const running = cache.refresh('tennis');
+    cache.clear();
+    release();
+    await running;
+
+    assert.deepStrictEqual(cache.ages(), []);
+    await cache.get('tennis');
+    assert.strictEqual(load.calls.length, 2);
+  });
+
+  it('reports the age of each entry', async () => {
+    const cache = createEventCache({ load: createLoader() });
+    await cache.get('tennis');
+    await cache.get('basketball', { league: 'NBA' });
+
+    const ages = cache.ages();
+    assert.deepStrictEqual(ages.map(a => a.key).sort(), ['basketball:NBA', 'tennis']);
+    assert.ok(ages.every(a => a.ageMs >= 0 && a.events === 1 && !a.refreshing));
+  });
+
+  it('prefetches sports until stopped', async () => {
+    const load = createLoader();
+    const cache = createEventCache({ load });
+
+    const prefetch = cache.prefetch({ sports: ['tennis', 'basketball'], intervalMs: 60 * 1000 });
+    prefetch.stop();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(load.calls, [['tennis', null], ['basketball', null]]);
+    assert.deepStrictEqual(await cache.get('tennis'), [{ id: 'tennis-1' }]);
+  });
+});
+
+describe('formatAge', () => {
+  it('picks a readable unit', () => {
+    assert.strictEqual(formatAge(42 * 1000), '42s');
+    assert.strictEqual(formatAge(3 * 60 * 1000), '3m');
+    assert.strictEqual(formatAge(2 * 60 * 60 * 1000), '2h');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Event name index
+ *
+ * A pick without a sport is matched against every sport's events, which can
+ * be thousands. The index maps name tokens (participants, prop players and
+ * tournament fields) to the events they appear in, so the matcher only
+ * scores events that share a token with the pick, and the LLM is shown the
+ * closest events instead of whichever came first.
+ *
+ * Tokens are indexed three ways, so misspellings still find their event:
+ * the whole token, its phonetic key ("pegulla" ~ "pegula") and its first
+ * three letters ("seb" for "sebastian").
+ *
+ * Indexes are kept per events array, so one is built per cache refresh.
+ */
+
+import { getPropPlayers, getOutrightPlayers } from './markets.js';
+import { normalizeName, phoneticKey } from './similarity.js';
+
+const PREFIX_LENGTH = 3;
+const MIN_TOKEN_LENGTH = 2;
+
+// How much each kind of token hit counts toward an event's rank
+const EXACT_HIT = 3;
+const PHONETIC_HIT = 2;
+const PREFIX_HIT = 1;
+
+const indexes = new WeakMap(); // events array -> index
+
+/**
+ * Gets the index for an events array, building it on first use
+ * @param {Array} events - Events (as cached, see eventCache.js)
+ * @returns {Object} Index (see createEventIndex)
+ */
+export function getEventIndex(events) {
+  let index = indexes.get(events);
+  if (!index) {
+    index = createEventIndex(events);
+    indexes.set(events, index);
+  }
+  return index;
+}
+
+/**
+ * Builds a name index over events
+ * @param {Array} events - Events to index
+ * @returns {Object} Index with namesOf/search methods
+ */
+export function createEventIndex(events) {
+  const names = new Map(); // event -> normalized names
+  const postings = new Map(); // index key -> Set of events
+
+  for (const event of events) {
+    const entry = normalizeEventNames(event);
+    names.set(event, entry);
+
+    for (const name of [...entry.participants, ...entry.props, ...entry.outrights]) {
+      for (const token of tokenize(name)) {
+        for (const [key] of tokenKeys(token)) {
+          if (!postings.has(key)) postings.set(key, new Set());
+          postings.get(key).add(event);
+        }
+      }
+    }
+  }
+
+  return {
+    size: events.length,
+
+    /**
+     * @param {Object} event - Event
+     * @returns {Object} Normalized names ({ participants, props, outrights })
+     */
+    namesOf(event) {
+      return names.get(event) || normalizeEventNames(event);
+    },
+
+    /**
+     * Finds events sharing a name token with the pick, best first
+     * @param {string[]} queryNames - Names from the pick, with alias expansions
+     * @returns {Array} [{ event, hits }], ranked by hits then event order
+     */
+    search(queryNames) {
+      // Per event and query token, the strongest way it was hit
+      const hitsByEvent = new Map(); // event -> Map(token -> weight)
+
+      for (const name of queryNames) {
+        for (const token of tokenize(normalizeName(name))) {
+          for (const [key, weight] of tokenKeys(token)) {
+            for (const event of postings.get(key) || []) {
+              const hits = hitsByEvent.get(event) || new Map();
+              hits.set(token, Math.max(hits.get(token) || 0, weight));
+              hitsByEvent.set(event, hits);
+            }
+          }
+        }
+      }
+
+      return events
+        .filter(event => hitsByEvent.has(event))
+        .map(event => ({ event, hits: [...hitsByEvent.get(event).values()].reduce((sum, weight) => sum + weight, 0) }))
+        .sort((a, b) => b.hits - a.hits);
+    },
+  };
+}
+
+/**
+ * @param {Object} event - Event
+ * @returns {Object} Normalized names ({ participants, props, outrights })
+ */
+function normalizeEventNames(event) {
+  return {
+    participants: [event.participant1, event.participant2, event.description, event.displayName]
+      .filter(Boolean)
+      .map(normalizeName),
+    props: getPropPlayers(event).map(normalizeName),
+    outrights: getOutrightPlayers(event).map(normalizeName),
+  };
+}
+
+/**
+ * @param {string} token - Name token
+ * @returns {Array} [key, weight] pairs the token is indexed (and looked up) under
+ */
+function tokenKeys(token) {
+  const keys = [[`=${token}`, EXACT_HIT]];
+  if (token.length >= PREFIX_LENGTH) {
+    keys.push([`~${phoneticKey(token)}`, PHONETIC_HIT], [`^${token.slice(0, PREFIX_LENGTH)}`, PREFIX_HIT]);
+  }
+  return keys;
+}
+
+/**
+ * @param {string} name - Normalized name
+ * @returns {string[]} Tokens long enough to index
+ */
+function tokenize(name) {
+  return name.split(' ').filter(token => token.length >= MIN_TOKEN_LENGTH);
+}
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createEventIndex, getEventIndex } from './eventIndex.js';
+import { createMarket } from './markets.js';
+
+const event = (id, participant1, participant2, extra = {}) => ({ id, sport: 'tennis', participant1, participant2, ...extra });
+
+const pegula = event('pegula', 'Jessica Pegula', 'Rebecca Sramkova');
+const korda = event('korda', 'Sebastian Korda', 'Mattia Bellucci');
+const lakers = event('lakers', 'Los Angeles Lakers', 'Boston Celtics', {
+  sport: 'basketball',
+  markets: [createMarket({ id: 'p1', key: 'player_points', outcomes: [{ name: 'Over', description: 'LeBron James', point: 25.5 }] })],
+});
+
+describe('createEventIndex', () => {
+  const index = createEventIndex([pegula, korda, lakers]);
+  const ids = hits => hits.map(hit => hit.event.id);
+
+  it('finds events by whole name tokens', () => {
+    assert.deepStrictEqual(ids(index.search(['pegula'])), ['pegula']);
+    assert.deepStrictEqual(ids(index.search(['Boston Celtics'])), ['lakers']);
+  });
+
+  it('finds misspellings by sound and prefix', () => {
+    assert.deepStrictEqual(ids(index.search(['Pegulla'])), ['pegula']);
+    assert.deepStrictEqual(ids(index.search(['Seb'])), ['korda']);
+  });
+
+  it('finds prop players', () => {
+    assert.deepStrictEqual(ids(index.search(['LeBron'])), ['lakers']);
+  });
+
+  it('ranks whole-token hits above partial ones', () => {
+    const hits = index.search(['Jessica', 'Sebastian Korda']);
+
+    assert.deepStrictEqual(ids(hits), ['korda', 'pegula']);
+    assert.ok(hits[0].hits > hits[1].hits);
+  });
+
+  it('returns nothing for unknown names', () => {
+    assert.deepStrictEqual(index.search(['Nobody']), []);
+    assert.deepStrictEqual(index.search(['']), []);
+  });
+
+  it('keeps normalized names per event', () => {
+    assert.deepStrictEqual(index.namesOf(lakers), {
+      participants: ['los angeles lakers', 'boston celtics'],
+      props: ['lebron james'],
+      outrights: [],
+    });
+  });
+});
+
+describe('getEventIndex', () => {
+  it('builds one index per events array', () => {
+    const events = [pegula, korda];
+
+    assert.strictEqual(getEventIndex(events), getEventIndex(events));
+    assert.notStrictEqual(getEventIndex(events), getEventIndex([...events]));
+  });
+});
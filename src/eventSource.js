@@ -0,0 +1,81 @@
+/**
+ * Event source interface
+ *
+ * Anything that can list events with normalized markets (see markets.js) is
+ * an event source. Sources are tried in a configured order (see sources.js):
+ *
+ *   {
+ *     name,                                   // "odds-api", "bovada", "fixtures", "mock"
+ *     sports,                                 // Sports it can fetch ("tennis", "basketball", ...)
+ *     supports(sport),                        // True for those sports, and for null (all sports)
+ *     fetchEvents(sport, { league }),         // Promise<Array> of events; throws when unavailable
+ *     health(),                               // { name, status, lastSuccessAt, lastError, quota }
+ *   }
+ *
+ * health().status is "ok" after a successful fetch, "failing" after a failed
+ * one, "paused" while the source's circuit breaker is open (see http.js) or
+ * its quota budget is spent (see quota.js) and "unknown" before the first
+ * fetch. Sources with a quota also report its status().
+ */
+
+import { QUOTA_EXCEEDED } from './quota.js';
+
+/**
+ * Creates an event source with health tracking
+ * @param {Object} options - Source definition
+ * @param {string} options.name - Source name
+ * @param {string[]} options.sports - Sports the source can fetch
+ * @param {Function} options.fetchEvents - (sport, { league }) => Promise<Array>
+ * @param {Object} options.breaker - The source's circuit breaker (optional)
+ * @param {Object} options.quota - The source's quota tracker (optional, see quota.js)
+ * @returns {Object} Event source
+ */
+export function createEventSource({ name, sports, fetchEvents, breaker = null, quota = null }) {
+  let lastSuccessAt = null;
+  let lastError = null;
+  let overBudget = false;
+
+  return {
+    name,
+    sports,
+
+    /**
+     * @param {string|null} sport - Sport, or null for all sports
+     * @returns {boolean} True if the source can fetch it
+     */
+    supports(sport) {
+      return !sport || sports.includes(sport.toLowerCase());
+    },
+
+    /**
+     * Fetches events, recording the outcome for health()
+     * @param {string|null} sport - Sport, or null for all sports
+     * @param {Object} options - Fetch options ({ league })
+     * @returns {Promise<Array>} Events
+     */
+    async fetchEvents(sport, options = {}) {
+      try {
+        const events = await fetchEvents(sport, options);
+        lastSuccessAt = Date.now();
+        lastError = null;
+        overBudget = false;
+        return events;
+      } catch (error) {
+        lastError = error.message;
+        overBudget = error.code === QUOTA_EXCEEDED;
+        throw error;
+      }
+    },
+
+    /**
+     * @returns {Object} { name, status, lastSuccessAt, lastError, quota }
+     */
+    health() {
+      const status = breaker?.state() === 'open' || overBudget ? 'paused'
+        : lastError ? 'failing'
+          : lastSuccessAt ? 'ok'
+            : 'unknown';
+      return { name, status, lastSuccessAt, lastError, quota: quota?.status() ?? null };
+    },
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Disk-backed event snapshots
+ *
+ * The event cache only lives in memory, so a restart used to leave the bot
+ * with nothing to match against until Bovada answered again, which right
+ * after a deploy is when it's most likely to rate-limit us. Every successful
+ * fetch is saved here with its timestamp and loaded back at startup, so the
+ * last known events can stand in while live fetches fail. Events that have
+ * started are dropped; there's nothing left to link for them.
+ */
+
+import { readJsonFile, createJsonWriter } from './jsonFile.js';
+
+/**
+ * Creates an event snapshot store
+ * @param {Object} options - Store options
+ * @param {string|null} options.filePath - JSON file backing the store (memory only if not set)
+ * @returns {Object} Store with entries/save/flush methods
+ */
+export function createEventStore({ filePath = null } = {}) {
+  const snapshots = new Map(Object.entries(readJsonFile(filePath, 'event snapshots') || {}));
+  const writer = createJsonWriter(filePath, () => Object.fromEntries(snapshots), 'event snapshots');
+
+  return {
+    /**
+     * Returns the saved snapshots, without events that have started
+     * @returns {Array} [cacheKey, { events, timestamp }] pairs
+     */
+    entries() {
+      for (const [key, snapshot] of snapshots) {
+        const events = upcomingEvents(snapshot.events);
+        if (events.length === 0) {
+          snapshots.delete(key);
+        } else {
+          snapshots.set(key, { ...snapshot, events });
+        }
+      }
+      return [...snapshots];
+    },
+
+    /**
+     * Saves the events fetched for a cache key
+     * @param {string} key - Cache key (sport, or sport:league)
+     * @param {Array} events - Events
+     * @param {number} timestamp - When they were fetched
+     */
+    save(key, events, timestamp) {
+      snapshots.set(key, { events: upcomingEvents(events), timestamp });
+      writer.schedule();
+    },
+
+    /**
+     * Writes any pending changes to disk
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      await writer.flush();
+    },
+  };
+}
+
+/**
+ * @param {Array} events - Events
+ * @param {number} now - Current time
+ * @returns {Array} Events that haven't started (or have no start time)
+ */
+export function upcomingEvents(events, now = Date.now()) {
+  return (events || []).filter(event => !isInProgress(event, now));
+}
+
+/**
+ * @param {Object} event - Event
+ * @param {number} now - Current time
+ * @returns {boolean} True if the event is live or past its start time
+ */
+export function isInProgress(event, now = Date.now()) {
+  return Boolean(event.live) || (Boolean(event.startTime) && Date.parse(event.startTime) <= now);
+}
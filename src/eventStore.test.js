@@ -0,0 +1,101 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createEventStore, upcomingEvents, isInProgress } from './eventStore.js';
+import { createEventCache } from './eventCache.js';
+
+// The cache logs every lookup; keep test output readable
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+const hour = 60 * 60 * 1000;
+const upcoming = { id: 'upcoming', startTime: new Date(Date.now() + hour).toISOString() };
+const started = { id: 'started', startTime: new Date(Date.now() - hour).toISOString() };
+
+describe('upcomingEvents', () => {
+  it('drops events that have started', () => {
+    assert.deepStrictEqual(upcomingEvents([upcoming, started, { id: 'no-time' }]).map(e => e.id), ['upcoming', 'no-time']);
+  });
+});
+
+describe('isInProgress', () => {
+  it('counts live and started events', () => {
+    assert.strictEqual(isInProgress(started), true);
+    assert.strictEqual(isInProgress({ ...upcoming, live: true }), true);
+    assert.strictEqual(isInProgress(upcoming), false);
+    assert.strictEqual(isInProgress({ id: 'no-time' }), false);
+  });
+});
+
+describe('createEventStore', () => {
+  it('keeps snapshots with their timestamps', () => {
+    const store = createEventStore();
+    store.save('tennis', [upcoming], 1000);
+    assert.deepStrictEqual(store.entries(), [['tennis', { events: [upcoming], timestamp: 1000 }]]);
+  });
+
+  it('prunes started events and empty snapshots', () => {
+    const store = createEventStore();
+    store.save('tennis', [upcoming, started], 1000);
+    store.save('hockey', [started], 1000);
+    assert.deepStrictEqual(store.entries().map(([key, { events }]) => [key, events.map(e => e.id)]), [['tennis', ['upcoming']]]);
+  });
+
+  it('saves snapshots to disk', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'events-'));
+    const filePath = join(dir, 'events.json');
+    try {
+      const store = createEventStore({ filePath });
+      store.save('tennis', [upcoming], 1000);
+      await store.flush();
+
+      assert.deepStrictEqual(JSON.parse(readFileSync(filePath, 'utf8')), { tennis: { events: [upcoming], timestamp: 1000 } });
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('loads saved snapshots, without events that started since', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'events-'));
+    const filePath = join(dir, 'events.json');
+    try {
+      writeFileSync(filePath, JSON.stringify({ tennis: { events: [upcoming, started], timestamp: 1000 } }));
+      const store = createEventStore({ filePath });
+
+      assert.deepStrictEqual(store.entries(), [['tennis', { events: [upcoming], timestamp: 1000 }]]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('event cache with a store', () => {
+  it('saves fetched events', async () => {
+    const store = createEventStore();
+    const cache = createEventCache({ load: async () => [upcoming], store });
+    await cache.get('tennis');
+
+    assert.deepStrictEqual(store.entries()[0][1].events, [upcoming]);
+  });
+
+  it('falls back to restored events when the live fetch fails', async () => {
+    const store = createEventStore();
+    store.save('tennis', [upcoming], Date.now() - 2 * hour);
+    const cache = createEventCache({ load: async () => { throw new Error('Bovada error: 429'); }, store });
+
+    assert.deepStrictEqual(await cache.get('tennis'), [upcoming]);
+    assert.ok(cache.ages()[0].ageMs >= 2 * hour);
+  });
+
+  it('refreshes restored events on first use', async () => {
+    const store = createEventStore();
+    store.save('tennis', [upcoming], Date.now() - 2 * hour);
+    const fresh = { ...upcoming, id: 'fresh' };
+    const cache = createEventCache({ load: async () => [fresh], store });
+
+    assert.deepStrictEqual(await cache.get('tennis'), [fresh]);
+    assert.deepStrictEqual(store.entries()[0][1].events, [fresh]);
+  });
+});
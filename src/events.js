@@ -0,0 +1,101 @@
+/**
+ * Event lookup
+ *
+ * Where the bot and CLI get events from: the configured source chain (see
+ * sources.js) behind the event cache (see eventCache.js), optionally backed
+ * by the snapshot store (see eventStore.js). Cached events carry a name index
+ * (see eventIndex.js) for the matcher.
+ */
+
+import { createEventCache } from './eventCache.js';
+import { createEventSources, createSourceChain, EVENTS_UNAVAILABLE } from './sources.js';
+import { SPORTS } from './sports.js';
+import { getEventIndex } from './eventIndex.js';
+
+export { EVENTS_UNAVAILABLE };
+
+let chain = null;
+
+// In-memory cache for events, refreshed in the background, with names
+// indexed on each refresh rather than on the first pick that needs them
+const eventCache = createEventCache({
+  load: async (sport, league) => {
+    const events = await getChain().load(sport, league);
+    getEventIndex(events);
+    return events;
+  },
+});
+
+/**
+ * @returns {Object} Source chain, built from the environment on first use
+ */
+function getChain() {
+  if (!chain) {
+    chain = createSourceChain(createEventSources());
+    console.log(`  ↳ Event sources: ${chain.sources.map(s => s.name).join(' → ') || 'none'}`);
+  }
+  return chain;
+}
+
+/**
+ * Replaces the event sources (and drops events cached from the old ones)
+ * @param {Array} sources - Event sources in order of preference (see sources.js)
+ */
+export function useEventSources(sources) {
+  chain = createSourceChain(sources);
+  eventCache.clear();
+  console.log(`  ↳ Event sources: ${sources.map(s => s.name).join(' → ') || 'none'}`);
+}
+
+/**
+ * Fetches events for a given sport
+ * @param {string} sport - Sport to fetch (e.g., "tennis", "basketball")
+ * @param {Object} options - Fetch options
+ * @param {string} options.league - League from the pick ("WTA", "La Liga"), used to pick Odds API sport keys
+ * @returns {Promise<Array>} List of events
+ * @throws {Error} With code EVENTS_UNAVAILABLE if every source failed and nothing is cached
+ */
+export async function fetchBovadaEvents(sport, { league = null } = {}) {
+  return eventCache.get(sport, { league });
+}
+
+/**
+ * Keeps the event cache warm by refreshing sports on an interval
+ * @param {Object} options - Prefetch options
+ * @param {string[]} options.sports - Sports to refresh (default all sports, see sports.js)
+ * @param {number} options.intervalMs - Time between refreshes
+ * @returns {Object} Handle with a stop method
+ */
+export function startEventPrefetch({ sports = SPORTS, intervalMs }) {
+  console.log(`🔄 Prefetching events every ${intervalMs / 1000}s: ${sports.join(', ')}`);
+  return eventCache.prefetch({ sports, intervalMs });
+}
+
+/**
+ * Restores saved events into the cache and saves fetched events from now on
+ * @param {Object} store - Event snapshot store (see eventStore.js)
+ */
+export function useEventStore(store) {
+  eventCache.useStore(store);
+}
+
+/**
+ * @returns {Array} Event cache entries ({ key, ageMs, events, refreshing })
+ */
+export function getEventCacheAges() {
+  return eventCache.ages();
+}
+
+/**
+ * @returns {Array} Health of each event source (see eventSource.js)
+ */
+export function getSourceHealth() {
+  return getChain().health();
+}
+
+/**
+ * Clears the event cache
+ */
+export function clearEventCache() {
+  eventCache.clear();
+}
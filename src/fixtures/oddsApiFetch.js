@@ -0,0 +1,49 @@
+/**
+ * Odds API fetch stand-in for tests
+ *
+ * Answers sports listing and odds requests from canned data shaped like
+ * oddsApi.json, recording each requested URL.
+ */
+
+/**
+ * fetch stand-in that answers Odds API requests from fixtures, for tests
+ * @param {Object} fixtures - Canned data
+ * @param {Array} fixtures.sports - Sports listing
+ * @param {Object} fixtures.odds - Sport key -> events
+ * @param {number|null} fixtures.credits - Monthly credits, to send quota headers (none if not set)
+ * @returns {Function} fetch with a `calls` array recording each requested URL
+ */
+export function createFixtureFetch({ sports = [], odds = {}, credits = null } = {}) {
+  const calls = [];
+  let used = 0;
+
+  // Odds cost a credit per market, like the real API; the listing is free
+  const quotaHeaders = (cost) => {
+    if (credits === null) return new Headers();
+    used += cost;
+    return new Headers({
+      'x-requests-remaining': String(credits - used),
+      'x-requests-used': String(used),
+      'x-requests-last': String(cost),
+    });
+  };
+
+  const fixtureFetch = async url => {
+    calls.push(url);
+
+    const { pathname, searchParams } = new URL(url);
+    const oddsMatch = pathname.match(/\/sports\/([^/]+)\/odds\/?$/);
+    const body = /\/sports\/?$/.test(pathname) ? sports
+      : oddsMatch ? odds[oddsMatch[1]]
+        : undefined;
+
+    if (body === undefined) {
+      return { ok: false, status: 404, headers: quotaHeaders(0), json: async () => ({ message: 'Unknown sport' }) };
+    }
+    const cost = oddsMatch ? (searchParams.get('markets') || '').split(',').filter(Boolean).length : 0;
+    return { ok: true, status: 200, headers: quotaHeaders(cost), json: async () => structuredClone(body) };
+  };
+
+  fixtureFetch.calls = calls;
+  return fixtureFetch;
+}
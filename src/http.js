@@ -0,0 +1,171 @@
+/**
+ * Resilient JSON fetching for event sources
+ *
+ * Bovada and The Odds API both hang, rate-limit and fail from time to time.
+ * Requests here time out, retry transient failures (network errors,
+ * timeouts, 429 and 5xx) with jittered exponential backoff, and go through a
+ * per-source circuit breaker so a source that keeps failing is skipped for a
+ * while instead of stalling every pick.
+ *
+ * Failures throw an Error carrying:
+ * - source: which source failed ("Bovada", "Odds API")
+ * - code:   TIMEOUT, NETWORK, RATE_LIMITED, HTTP_ERROR or CIRCUIT_OPEN
+ * - status: HTTP status, when there was a response
+ */
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 500;
+const MAX_RETRY_AFTER_MS = 10 * 1000; // Don't hold a pick longer than this for a 429
+const REFUSED_STATUSES = new Set([401, 403]); // Bad key or used-up quota: every request fails the same way
+
+/**
+ * Fetches and parses JSON
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Request options
+ * @param {string} options.source - Source name, for errors and logs
+ * @param {Object} options.headers - Request headers
+ * @param {Object} options.breaker - Circuit breaker for the source (optional, see createCircuitBreaker)
+ * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+ * @param {number} options.timeoutMs - Timeout per attempt
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.backoffMs - Base delay before the first retry, doubled each time
+ * @param {Function} options.onResponse - Called with every response, e.g. to read quota headers (optional)
+ * @returns {Promise<*>} Parsed response body
+ */
+export async function fetchJson(url, {
+  source,
+  headers,
+  breaker = null,
+  fetch = globalThis.fetch,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS,
+  onResponse = null,
+} = {}) {
+  if (breaker && !breaker.canRequest()) {
+    throw createFetchError(`${source} is temporarily disabled after repeated failures`, { source, code: 'CIRCUIT_OPEN' });
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+      onResponse?.(response);
+      if (response.ok) {
+        const data = await response.json();
+        breaker?.recordSuccess();
+        return data;
+      }
+      error = createFetchError(`${source} error: ${response.status}`, {
+        source,
+        status: response.status,
+        code: response.status === 429 ? 'RATE_LIMITED' : 'HTTP_ERROR',
+        retryAfterMs: parseRetryAfter(response.headers?.get?.('retry-after')),
+      });
+    } catch (fetchError) {
+      error = createFetchError(
+        fetchError.name === 'TimeoutError' ? `${source} timed out after ${timeoutMs}ms` : `${source} request failed: ${fetchError.message}`,
+        { source, code: fetchError.name === 'TimeoutError' ? 'TIMEOUT' : 'NETWORK' },
+      );
+    }
+
+    // Other 4xx responses won't change on a retry. A refused key still counts
+    // against the source so the breaker stops us hammering it; a bad request
+    // (unknown sport) is one pick's problem, not the source's
+    const retryable = error.code !== 'HTTP_ERROR' || error.status >= 500;
+    if (!retryable) {
+      if (REFUSED_STATUSES.has(error.status)) breaker?.recordFailure();
+      throw error;
+    }
+
+    if (attempt >= retries) {
+      breaker?.recordFailure();
+      throw error;
+    }
+
+    const delayMs = Math.min(error.retryAfterMs ?? backoffDelay(backoffMs, attempt), MAX_RETRY_AFTER_MS);
+    console.log(`  ↳ ${error.message}, retrying in ${Math.round(delayMs)}ms`);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
+
+/**
+ * Creates a circuit breaker for one source
+ *
+ * After `failureThreshold` failed requests in a row the breaker opens and
+ * requests fail straight away. Once `cooldownMs` has passed, requests are let
+ * through again; the first success closes it, another failure reopens it.
+ *
+ * @param {Object} options - Breaker options
+ * @param {string} options.name - Source name, for logs
+ * @param {number} options.failureThreshold - Consecutive failures before opening
+ * @param {number} options.cooldownMs - How long to stay open
+ * @returns {Object} Breaker with canRequest/recordSuccess/recordFailure/state methods
+ */
+export function createCircuitBreaker({ name, failureThreshold = 5, cooldownMs = 60 * 1000 } = {}) {
+  let failures = 0;
+  let openedAt = null;
+
+  return {
+    /**
+     * @returns {boolean} True if a request may be made
+     */
+    canRequest() {
+      return openedAt === null || Date.now() - openedAt >= cooldownMs;
+    },
+
+    recordSuccess() {
+      if (openedAt !== null) console.log(`  ↳ ${name} is back, closing its circuit`);
+      failures = 0;
+      openedAt = null;
+    },
+
+    recordFailure() {
+      failures++;
+      if (failures >= failureThreshold) {
+        if (openedAt === null) console.error(`  ↳ ${name} failed ${failures} times in a row, pausing requests for ${cooldownMs / 1000}s`);
+        openedAt = Date.now();
+      }
+    },
+
+    /**
+     * @returns {string} "closed", "open" or "half-open"
+     */
+    state() {
+      if (openedAt === null) return 'closed';
+      return Date.now() - openedAt >= cooldownMs ? 'half-open' : 'open';
+    },
+  };
+}
+
+/**
+ * Builds a fetch error (see module docs)
+ * @param {string} message - Error message
+ * @param {Object} details - { source, code, status, retryAfterMs }
+ * @returns {Error} Error
+ */
+function createFetchError(message, { source, code, status = null, retryAfterMs = null }) {
+  return Object.assign(new Error(message), { source, code, status, retryAfterMs });
+}
+
+/**
+ * @param {number} baseMs - Delay before the first retry
+ * @param {number} attempt - Attempt that just failed (0-based)
+ * @returns {number} Delay with full jitter, so retries from concurrent picks spread out
+ */
+function backoffDelay(baseMs, attempt) {
+  return Math.random() * baseMs * 2 ** attempt;
+}
+
+/**
+ * @param {string|null} value - Retry-After header (seconds or HTTP date)
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
@@ -0,0 +1,121 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import { fetchJson, createCircuitBreaker } from './http.js';
+
+// Retries log each attempt; keep test output readable
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+after(() => mock.restoreAll());
+
+/**
+ * fetch stand-in answering from a list of responses (status codes, bodies or errors)
+ */
+function createFetch(responses) {
+  const calls = [];
+  const fetch = async (url, options) => {
+    calls.push({ url, options });
+    const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    if (typeof next === 'function') return next(options);
+    const [status, headers = {}] = Array.isArray(next) ? next : [next];
+    return { ok: status < 400, status, headers: new Headers(headers), json: async () => ({ status }) };
+  };
+  fetch.calls = calls;
+  return fetch;
+}
+
+const fast = { source: 'Bovada', backoffMs: 1 };
+
+describe('fetchJson', () => {
+  it('returns the parsed body', async () => {
+    const fetch = createFetch([200]);
+    assert.deepStrictEqual(await fetchJson('https://example.test', { ...fast, fetch }), { status: 200 });
+  });
+
+  it('retries server errors and rate limits', async () => {
+    const fetch = createFetch([503, [429, { 'retry-after': '0' }], 200]);
+    assert.deepStrictEqual(await fetchJson('https://example.test', { ...fast, fetch }), { status: 200 });
+    assert.strictEqual(fetch.calls.length, 3);
+  });
+
+  it('gives up after the retries with a tagged error', async () => {
+    const fetch = createFetch([429]);
+    await assert.rejects(
+      fetchJson('https://example.test', { ...fast, fetch, retries: 1 }),
+      { source: 'Bovada', code: 'RATE_LIMITED', status: 429 },
+    );
+    assert.strictEqual(fetch.calls.length, 2);
+  });
+
+  it('does not retry client errors', async () => {
+    const fetch = createFetch([404]);
+    await assert.rejects(fetchJson('https://example.test', { ...fast, fetch }), { code: 'HTTP_ERROR', status: 404 });
+    assert.strictEqual(fetch.calls.length, 1);
+  });
+
+  it('retries network errors', async () => {
+    const fetch = createFetch([new TypeError('fetch failed'), 200]);
+    assert.deepStrictEqual(await fetchJson('https://example.test', { ...fast, fetch }), { status: 200 });
+  });
+
+  it('times out hung requests', async () => {
+    // Resolves only when the request is aborted, like a real hung fetch
+    const hang = ({ signal }) => new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    const fetch = createFetch([hang]);
+    // Timeout signals don't keep the process alive on their own
+    const keepAlive = setTimeout(() => {}, 1000);
+    try {
+      await assert.rejects(
+        fetchJson('https://example.test', { ...fast, fetch, timeoutMs: 10, retries: 0 }),
+        { source: 'Bovada', code: 'TIMEOUT' },
+      );
+    } finally {
+      clearTimeout(keepAlive);
+    }
+  });
+});
+
+describe('createCircuitBreaker', () => {
+  it('opens after repeated failures and skips requests', async () => {
+    const breaker = createCircuitBreaker({ name: 'Bovada', failureThreshold: 2 });
+    const fetch = createFetch([500]);
+
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(fetchJson('https://example.test', { ...fast, fetch, breaker, retries: 0 }));
+    }
+    assert.strictEqual(breaker.state(), 'open');
+
+    await assert.rejects(fetchJson('https://example.test', { ...fast, fetch, breaker }), { code: 'CIRCUIT_OPEN' });
+    assert.strictEqual(fetch.calls.length, 2);
+  });
+
+  it('lets a request through after the cooldown and closes on success', async () => {
+    const breaker = createCircuitBreaker({ name: 'Bovada', failureThreshold: 1, cooldownMs: 0 });
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state(), 'half-open');
+
+    await fetchJson('https://example.test', { ...fast, fetch: createFetch([200]), breaker });
+    assert.strictEqual(breaker.state(), 'closed');
+  });
+
+  it('opens on refused and rate-limited requests', async () => {
+    for (const status of [403, 429]) {
+      const breaker = createCircuitBreaker({ name: 'Odds API', failureThreshold: 2 });
+      const fetch = createFetch([status]);
+
+      for (let i = 0; i < 2; i++) {
+        await assert.rejects(fetchJson('https://example.test', { ...fast, fetch, breaker, retries: 0 }), { status });
+      }
+      assert.strictEqual(breaker.state(), 'open');
+      assert.strictEqual(fetch.calls.length, 2);
+    }
+  });
+
+  it('does not count client errors as source failures', async () => {
+    const breaker = createCircuitBreaker({ name: 'Odds API', failureThreshold: 1 });
+    await assert.rejects(fetchJson('https://example.test', { ...fast, fetch: createFetch([404]), breaker }));
+    assert.strictEqual(breaker.state(), 'closed');
+  });
+});
@@ -1,7 +1,8 @@
 import 'dotenv/config';
 import { createBot } from './bot.js';
+import { createLLMProviderFromEnv } from './llm.js';
 
-const requiredEnvVars = ['DISCORD_TOKEN', 'ANTHROPIC_API_KEY'];
+const requiredEnvVars = ['DISCORD_TOKEN'];
 
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
@@ -10,12 +11,32 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
-console.log('🚀 Starting Bovada Bet Linker...');
+const llm = createLLMProviderFromEnv();
+if (!llm) {
+  console.error('Error: No LLM configured. Set ANTHROPIC_API_KEY, or LLM_PROVIDER=openai with LLM_BASE_URL and LLM_MODEL');
+  process.exit(1);
+}
+
+console.log(`🚀 Starting Bovada Bet Linker (LLM: ${llm.name}/${llm.model})...`);
 
 const bot = createBot({
   discordToken: process.env.DISCORD_TOKEN,
   picksChannelId: process.env.PICKS_CHANNEL_ID,
-  anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+  llm,
+  dataDir: process.env.DATA_DIR || 'data',
+  parseCacheTtlMs: process.env.PARSE_CACHE_TTL_MS ? Number(process.env.PARSE_CACHE_TTL_MS) : undefined,
+  oddsFormat: process.env.ODDS_FORMAT,
+  settings: {
+    staleOddsCents: process.env.STALE_ODDS_CENTS ? Number(process.env.STALE_ODDS_CENTS) : undefined,
+    staleOddsAction: process.env.STALE_ODDS_ACTION || undefined,
+  },
+  eventSources: process.env.EVENT_SOURCES,
+  fixturesDir: process.env.FIXTURES_DIR,
+  prefetch: {
+    sports: process.env.PREFETCH_SPORTS ? process.env.PREFETCH_SPORTS.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+    // Off unless asked for: each round costs Odds API credits per active league
+    intervalMs: process.env.PREFETCH_INTERVAL_MS ? Number(process.env.PREFETCH_INTERVAL_MS) : 0,
+  },
 });
 
 bot.start().catch((error) => {
@@ -24,14 +45,14 @@ bot.start().catch((error) => {
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\n👋 Shutting down...');
-  bot.stop();
+  await bot.stop();
   process.exit(0);
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('\n👋 Shutting down...');
-  bot.stop();
+  await bot.stop();
   process.exit(0);
 });
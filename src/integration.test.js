@@ -16,13 +16,13 @@ describe('Integration: Pick to Link', () => {
       // Step 1: Parse the pick
       const parsed = parsePickSimple(pickText);
       assert.strictEqual(parsed.isValidPick, true);
-      assert.deepStrictEqual(parsed.players, ['Galan']);
-      assert.strictEqual(parsed.betType, 'ML');
+      assert.deepStrictEqual(parsed.legs[0].players, ['Galan']);
+      assert.strictEqual(parsed.legs[0].betType, 'ML');
       
       // Step 2: Match to event (using mock data)
       const events = getMockEvents('tennis');
       const match = findMatchingEventSimple(
-        { ...parsed, sport: 'tennis' },
+        { ...parsed.legs[0], sport: 'tennis' },
         events
       );
       
@@ -43,15 +43,15 @@ describe('Integration: Pick to Link', () => {
       // Step 1: Parse
       const parsed = parsePickSimple(pickText);
       assert.strictEqual(parsed.isValidPick, true);
-      assert.strictEqual(parsed.betType, 'over');
-      assert.strictEqual(parsed.line, 23.5);
+      assert.strictEqual(parsed.legs[0].betType, 'over');
+      assert.strictEqual(parsed.legs[0].line, 23.5);
       
       // Step 2: Match
       const events = getMockEvents('tennis');
       
       // For doubles, we need to adjust the parsed players
       const adjustedParsed = {
-        ...parsed,
+        ...parsed.legs[0],
         sport: 'tennis',
         players: ['Escobar', 'Hidalgo'],
       };
@@ -79,13 +79,13 @@ describe('Integration: Pick to Link', () => {
       // Parse
       const parsed = parsePickSimple(pickText);
       assert.strictEqual(parsed.isValidPick, true);
-      assert.strictEqual(parsed.odds, '+150');
+      assert.strictEqual(parsed.legs[0].odds, '+150');
       assert.strictEqual(parsed.units, 2);
       
       // Match
       const events = getMockEvents('basketball');
       const match = findMatchingEventSimple(
-        { ...parsed, sport: 'basketball' },
+        { ...parsed.legs[0], sport: 'basketball' },
         events
       );
       
@@ -98,6 +98,25 @@ describe('Integration: Pick to Link', () => {
     });
   });
 
+  describe('Multi-leg picks', () => {
+    it('links every leg of a parlay', () => {
+      const parsed = parsePickSimple('Galan ML / Lakers +4.5 / Korda ML parlay 1u');
+      assert.strictEqual(parsed.isParlay, true);
+
+      const events = getMockEvents();
+      const urls = parsed.legs.map(leg => {
+        const match = findMatchingEventSimple(leg, events);
+        assert.ok(match.event, `Should match ${leg.description}`);
+        return buildBovadaUrl(match.event);
+      });
+
+      assert.strictEqual(urls.length, 3);
+      assert.ok(urls[0].includes('galan'));
+      assert.ok(urls[1].includes('lakers'));
+      assert.ok(urls[2].includes('korda'));
+    });
+  });
+
   describe('Edge cases', () => {
     it('handles pick with no matching event gracefully', () => {
       const pickText = 'Federer ML -200';
@@ -107,7 +126,7 @@ describe('Integration: Pick to Link', () => {
       
       const events = getMockEvents('tennis');
       const match = findMatchingEventSimple(
-        { ...parsed, sport: 'tennis', players: ['Federer'] },
+        { ...parsed.legs[0], sport: 'tennis', players: ['Federer'] },
         events
       );
       
@@ -122,7 +141,7 @@ describe('Integration: Pick to Link', () => {
       
       const parsed = parsePickSimple(pickText);
       assert.strictEqual(parsed.isValidPick, true);
-      assert.strictEqual(parsed.betType, 'spread');
+      assert.strictEqual(parsed.legs[0].betType, 'spread');
       assert.strictEqual(parsed.units, 3);
     });
   });
@@ -0,0 +1,91 @@
+/**
+ * Small JSON files for persisted bot state
+ *
+ * The parse cache, server aliases and server settings each mirror an
+ * in-memory map to a file under DATA_DIR. Reads happen once at startup;
+ * writes are debounced and go through a temp file so a crash can't leave a
+ * truncated file behind.
+ */
+
+import { readFileSync } from 'node:fs';
+import { mkdir, writeFile, rename } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+const WRITE_DELAY_MS = 1000;
+
+/**
+ * Reads a JSON file
+ * @param {string|null} filePath - File to read
+ * @param {string} label - What the file holds, for log messages
+ * @returns {*} Parsed contents, or null if there is no file or it can't be read
+ */
+export function readJsonFile(filePath, label) {
+  if (!filePath) return null;
+
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`  ↳ Could not load ${label}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Creates a debounced writer for a JSON file
+ * @param {string|null} filePath - File to write (writes are no-ops if not set)
+ * @param {Function} getData - Returns the data to serialize at write time
+ * @param {string} label - What the file holds, for log messages
+ * @returns {Object} Writer with schedule/flush methods
+ */
+export function createJsonWriter(filePath, getData, label) {
+  let writeTimer = null;
+  let pendingWrite = Promise.resolve();
+
+  const write = () => {
+    pendingWrite = pendingWrite.then(() => writeJsonFile(filePath, getData(), label));
+  };
+
+  return {
+    schedule() {
+      if (!filePath || writeTimer) return;
+      writeTimer = setTimeout(() => {
+        writeTimer = null;
+        write();
+      }, WRITE_DELAY_MS);
+      writeTimer.unref?.();
+    },
+
+    /**
+     * Writes any pending changes to disk
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      if (writeTimer) {
+        clearTimeout(writeTimer);
+        writeTimer = null;
+        write();
+      }
+      await pendingWrite;
+    },
+  };
+}
+
+/**
+ * Writes a JSON file via a temp file
+ * @param {string} filePath - File to write
+ * @param {*} data - Data to serialize
+ * @param {string} label - What the file holds, for log messages
+ * @returns {Promise<void>}
+ */
+async function writeJsonFile(filePath, data, label) {
+  try {
+    await mkdir(dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(data));
+    await rename(tmpPath, filePath);
+  } catch (error) {
+    console.error(`  ↳ Could not save ${label}: ${error.message}`);
+  }
+}
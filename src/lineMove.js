@@ -0,0 +1,46 @@
+/**
+ * Line-move and stale-odds detection
+ *
+ * Compares what the capper posted with what Bovada offers now. A pick is
+ * stale when its line or total is no longer offered, or when the price has
+ * moved against it by at least the server's threshold (see settings.js).
+ * Moves in the tailer's favor are reported but never make a pick stale.
+ */
+
+import { centsBetween } from './odds.js';
+
+/**
+ * Assesses how far a leg's odds have moved since it was posted
+ * @param {Object} leg - Parsed pick leg (posted odds in leg.price)
+ * @param {Object|null} marketResult - Result of findGameMarket/findPropMarket ({ market, outcome, lineMatches })
+ * @param {Object} settings - Server settings ({ staleOddsCents, staleOddsAction })
+ * @returns {Object|null} Assessment, or null if there's no current outcome to compare against
+ */
+export function assessLineMove(leg, marketResult, { staleOddsCents, staleOddsAction }) {
+  const outcome = marketResult?.outcome;
+  if (!outcome) return null;
+
+  const posted = leg.price || null;
+  const current = outcome.price || null;
+  const cents = posted && current ? centsBetween(posted, current) : null;
+
+  // A lower payout than posted means the line moved against the pick
+  const worse = cents !== null && current.decimal < posted.decimal;
+  const lineMissing = marketResult.lineMatches === false;
+
+  const stale = staleOddsAction !== 'off'
+    && (lineMissing || (worse && cents >= staleOddsCents));
+
+  return {
+    posted,
+    current,
+    cents,
+    impliedChange: cents !== null ? current.impliedProbability - posted.impliedProbability : null,
+    worse,
+    postedLine: leg.prop ? leg.prop.line : leg.line,
+    currentLine: outcome.point,
+    lineMissing,
+    stale,
+    suppress: stale && staleOddsAction === 'suppress',
+  };
+}
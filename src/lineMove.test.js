@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { assessLineMove } from './lineMove.js';
+import { parseOdds } from './odds.js';
+import { findGameMarket } from './markets.js';
+import { getMockEvents } from './bovada.js';
+
+const leg = (odds, extra = {}) => ({ betType: 'ML', line: null, odds, price: parseOdds(odds), ...extra });
+const result = (odds, extra = {}) => ({
+  outcome: { name: 'Galan', point: null, odds, price: parseOdds(odds) },
+  lineMatches: true,
+  ...extra,
+});
+const annotate = { staleOddsCents: 25, staleOddsAction: 'annotate' };
+
+describe('assessLineMove', () => {
+  it('flags moves against the pick at the threshold', () => {
+    const move = assessLineMove(leg('-110'), result('-135'), annotate);
+    assert.strictEqual(move.cents, 25);
+    assert.strictEqual(move.worse, true);
+    assert.strictEqual(move.stale, true);
+    assert.strictEqual(move.suppress, false);
+    assert.ok(move.impliedChange > 0);
+  });
+
+  it('does not flag smaller moves', () => {
+    const move = assessLineMove(leg('-110'), result('-120'), annotate);
+    assert.strictEqual(move.cents, 10);
+    assert.strictEqual(move.stale, false);
+  });
+
+  it('never flags moves in the tailer\'s favor', () => {
+    const move = assessLineMove(leg('-150'), result('+120'), annotate);
+    assert.strictEqual(move.cents, 70);
+    assert.strictEqual(move.worse, false);
+    assert.strictEqual(move.stale, false);
+  });
+
+  it('flags a posted line that is no longer offered', () => {
+    const move = assessLineMove(
+      leg('-110', { betType: 'spread', line: -3.5 }),
+      result('-110', { outcome: { point: -4.5, price: parseOdds('-110') }, lineMatches: false }),
+      annotate,
+    );
+    assert.strictEqual(move.lineMissing, true);
+    assert.strictEqual(move.postedLine, -3.5);
+    assert.strictEqual(move.currentLine, -4.5);
+    assert.strictEqual(move.stale, true);
+  });
+
+  it('flags a spread whose sign has flipped', () => {
+    const [lakersGame] = getMockEvents('basketball');
+    const pick = leg('-110', { players: ['Lakers'], betType: 'spread', line: -3.5 });
+
+    const move = assessLineMove(pick, findGameMarket(lakersGame, pick), annotate);
+    assert.strictEqual(move.lineMissing, true);
+    assert.strictEqual(move.postedLine, -3.5);
+    assert.strictEqual(move.currentLine, 3.5);
+    assert.strictEqual(move.stale, true);
+  });
+
+  it('marks stale picks for suppression when the server asks', () => {
+    const move = assessLineMove(leg('-110'), result('-160'), { staleOddsCents: 25, staleOddsAction: 'suppress' });
+    assert.strictEqual(move.stale, true);
+    assert.strictEqual(move.suppress, true);
+  });
+
+  it('never flags when turned off', () => {
+    const move = assessLineMove(leg('-110'), result('-300'), { staleOddsCents: 25, staleOddsAction: 'off' });
+    assert.strictEqual(move.stale, false);
+    assert.strictEqual(move.suppress, false);
+  });
+
+  it('reports the current price when no odds were posted', () => {
+    const move = assessLineMove(leg(null), result('-110'), annotate);
+    assert.strictEqual(move.cents, null);
+    assert.strictEqual(move.current.american, -110);
+    assert.strictEqual(move.stale, false);
+  });
+
+  it('returns null without a current outcome', () => {
+    assert.strictEqual(assessLineMove(leg('-110'), null, annotate), null);
+    assert.strictEqual(assessLineMove(leg('-110'), { outcome: null, lineMatches: true }, annotate), null);
+  });
+});
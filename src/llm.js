@@ -0,0 +1,199 @@
+/**
+ * LLM provider abstraction
+ *
+ * The parser and matcher only need "send a system prompt and messages, get
+ * text back". Providers implement that one method so the model can be
+ * swapped by configuration:
+ *
+ * - anthropic: Claude via the Anthropic SDK
+ * - openai:    any OpenAI-compatible /chat/completions endpoint (vLLM, Ollama, llama.cpp, ...)
+ * - stub:      canned responses for tests
+ *
+ * Provider shape: { name, model, complete({ system, messages }) => Promise<string|null> }
+ * where messages are [{ role: 'user' | 'assistant', content }]. Content is a
+ * string, or an array of parts for vision requests:
+ *   { type: 'text', text } | { type: 'image', mediaType: 'image/png', data: <base64> }
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+export const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+const DEFAULT_MAX_TOKENS = 500;
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Creates an LLM provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.provider - "anthropic" (default), "openai" or "stub"
+ * @param {string} config.apiKey - API key (optional for self-hosted OpenAI-compatible servers)
+ * @param {string} config.baseUrl - Base URL for the OpenAI-compatible API (e.g. http://localhost:11434/v1)
+ * @param {string} config.model - Model name
+ * @param {number} config.maxTokens - Max tokens per response
+ * @param {number} config.timeoutMs - Request timeout
+ * @param {Array|Function} config.responses - Stub responses (stub provider only)
+ * @returns {Object} Provider
+ */
+export function createLLMProvider(config = {}) {
+  const {
+    provider = 'anthropic',
+    maxTokens = DEFAULT_MAX_TOKENS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+  } = config;
+  const options = { ...config, maxTokens, timeoutMs };
+
+  switch (provider) {
+    case 'anthropic':
+      return createAnthropicProvider(options);
+    case 'openai':
+      return createOpenAICompatibleProvider(options);
+    case 'stub':
+      return createStubProvider(options.responses);
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
+
+/**
+ * Creates a provider from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object|null} Provider, or null if the selected provider has no credentials
+ */
+export function createLLMProviderFromEnv(env = process.env) {
+  const provider = env.LLM_PROVIDER || 'anthropic';
+  const apiKey = env.LLM_API_KEY || (provider === 'anthropic' ? env.ANTHROPIC_API_KEY : undefined);
+
+  if (provider === 'anthropic' && !apiKey) return null;
+  if (provider === 'openai' && (!env.LLM_BASE_URL || !env.LLM_MODEL)) return null;
+
+  return createLLMProvider({
+    provider,
+    apiKey,
+    baseUrl: env.LLM_BASE_URL,
+    model: env.LLM_MODEL || undefined,
+    maxTokens: env.LLM_MAX_TOKENS ? Number(env.LLM_MAX_TOKENS) : undefined,
+    timeoutMs: env.LLM_TIMEOUT_MS ? Number(env.LLM_TIMEOUT_MS) : undefined,
+  });
+}
+
+/**
+ * Claude via the Anthropic SDK
+ * @param {Object} options - Provider options
+ * @returns {Object} Provider
+ */
+function createAnthropicProvider({ apiKey, model = DEFAULT_MODEL, maxTokens, timeoutMs }) {
+  const client = new Anthropic({ apiKey, timeout: timeoutMs });
+
+  return {
+    name: 'anthropic',
+    model,
+    async complete({ system, messages }) {
+      const response = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        messages: messages.map(message => ({ ...message, content: toAnthropicContent(message.content) })),
+        system,
+      });
+
+      const content = response.content[0];
+      return content?.type === 'text' ? content.text : null;
+    },
+  };
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API
+ * @param {Object} options - Provider options
+ * @returns {Object} Provider
+ */
+function createOpenAICompatibleProvider({ apiKey, baseUrl, model, maxTokens, timeoutMs }) {
+  if (!baseUrl) {
+    throw new Error('The openai provider needs a baseUrl (LLM_BASE_URL)');
+  }
+  if (!model) {
+    throw new Error('The openai provider needs a model (LLM_MODEL)');
+  }
+
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    model,
+    async complete({ system, messages }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          messages: [
+            { role: 'system', content: system },
+            ...messages.map(message => ({ ...message, content: toOpenAIContent(message.content) })),
+          ],
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        throw new Error(`LLM request failed: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content ?? null;
+    },
+  };
+}
+
+/**
+ * Converts message content parts to the Anthropic format
+ * @param {string|Array} content - Message content
+ * @returns {string|Array} Anthropic content
+ */
+function toAnthropicContent(content) {
+  if (typeof content === 'string') return content;
+
+  return content.map(part => part.type === 'image'
+    ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+    : { type: 'text', text: part.text });
+}
+
+/**
+ * Converts message content parts to the OpenAI format
+ * @param {string|Array} content - Message content
+ * @returns {string|Array} OpenAI content
+ */
+function toOpenAIContent(content) {
+  if (typeof content === 'string') return content;
+
+  return content.map(part => part.type === 'image'
+    ? { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } }
+    : { type: 'text', text: part.text });
+}
+
+/**
+ * Deterministic provider for tests
+ * @param {Array|Function} responses - Responses returned in order, or a function of the request
+ * @returns {Object} Provider with a `calls` array recording each request
+ */
+export function createStubProvider(responses = []) {
+  const calls = [];
+
+  return {
+    name: 'stub',
+    model: 'stub',
+    calls,
+    async complete(request) {
+      calls.push(request);
+
+      const response = typeof responses === 'function'
+        ? await responses(request, calls.length - 1)
+        : responses[Math.min(calls.length - 1, responses.length - 1)];
+
+      if (response instanceof Error) throw response;
+      if (response === undefined || response === null) return null;
+      return typeof response === 'string' ? response : JSON.stringify(response);
+    },
+  };
+}
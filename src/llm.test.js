@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { createLLMProvider, createLLMProviderFromEnv, createStubProvider, DEFAULT_MODEL } from './llm.js';
+
+describe('createStubProvider', () => {
+  it('returns responses in order and repeats the last one', async () => {
+    const llm = createStubProvider(['first', { second: true }]);
+
+    assert.strictEqual(await llm.complete({ system: 's', messages: [] }), 'first');
+    assert.strictEqual(await llm.complete({ system: 's', messages: [] }), '{"second":true}');
+    assert.strictEqual(await llm.complete({ system: 's', messages: [] }), '{"second":true}');
+    assert.strictEqual(llm.calls.length, 3);
+  });
+
+  it('accepts a response function', async () => {
+    const llm = createStubProvider((request) => request.messages[0].content.toUpperCase());
+
+    assert.strictEqual(await llm.complete({ system: 's', messages: [{ role: 'user', content: 'hi' }] }), 'HI');
+  });
+
+  it('throws stubbed errors', async () => {
+    const llm = createStubProvider([new Error('rate limited')]);
+
+    await assert.rejects(() => llm.complete({ system: 's', messages: [] }), /rate limited/);
+  });
+});
+
+describe('createLLMProvider', () => {
+  it('defaults to the Anthropic provider', () => {
+    const llm = createLLMProvider({ apiKey: 'test' });
+
+    assert.strictEqual(llm.name, 'anthropic');
+    assert.strictEqual(llm.model, DEFAULT_MODEL);
+  });
+
+  it('rejects unknown providers', () => {
+    assert.throws(() => createLLMProvider({ provider: 'carrier-pigeon' }), /Unknown LLM provider/);
+  });
+
+  it('requires a base URL and model for OpenAI-compatible servers', () => {
+    assert.throws(() => createLLMProvider({ provider: 'openai', model: 'llama' }), /baseUrl/);
+    assert.throws(() => createLLMProvider({ provider: 'openai', baseUrl: 'http://localhost' }), /model/);
+  });
+
+  it('talks to an OpenAI-compatible endpoint', async () => {
+    const { server, requests } = await startChatServer();
+    try {
+      const llm = createLLMProvider({
+        provider: 'openai',
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+        model: 'llama-3.1-8b',
+        apiKey: 'local-key',
+        maxTokens: 123,
+      });
+
+      const text = await llm.complete({ system: 'be terse', messages: [{ role: 'user', content: 'hi' }] });
+
+      const received = requests[0];
+      assert.strictEqual(text, '{"ok":true}');
+      assert.strictEqual(received.url, '/v1/chat/completions');
+      assert.strictEqual(received.auth, 'Bearer local-key');
+      assert.strictEqual(received.body.model, 'llama-3.1-8b');
+      assert.strictEqual(received.body.max_tokens, 123);
+      assert.deepStrictEqual(received.body.messages[0], { role: 'system', content: 'be terse' });
+    } finally {
+      server.close();
+    }
+  });
+
+  it('sends images to OpenAI-compatible endpoints as data URLs', async () => {
+    const { server, requests } = await startChatServer();
+    try {
+      const llm = createLLMProvider({
+        provider: 'openai',
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        model: 'llava',
+      });
+
+      await llm.complete({
+        system: 'read slips',
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'image', mediaType: 'image/png', data: 'AAAA' },
+            { type: 'text', text: 'what is this?' },
+          ],
+        }],
+      });
+
+      assert.deepStrictEqual(requests[0].body.messages[1].content, [
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } },
+        { type: 'text', text: 'what is this?' },
+      ]);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+/**
+ * Starts a local chat completions server that records requests
+ * @returns {Promise<Object>} { server, requests }
+ */
+async function startChatServer() {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: '{"ok":true}' } }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests };
+}
+
+describe('createLLMProviderFromEnv', () => {
+  it('returns null without credentials', () => {
+    assert.strictEqual(createLLMProviderFromEnv({}), null);
+    assert.strictEqual(createLLMProviderFromEnv({ LLM_PROVIDER: 'openai' }), null);
+  });
+
+  it('reads model and provider settings', () => {
+    const llm = createLLMProviderFromEnv({
+      LLM_PROVIDER: 'openai',
+      LLM_BASE_URL: 'http://localhost:11434/v1',
+      LLM_MODEL: 'qwen2.5',
+    });
+
+    assert.strictEqual(llm.name, 'openai');
+    assert.strictEqual(llm.model, 'qwen2.5');
+  });
+
+  it('uses ANTHROPIC_API_KEY for the default provider', () => {
+    const llm = createLLMProviderFromEnv({ ANTHROPIC_API_KEY: 'key', LLM_MODEL: 'claude-test' });
+
+    assert.strictEqual(llm.name, 'anthropic');
+    assert.strictEqual(llm.model, 'claude-test');
+  });
+});
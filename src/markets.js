@@ -0,0 +1,204 @@
+/**
+ * Normalized betting markets
+ *
+ * Events from the Bovada coupon endpoint and from The Odds API carry their
+ * markets in the same shape, modeled on The Odds API's:
+ *
+ *   { id, key, period, description, outcomes: [{ id, name, description, side, point, odds, price }] }
+ *
+ * - key:     "h2h", "spreads", "totals", "outrights" (tournament winner), or "player_<stat>" for props
+ * - period:  period code ("1H", "S1", "F5", see periods.js), null for the full game
+ * - name:    team/player for h2h and spreads, "Over"/"Under" for totals and props
+ * - description: the player, for props
+ * - side:    "home", "away", "draw", "over" or "under"
+ * - point:   handicap or total, null for moneylines
+ * - odds:    American odds string ("-110"), price: parsed price (see odds.js)
+ */
+
+import { parseOdds, formatAmerican } from './odds.js';
+import { normalizePeriod } from './periods.js';
+import { parsePropMarketDescription, playerNamesMatch } from './props.js';
+import { defaultAliases } from './aliases.js';
+
+// Bet type -> market key for game lines
+const BET_TYPE_MARKETS = { ML: 'h2h', spread: 'spreads', over: 'totals', under: 'totals', outright: 'outrights' };
+
+// Bovada market descriptions -> market key
+const BOVADA_MARKET_PATTERNS = [
+  { key: 'outrights', pattern: /outright|tournament winner|to win (?:the )?(?:tournament|event)/i },
+  { key: 'h2h', pattern: /money ?line|winner/i },
+  { key: 'spreads', pattern: /spread|run ?line|puck ?line|handicap/i },
+  { key: 'totals', pattern: /^total|over\/under/i },
+];
+
+const BOVADA_SIDES = { H: 'home', A: 'away', D: 'draw', O: 'over', U: 'under' };
+
+// The Odds API period suffixes ("spreads_h1", "h2h_1st_5_innings") -> period code
+const ODDS_API_PERIODS = {
+  h1: '1H', h2: '2H',
+  q1: '1Q', q2: '2Q', q3: '3Q', q4: '4Q',
+  p1: '1P', p2: '2P', p3: '3P',
+  '1st_1_innings': 'F1', '1st_3_innings': 'F3', '1st_5_innings': 'F5', '1st_7_innings': 'F7',
+};
+
+/**
+ * Normalizes the markets of a Bovada coupon event
+ * @param {Array} displayGroups - Raw Bovada display groups
+ * @returns {Array} Markets (see module docs)
+ */
+export function parseBovadaMarkets(displayGroups) {
+  const markets = [];
+
+  for (const group of displayGroups || []) {
+    for (const market of group.markets || []) {
+      // Full-game markets normalize to null, unknown segments to undefined
+      const period = normalizePeriod(market.period?.description || market.period?.abbreviation);
+      if (period === undefined) continue;
+
+      const prop = parsePropMarketDescription(market.description);
+      let key = prop
+        ? `player_${prop.stat}`
+        : BOVADA_MARKET_PATTERNS.find(({ pattern }) => pattern.test(market.description || ''))?.key;
+      if (!key) continue;
+
+      // A "Winner" market with a whole field of golfers is an outright, not a head-to-head
+      if (key === 'h2h' && (market.outcomes || []).length > 3) key = 'outrights';
+
+      markets.push(createMarket({
+        id: market.id,
+        key,
+        period,
+        description: market.description,
+        outcomes: (market.outcomes || []).map(outcome => ({
+          id: outcome.id,
+          name: outcome.description,
+          description: prop ? prop.player : null,
+          side: BOVADA_SIDES[outcome.type] || null,
+          point: outcome.price?.handicap,
+          odds: outcome.price?.american,
+        })),
+      }));
+    }
+  }
+
+  return markets;
+}
+
+/**
+ * Normalizes a bookmaker's markets from The Odds API
+ * @param {Array} markets - Raw markets ({ key, outcomes: [{ name, price, point, description }] })
+ * @param {Object} teams - Event teams, to tell home from away
+ * @param {string} teams.homeTeam - Home team
+ * @param {string} teams.awayTeam - Away team
+ * @returns {Array} Markets (see module docs)
+ */
+export function normalizeOddsApiMarkets(markets, { homeTeam, awayTeam } = {}) {
+  return (markets || []).map(market => {
+    const [, base, suffix] = market.key.match(/^(h2h|spreads|totals)(?:_(.+))?$/) || [];
+    const period = suffix ? ODDS_API_PERIODS[suffix] ?? null : null;
+    const key = base || market.key;
+
+    return createMarket({
+      id: market.key,
+      key,
+      period,
+      description: key.replace(/_/g, ' '),
+      outcomes: (market.outcomes || []).map(outcome => ({
+        id: `${market.key}:${outcome.name}:${outcome.description || ''}`,
+        name: outcome.name,
+        description: outcome.description || null,
+        side: outcome.name === homeTeam ? 'home'
+          : outcome.name === awayTeam ? 'away'
+            : outcome.name === 'Draw' ? 'draw'
+              : /^(over|under)$/i.test(outcome.name) ? outcome.name.toLowerCase() : null,
+        point: outcome.point,
+        odds: outcome.price,
+      })),
+    });
+  });
+}
+
+/**
+ * Builds a normalized market, parsing each outcome's point and odds
+ * @param {Object} market - Market fields ({ id, key, period, description, outcomes })
+ * @returns {Object} Market (see module docs)
+ */
+export function createMarket({ id, key, period = null, description, outcomes = [] }) {
+  return { id, key, period, description, outcomes: outcomes.map(buildOutcome) };
+}
+
+/**
+ * Finds the game-line market and outcome a leg was placed on
+ * @param {Object} event - Event with normalized markets
+ * @param {Object} leg - Parsed pick leg (ML, spread, over or under)
+ * @param {Object} options - Lookup options
+ * @param {Object} options.aliases - Alias dictionary, so "LAL" finds "Los Angeles Lakers" (see aliases.js)
+ * @returns {Object|null} { market, outcome, lineMatches }, or null if the market isn't offered
+ */
+export function findGameMarket(event, leg, { aliases = defaultAliases } = {}) {
+  const key = BET_TYPE_MARKETS[leg.betType];
+  if (!key || !event?.markets?.length) return null;
+
+  const market = event.markets.find(m => m.key === key && m.period === (leg.period || null));
+  if (!market) return null;
+
+  let outcome;
+  if (key === 'totals') {
+    outcome = market.outcomes.find(o => o.side === leg.betType);
+  } else {
+    const names = (leg.players || []).flatMap(player => [player, ...aliases.expand(player, { sport: leg.sport })]);
+    outcome = market.outcomes.find(o => names.some(name => playerNamesMatch(o.name, name)));
+  }
+
+  // Signed, so a spread posted on the other side ("Celtics +3.5" when they give 3.5) doesn't match
+  const lineMatches = !outcome || key === 'h2h' || key === 'outrights' || leg.line === null || leg.line === undefined
+    || outcome.point === leg.line;
+
+  return { market, outcome: outcome || null, lineMatches };
+}
+
+/**
+ * @param {Object} event - Event with normalized markets
+ * @returns {string[]} Players with prop markets on the event
+ */
+export function getPropPlayers(event) {
+  const players = (event?.markets || [])
+    .filter(market => market.key.startsWith('player_'))
+    .flatMap(market => market.outcomes.map(outcome => outcome.description))
+    .filter(Boolean);
+
+  return [...new Set(players)];
+}
+
+/**
+ * @param {Object} event - Event with normalized markets
+ * @returns {string[]} Players in the event's outright (tournament winner) markets
+ */
+export function getOutrightPlayers(event) {
+  const players = (event?.markets || [])
+    .filter(market => market.key === 'outrights')
+    .flatMap(market => market.outcomes.map(outcome => outcome.name))
+    .filter(Boolean);
+
+  return [...new Set(players)];
+}
+
+/**
+ * Builds a normalized outcome
+ * @param {Object} raw - Outcome fields with point and odds as found in the source
+ * @returns {Object} Outcome
+ */
+function buildOutcome({ id, name, description = null, side = null, point = null, odds = null }) {
+  const price = parseOdds(odds);
+  const parsedPoint = point === undefined || point === null || point === '' ? null : parseFloat(point);
+
+  return {
+    id,
+    name,
+    description,
+    side,
+    point: Number.isFinite(parsedPoint) ? parsedPoint : null,
+    odds: price ? formatAmerican(price.american) : null,
+    price,
+  };
+}
@@ -0,0 +1,172 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseBovadaMarkets, normalizeOddsApiMarkets, createMarket, findGameMarket, getPropPlayers, getOutrightPlayers } from './markets.js';
+import { getMockEvents } from './bovada.js';
+
+describe('parseBovadaMarkets', () => {
+  it('maps market descriptions to keys', () => {
+    const markets = parseBovadaMarkets([{
+      markets: [
+        { id: '1', description: 'Fight Winner', outcomes: [] },
+        { id: '2', description: 'Runline', outcomes: [] },
+        { id: '3', description: 'Total Runs O/U', outcomes: [] },
+        { id: '4', description: 'Total Strikeouts - Gerrit Cole (NYY)', outcomes: [] },
+        { id: '5', description: 'Race to 10 Points', outcomes: [] },
+      ],
+    }]);
+
+    assert.deepStrictEqual(markets.map(m => m.key), ['h2h', 'spreads', 'totals', 'player_strikeouts']);
+  });
+
+  it('parses handicaps and even odds', () => {
+    const [market] = parseBovadaMarkets([{
+      markets: [{
+        id: '1',
+        description: 'Goal Spread',
+        outcomes: [{ id: 'o1', description: 'Arsenal', type: 'H', price: { american: 'EVEN', handicap: '-0.5' } }],
+      }],
+    }]);
+
+    assert.strictEqual(market.outcomes[0].point, -0.5);
+    assert.strictEqual(market.outcomes[0].odds, '+100');
+    assert.strictEqual(market.outcomes[0].side, 'home');
+  });
+
+  it('skips segments it does not know', () => {
+    const markets = parseBovadaMarkets([{
+      markets: [{ id: '1', description: 'Moneyline', period: { description: 'Overtime Only' }, outcomes: [] }],
+    }]);
+
+    assert.deepStrictEqual(markets, []);
+  });
+});
+
+describe('normalizeOddsApiMarkets', () => {
+  const raw = [
+    {
+      key: 'h2h',
+      outcomes: [{ name: 'Boston Celtics', price: -150 }, { name: 'Los Angeles Lakers', price: 130 }],
+    },
+    {
+      key: 'spreads_h1',
+      outcomes: [{ name: 'Boston Celtics', price: -110, point: -2.5 }, { name: 'Los Angeles Lakers', price: -110, point: 2.5 }],
+    },
+  ];
+
+  it('produces the same shape as the Bovada parser', () => {
+    const [h2h] = normalizeOddsApiMarkets(raw, { homeTeam: 'Boston Celtics', awayTeam: 'Los Angeles Lakers' });
+
+    assert.strictEqual(h2h.key, 'h2h');
+    assert.strictEqual(h2h.period, null);
+    assert.deepStrictEqual(h2h.outcomes.map(o => [o.name, o.side, o.point, o.odds]), [
+      ['Boston Celtics', 'home', null, '-150'],
+      ['Los Angeles Lakers', 'away', null, '+130'],
+    ]);
+  });
+
+  it('reads the period from the market key', () => {
+    const [, spreads] = normalizeOddsApiMarkets(raw);
+
+    assert.strictEqual(spreads.key, 'spreads');
+    assert.strictEqual(spreads.period, '1H');
+    assert.strictEqual(spreads.outcomes[0].point, -2.5);
+  });
+
+  it('handles a missing bookmaker', () => {
+    assert.deepStrictEqual(normalizeOddsApiMarkets(undefined), []);
+  });
+});
+
+describe('findGameMarket', () => {
+  const [lakersGame] = getMockEvents('basketball');
+
+  it('finds the moneyline side', () => {
+    const result = findGameMarket(lakersGame, { players: ['Lakers'], betType: 'ML', line: null });
+
+    assert.strictEqual(result.outcome.name, 'Los Angeles Lakers');
+    assert.strictEqual(result.outcome.odds, '+130');
+  });
+
+  it('expands aliases to find the side', () => {
+    const result = findGameMarket(lakersGame, { players: ['LAL'], betType: 'spread', line: 3.5 });
+
+    assert.strictEqual(result.outcome.name, 'Los Angeles Lakers');
+    assert.strictEqual(result.lineMatches, true);
+  });
+
+  it('flags a spread posted on the other side of the line', () => {
+    const result = findGameMarket(lakersGame, { players: ['Lakers'], betType: 'spread', line: -3.5 });
+
+    assert.strictEqual(result.outcome.point, 3.5);
+    assert.strictEqual(result.lineMatches, false);
+  });
+
+  it('flags a line that differs from the market', () => {
+    const result = findGameMarket(lakersGame, { players: [], betType: 'over', line: 224.5 });
+
+    assert.strictEqual(result.outcome.side, 'over');
+    assert.strictEqual(result.lineMatches, false);
+  });
+
+  it('uses the market for the leg period', () => {
+    const result = findGameMarket(lakersGame, { players: ['Lakers'], betType: 'spread', line: -3, period: '1H' });
+
+    assert.strictEqual(result.market.id, 'mock-nba-1-1h-spread');
+    assert.strictEqual(result.outcome.point, -3);
+  });
+
+  it('returns null when the market is not offered', () => {
+    assert.strictEqual(findGameMarket(lakersGame, { players: ['Lakers'], betType: 'ML', period: '3Q' }), null);
+    assert.strictEqual(findGameMarket({ markets: [] }, { players: ['Lakers'], betType: 'ML' }), null);
+  });
+});
+
+describe('getPropPlayers', () => {
+  it('lists players with prop markets', () => {
+    const event = {
+      markets: [
+        createMarket({ id: '1', key: 'h2h', outcomes: [{ name: 'Los Angeles Lakers' }] }),
+        createMarket({ id: '2', key: 'player_points', outcomes: [{ name: 'Over', description: 'LeBron James' }, { name: 'Under', description: 'LeBron James' }] }),
+      ],
+    };
+
+    assert.deepStrictEqual(getPropPlayers(event), ['LeBron James']);
+  });
+});
+
+describe('outrights', () => {
+  const masters = {
+    markets: parseBovadaMarkets([{
+      markets: [{
+        id: 'w1',
+        description: 'Winner',
+        outcomes: [
+          { id: 'o1', description: 'Scottie Scheffler', price: { american: '+450' } },
+          { id: 'o2', description: 'Rory McIlroy', price: { american: '+700' } },
+          { id: 'o3', description: 'Xander Schauffele', price: { american: '+1200' } },
+          { id: 'o4', description: 'Ludvig Aberg', price: { american: '+1600' } },
+        ],
+      }],
+    }]),
+  };
+
+  it('reads a winner market with a whole field as an outright', () => {
+    assert.strictEqual(masters.markets[0].key, 'outrights');
+    assert.deepStrictEqual(getOutrightPlayers(masters), ['Scottie Scheffler', 'Rory McIlroy', 'Xander Schauffele', 'Ludvig Aberg']);
+  });
+
+  it('keeps three-way moneylines as head-to-head', () => {
+    const [market] = parseBovadaMarkets([{
+      markets: [{ id: 'm1', description: '3-Way Moneyline', outcomes: [{ type: 'H' }, { type: 'D' }, { type: 'A' }] }],
+    }]);
+
+    assert.strictEqual(market.key, 'h2h');
+  });
+
+  it('finds the golfer picked to win', () => {
+    const result = findGameMarket(masters, { players: ['Scheffler'], betType: 'outright', line: 450 });
+
+    assert.strictEqual(result.outcome.odds, '+450');
+    assert.strictEqual(result.lineMatches, true);
+  });
+});
@@ -1,14 +1,38 @@
-import Anthropic from '@anthropic-ai/sdk';
+import { extractJson, validateMatchResponse } from './schema.js';
+import { findPropMarket } from './props.js';
+import { findGameMarket } from './markets.js';
+import { defaultAliases } from './aliases.js';
+import { isInProgress } from './eventStore.js';
+import { resolveTimeHint, extractGameNumber } from './timeHints.js';
+import { nameSimilarity, normalizeName } from './similarity.js';
+import { getEventIndex } from './eventIndex.js';
+import { findSelection } from './selection.js';
+
+// Extra attempts when the model's JSON fails validation
+const MAX_REPAIR_ATTEMPTS = 1;
+
+const HOUR_MS = 60 * 60 * 1000;
+const LIVE_BONUS = 0.1; // Live picks lean toward games in progress
+const TIME_BONUS = 0.15; // Starting in the pick's window ("tonight"), fading over a day outside it
+const GAME_BONUS = 0.15; // Event is the series game the pick names
+const WRONG_GAME_PENALTY = 0.3; // Event is another game of the series
+const FUZZY_THRESHOLD = 0.88; // Name similarity a misspelling needs ("Pegulla")
+const FUZZY_WEIGHT = 0.6; // Scales similarity so fuzzy matches stay below exact ones
+const LLM_CANDIDATES = 50; // Events shown to the LLM, to keep the prompt small
+const AMBIGUITY_GAP = 0.05; // Candidates this close to the best are a coin flip
+const MAX_CHOICES = 5; // Events offered to the poster when a match is ambiguous
 
 /**
  * Finds the best matching event for a parsed pick
  * @param {Object} parsedPick - The parsed pick data
  * @param {Array} events - List of available events from Bovada
- * @param {string} apiKey - Anthropic API key
+ * @param {Object|null} llm - LLM provider (see llm.js); simple matching only if not set
+ * @param {Object} options - Matching options
+ * @param {Object} options.aliases - Alias dictionary (see aliases.js)
  * @returns {Promise<Object|null>} Matched event or null
  */
-export async function findMatchingEvent(parsedPick, events, apiKey) {
-  const result = await findMatchingEventWithDebug(parsedPick, events, apiKey);
+export async function findMatchingEvent(parsedPick, events, llm, options = {}) {
+  const result = await findMatchingEventWithDebug(parsedPick, events, llm, options);
   return result?.event || null;
 }
 
@@ -16,38 +40,119 @@ export async function findMatchingEvent(parsedPick, events, apiKey) {
  * Finds the best matching event with debug info
  * @param {Object} parsedPick - The parsed pick data
  * @param {Array} events - List of available events from Bovada
- * @param {string} apiKey - Anthropic API key
- * @returns {Promise<Object>} Result with event, confidence, and candidates
+ * @param {Object|null} llm - LLM provider (see llm.js); simple matching only if not set
+ * @param {Object} options - Matching options
+ * @param {Object} options.aliases - Alias dictionary (see aliases.js)
+ * @returns {Promise<Object>} Result with event, confidence, candidates, choices (when too close to call),
+ *   market or propMarket, selection, and (for periods) periodMarkets
  */
-export async function findMatchingEventWithDebug(parsedPick, events, apiKey) {
-  if (!events || events.length === 0) {
-    return { event: null, confidence: 0, candidates: [] };
+export async function findMatchingEventWithDebug(parsedPick, events, llm, options = {}) {
+  const result = await findBestEvent(parsedPick, events, llm, options);
+
+  if (!result.event) return result;
+
+  return Object.assign(result, confirmMatch(parsedPick, result.event, options));
+}
+
+/**
+ * Looks up the pick's markets on an event, e.g. one the poster chose
+ * @param {Object} parsedPick - The parsed pick data
+ * @param {Object} event - Matched event
+ * @param {Object} options - Matching options (see findMatchingEventSimple)
+ * @returns {Object} market or propMarket, selection (the side backed, see selection.js),
+ *   and (for periods) periodMarkets
+ */
+export function confirmMatch(parsedPick, event, options = {}) {
+  const result = {};
+
+  // Confirm the picked market (and side/line) is actually offered on the matched event
+  if (parsedPick.prop) {
+    result.propMarket = findPropMarket(event, parsedPick.prop);
+  } else {
+    result.market = findGameMarket(event, parsedPick, options);
+  }
+  result.selection = findSelection(parsedPick, event, result, options);
+
+  // Partial-game bets: the segment's markets, so replies don't point at the full game
+  if (parsedPick.period) {
+    result.periodMarkets = (event.markets || []).filter(m => m.period === parsedPick.period);
+  }
+
+  return result;
+}
+
+/**
+ * Finds the events a pick could just as well be on: other matchups scoring
+ * within AMBIGUITY_GAP of the best ("Kansas" is the Jayhawks and K-State).
+ * The same matchup on another day doesn't count, since the soonest game wins.
+ * @param {Array} candidates - Scored candidates ({ event, score }), best first
+ * @returns {Array} Events to choose from, best first (empty unless ambiguous)
+ */
+export function findAmbiguousChoices(candidates) {
+  const [best] = candidates;
+  const matchups = new Set();
+  const choices = [];
+
+  for (const { event, score } of candidates) {
+    if (best.score - score > AMBIGUITY_GAP || choices.length === MAX_CHOICES) break;
+
+    const matchup = matchupKey(event);
+    if (matchups.has(matchup)) continue;
+    matchups.add(matchup);
+    choices.push(event);
+  }
+
+  return choices.length > 1 ? choices : [];
+}
+
+/**
+ * @param {Object} event - Event
+ * @returns {string} Same for every game between the same participants
+ */
+function matchupKey(event) {
+  const participants = [event.participant1, event.participant2].filter(Boolean).map(normalizeName).sort();
+  return participants.length > 0 ? participants.join('|') : normalizeName(event.description || event.displayName || '');
+}
+
+/**
+ * Finds the best matching event, falling back to the LLM when unsure
+ * @param {Object} parsedPick - The parsed pick data
+ * @param {Array} events - List of available events from Bovada
+ * @param {Object|null} llm - LLM provider (see llm.js); simple matching only if not set
+ * @param {Object} options - Matching options (see findMatchingEventSimple)
+ * @returns {Promise<Object>} Result with event, confidence, candidates and choices
+ */
+async function findBestEvent(parsedPick, events, llm, options) {
+  if (selectEligibleEvents(parsedPick, events, options.now).length === 0) {
+    return { event: null, confidence: 0, candidates: [], choices: [] };
   }
 
   // Get all candidates with scores
-  const simpleResult = findMatchingEventSimple(parsedPick, events);
+  const simpleResult = findMatchingEventSimple(parsedPick, events, options);
   const candidates = simpleResult?.allCandidates || [];
   
   // First, try simple matching
   if (simpleResult && simpleResult.confidence >= 0.5) {
     // Good enough match - use it directly
-    if (simpleResult.confidence >= 0.7 || !apiKey) {
+    if (simpleResult.confidence >= 0.7 || !llm) {
       return {
         event: simpleResult.event,
         confidence: simpleResult.confidence,
         candidates,
+        choices: findAmbiguousChoices(candidates),
       };
     }
   }
 
-  // If simple matching is inconclusive and we have an API key, use LLM
-  if (apiKey) {
-    const llmMatch = await findMatchingEventLLM(parsedPick, events, apiKey);
+  // If simple matching is inconclusive and we have an LLM, use it
+  if (llm) {
+    const llmMatch = await findMatchingEventLLM(parsedPick, events, llm, options);
     if (llmMatch) {
       return {
         event: llmMatch,
         confidence: 0.9, // LLM match assumed high confidence
         candidates,
+        choices: [], // The LLM already weighed the context
       };
     }
   }
@@ -58,30 +163,41 @@ export async function findMatchingEventWithDebug(parsedPick, events, apiKey) {
       event: simpleResult.event,
       confidence: simpleResult.confidence,
       candidates,
+      choices: findAmbiguousChoices(candidates),
     };
   }
 
-  return { event: null, confidence: 0, candidates };
+  return { event: null, confidence: 0, candidates, choices: [] };
 }
 
 /**
  * Simple matching without LLM - uses string matching
  * @param {Object} parsedPick - The parsed pick data
  * @param {Array} events - List of available events
+ * @param {Object} options - Matching options
+ * @param {Object} options.aliases - Alias dictionary (see aliases.js)
+ * @param {number} options.now - Current time, to tell started events apart
  * @returns {Object|null} Match result with confidence score and all candidates
  */
-export function findMatchingEventSimple(parsedPick, events) {
+export function findMatchingEventSimple(parsedPick, events, { aliases = defaultAliases, now = Date.now() } = {}) {
   const { players, sport, league } = parsedPick;
   
   if (!players || players.length === 0) {
     return null;
   }
 
+  // Every name an alias expands to ("Niners" -> "San Francisco 49ers"), per player
+  const playerNames = players.map(player => [player, ...aliases.expand(player, { sport })].map(normalizeName));
+
   let bestMatch = null;
   let bestScore = 0;
   const allCandidates = [];
 
-  for (const event of events) {
+  // Only events sharing a name token with the pick can score on names
+  const index = getEventIndex(events);
+  const shortlist = index.search(playerNames.flat()).map(hit => hit.event);
+
+  for (const event of selectEligibleEvents(parsedPick, shortlist, now)) {
     let score = 0;
 
     // Check sport match
@@ -98,54 +214,25 @@ export function findMatchingEventSimple(parsedPick, events) {
       }
     }
 
-    // Check player/team name matches
-    for (const playerName of players) {
-      const normalizedPlayer = normalizePlayerName(playerName);
-      
-      // Check against event participants
-      const participants = [
-        event.participant1,
-        event.participant2,
-        event.description,
-        event.displayName,
-      ].filter(Boolean).map(p => normalizePlayerName(p));
-
-      let playerMatched = false;
-      for (const participant of participants) {
-        if (playerMatched) break;
-        
-        // Exact full name match
-        if (participant === normalizedPlayer) {
-          score += 0.7;
-          playerMatched = true;
-          break;
-        }
-        
-        // Player name is contained in participant (e.g., "pegula" in "jessica pegula")
-        if (participant.includes(normalizedPlayer) && normalizedPlayer.length >= 3) {
-          score += 0.6;
-          playerMatched = true;
-          break;
-        }
-        
-        // Participant name is contained in player (e.g., "jessica pegula" starts with "jessica")
-        if (normalizedPlayer.includes(participant) && participant.length >= 3) {
-          score += 0.5;
-          playerMatched = true;
-          break;
-        }
-        
-        // Partial match (last name match)
-        const playerParts = normalizedPlayer.split(' ');
-        const participantParts = participant.split(' ');
-        for (const part of playerParts) {
-          if (part.length > 2 && participantParts.some(pp => pp === part || pp.includes(part))) {
-            score += 0.4;
-            playerMatched = true;
-            break;
-          }
-        }
-      }
+    // Check player/team name matches, keeping the best alias expansion
+    const names = index.namesOf(event);
+    const participants = [
+      ...names.participants,
+      // Prop players too, since "LeBron" never appears in "Lakers vs Celtics"
+      ...(parsedPick.prop ? names.props : []),
+      // And the field, since a tournament has no participant1/participant2
+      ...(parsedPick.betType === 'outright' ? names.outrights : []),
+    ];
+
+    let nameScore = 0;
+    for (const names of playerNames) {
+      nameScore += Math.max(...names.map(name => scoreNameMatch(name, participants)));
+    }
+    score += nameScore;
+
+    // Timing only tells apart events that already name the pick's teams
+    if (nameScore > 0) {
+      score += scoreTiming(parsedPick, event, now);
     }
 
     // Track all candidates with scores > 0
@@ -153,14 +240,16 @@ export function findMatchingEventSimple(parsedPick, events) {
       allCandidates.push({ event, score });
     }
 
-    if (score > bestScore) {
+    // On a tie, the sooner game is the likelier one
+    const tie = bestMatch && Math.abs(score - bestScore) < 1e-9 && startOf(event) < startOf(bestMatch);
+    if (score > bestScore + 1e-9 || (score > 0 && tie)) {
       bestScore = score;
       bestMatch = event;
     }
   }
 
-  // Sort candidates by score descending
-  allCandidates.sort((a, b) => b.score - a.score);
+  // Sort candidates by score descending, sooner games first
+  allCandidates.sort((a, b) => (Math.abs(b.score - a.score) > 1e-9 ? b.score - a.score : startOf(a.event) - startOf(b.event)));
 
   if (bestMatch) {
     return {
@@ -173,18 +262,133 @@ export function findMatchingEventSimple(parsedPick, events) {
   return { event: null, confidence: 0, allCandidates };
 }
 
+/**
+ * Drops events a pick can't be on: a pre-game pick can't be placed on a game
+ * that has started, while a live pick may be on either
+ * @param {Object} parsedPick - The parsed pick data
+ * @param {Array} events - List of available events
+ * @param {number} now - Current time
+ * @returns {Array} Events the pick could be on
+ */
+function selectEligibleEvents(parsedPick, events, now = Date.now()) {
+  if (!events) return [];
+  return parsedPick.live ? events : events.filter(event => !isInProgress(event, now));
+}
+
+/**
+ * Scores how well an event's timing fits the pick
+ * @param {Object} parsedPick - The parsed pick data ({ live, when, game })
+ * @param {Object} event - Candidate event
+ * @param {number} now - When the pick was posted
+ * @returns {number} Score adjustment (negative for another game of a series)
+ */
+function scoreTiming(parsedPick, event, now) {
+  let score = 0;
+
+  if (parsedPick.live && isInProgress(event, now)) {
+    score += LIVE_BONUS;
+  }
+
+  const window = parsedPick.when ? resolveTimeHint(parsedPick.when, now) : null;
+  if (window && event.startTime) {
+    const start = Date.parse(event.startTime);
+    const hoursOutside = Math.max(0, window.from - start, start - window.to) / HOUR_MS;
+    score += TIME_BONUS * Math.max(0, 1 - hoursOutside / 24);
+  }
+
+  if (parsedPick.game) {
+    const eventGame = extractGameNumber([event.description, event.displayName].filter(Boolean).join(' '))?.number;
+    if (eventGame) score += eventGame === parsedPick.game ? GAME_BONUS : -WRONG_GAME_PENALTY;
+  }
+
+  return score;
+}
+
+/**
+ * @param {Object} event - Event
+ * @returns {number} Start time in ms (events without one sort last)
+ */
+function startOf(event) {
+  const start = Date.parse(event.startTime);
+  return Number.isFinite(start) ? start : Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * Scores one name against an event's participants
+ * @param {string} normalizedPlayer - Normalized player/team name
+ * @param {string[]} participants - Normalized participant names
+ * @returns {number} Score for the best matching participant, or 0
+ */
+function scoreNameMatch(normalizedPlayer, participants) {
+  let best = 0;
+
+  for (const participant of participants) {
+    // Exact full name match
+    if (participant === normalizedPlayer) {
+      return 0.7;
+    }
+
+    // Player name is contained in participant (e.g., "pegula" in "jessica pegula")
+    if (participant.includes(normalizedPlayer) && normalizedPlayer.length >= 3) {
+      return 0.6;
+    }
+
+    // Participant name is contained in player (e.g., "jessica pegula" starts with "jessica")
+    if (normalizedPlayer.includes(participant) && participant.length >= 3) {
+      return 0.5;
+    }
+
+    // Partial match (last name match)
+    const participantParts = participant.split(' ');
+    for (const part of normalizedPlayer.split(' ')) {
+      if (part.length > 2 && participantParts.some(pp => pp === part || pp.includes(part))) {
+        best = Math.max(best, 0.4);
+      }
+    }
+
+    // Misspelled or flipped names ("Pegulla", "Pegula Jessica")
+    const similarity = nameSimilarity(normalizedPlayer, participant);
+    if (similarity >= FUZZY_THRESHOLD) {
+      best = Math.max(best, FUZZY_WEIGHT * similarity);
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Picks the events to show the LLM: those sharing name tokens with the pick
+ * first, then the rest for nicknames the index can't see
+ * @param {Object} parsedPick - The parsed pick data
+ * @param {Array} events - List of available events
+ * @param {Object} options - Matching options (see findMatchingEventSimple)
+ * @returns {Array} Up to LLM_CANDIDATES events
+ */
+function selectLLMCandidates(parsedPick, events, { aliases = defaultAliases, now = Date.now() } = {}) {
+  const eligible = selectEligibleEvents(parsedPick, events, now);
+  const names = (parsedPick.players || []).flatMap(player => [player, ...aliases.expand(player, { sport: parsedPick.sport })]);
+
+  const eligibleSet = new Set(eligible);
+  const shortlist = getEventIndex(events).search(names).map(hit => hit.event).filter(event => eligibleSet.has(event));
+  const shortlisted = new Set(shortlist);
+
+  return [...shortlist, ...eligible.filter(event => !shortlisted.has(event))].slice(0, LLM_CANDIDATES);
+}
+
 /**
  * LLM-powered matching for ambiguous cases
  * @param {Object} parsedPick - The parsed pick data
  * @param {Array} events - List of available events
- * @param {string} apiKey - Anthropic API key
+ * @param {Object} llm - LLM provider (see llm.js)
+ * @param {Object} options - Matching options (see findMatchingEventSimple); `now` is when the pick was posted
  * @returns {Promise<Object|null>} Matched event or null
  */
-async function findMatchingEventLLM(parsedPick, events, apiKey) {
-  const client = new Anthropic({ apiKey });
+async function findMatchingEventLLM(parsedPick, events, llm, options = {}) {
+  const now = options.now ?? Date.now();
 
-  // Limit events to prevent token overflow
-  const eventSummaries = events.slice(0, 50).map((event, index) => ({
+  // The closest events only, to prevent token overflow
+  const candidates = selectLLMCandidates(parsedPick, events, options);
+  const eventSummaries = candidates.map((event, index) => ({
     index,
     sport: event.sport,
     league: event.league,
@@ -192,6 +396,7 @@ async function findMatchingEventLLM(parsedPick, events, apiKey) {
     participant1: event.participant1,
     participant2: event.participant2,
     startTime: event.startTime,
+    live: isInProgress(event, now),
   }));
 
   const systemPrompt = `You are a sports betting event matcher. Given a betting pick and a list of events, find the best matching event.
@@ -199,7 +404,8 @@ async function findMatchingEventLLM(parsedPick, events, apiKey) {
 Consider:
 - Player/team name similarity (including partial matches, nicknames, last names)
 - Sport and league context
-- Timing (prefer upcoming events)
+- Timing: the pick's "when" (relative to when it was posted) and series "game" number; otherwise prefer the
+  soonest event, and for live/in-play picks events with "live": true
 
 If no good match exists, respond with: {"matchIndex": null, "confidence": 0, "reasoning": "..."}
 Otherwise respond with: {"matchIndex": <number>, "confidence": <0-1>, "reasoning": "..."}
@@ -210,31 +416,45 @@ Respond with valid JSON only.`;
 
 Pick: ${JSON.stringify(parsedPick, null, 2)}
 
+Posted at: ${new Date(now).toISOString()}
+
 Available events:
 ${JSON.stringify(eventSummaries, null, 2)}
 
 Which event index best matches? JSON only:`;
 
+  const messages = [
+    { role: 'user', content: userPrompt }
+  ];
+
   try {
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 200,
-      messages: [
-        { role: 'user', content: userPrompt }
-      ],
-      system: systemPrompt,
-    });
-
-    const content = response.content[0];
-    if (content.type !== 'text') {
-      return null;
-    }
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      const responseText = await llm.complete({ system: systemPrompt, messages });
+      if (responseText === null) {
+        return null;
+      }
 
-    const result = JSON.parse(content.text.trim());
+      let errors;
+      try {
+        const result = validateMatchResponse(extractJson(responseText), eventSummaries.length);
+        if (result.valid) {
+          const { matchIndex, confidence, reasoning } = result.value;
+          if (matchIndex === null) {
+            return null;
+          }
+          console.log(`  ↳ LLM match: ${reasoning} (confidence: ${confidence})`);
+          return candidates[matchIndex];
+        }
+        errors = result.errors;
+      } catch (error) {
+        errors = [`invalid JSON: ${error.message}`];
+      }
 
-    if (result.matchIndex !== null && result.matchIndex >= 0 && result.matchIndex < events.length) {
-      console.log(`  ↳ LLM match: ${result.reasoning} (confidence: ${result.confidence})`);
-      return events[result.matchIndex];
+      console.log(`  ↳ Match JSON failed validation (attempt ${attempt + 1}): ${errors.join('; ')}`);
+      messages.push(
+        { role: 'assistant', content: responseText },
+        { role: 'user', content: `That JSON is invalid:\n- ${errors.join('\n- ')}\n\nRespond with the corrected JSON only:` },
+      );
     }
 
     return null;
@@ -243,18 +463,3 @@ Which event index best matches? JSON only:`;
     return null;
   }
 }
-
-/**
- * Normalizes a player/team name for matching
- * @param {string} name - Name to normalize
- * @returns {string} Normalized name
- */
-function normalizePlayerName(name) {
-  return name
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '') // Remove accents
-    .replace(/[^a-z0-9\s]/g, '') // Remove special chars
-    .replace(/\s+/g, ' ')
-    .trim();
-}
@@ -1,7 +1,21 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { findMatchingEventSimple } from './matcher.js';
+import { readFileSync } from 'node:fs';
+import { findMatchingEventSimple, findMatchingEventWithDebug, findAmbiguousChoices } from './matcher.js';
 import { getMockEvents } from './bovada.js';
+import { createStubProvider } from './llm.js';
+import { createAliasDictionary } from './aliases.js';
+import { createMarket } from './markets.js';
+
+const misspellings = JSON.parse(readFileSync(new URL('./fixtures/misspellings.json', import.meta.url), 'utf8'));
+
+const toEvents = (sport, pairs) => pairs.map(([participant1, participant2], index) => ({
+  id: `${sport}-${index}`,
+  sport,
+  participant1,
+  participant2,
+  description: `${participant1} vs ${participant2}`,
+}));
 
 describe('findMatchingEventSimple', () => {
   const mockEvents = getMockEvents();
@@ -60,6 +74,73 @@ describe('findMatchingEventSimple', () => {
     });
   });
 
+  describe('alias matches', () => {
+    it('expands team abbreviations', () => {
+      const result = findMatchingEventSimple({ players: ['LAL'], sport: 'basketball' }, mockEvents);
+
+      assert.strictEqual(result.event.id, 'mock-nba-1');
+      assert.ok(result.confidence >= 0.7);
+    });
+
+    it('expands server aliases', () => {
+      const aliases = createAliasDictionary().forServer('guild-1');
+      aliases.add('Gobbler', 'Sebastian Korda');
+
+      const result = findMatchingEventSimple({ players: ['Gobbler'], sport: 'tennis' }, mockEvents, { aliases });
+
+      assert.strictEqual(result.event.participant1, 'Sebastian Korda');
+    });
+
+    it('uses aliases learned from corrections', () => {
+      const aliases = createAliasDictionary().forServer('guild-1');
+      aliases.learn('Big Sebby', 'Sebastian Korda', { sport: 'tennis' });
+
+      const result = findMatchingEventSimple({ players: ['Big Sebby'], sport: 'tennis' }, mockEvents, { aliases });
+
+      assert.strictEqual(result.event.participant1, 'Sebastian Korda');
+      assert.ok(result.confidence >= 0.7);
+    });
+
+    it('does not use another server\'s aliases', () => {
+      const aliases = createAliasDictionary();
+      aliases.forServer('guild-1').add('Gobbler', 'Sebastian Korda');
+
+      const result = findMatchingEventSimple({ players: ['Gobbler'], sport: 'tennis' }, mockEvents, { aliases: aliases.forServer('guild-2') });
+
+      assert.ok(!result.event || result.confidence < 0.5);
+    });
+  });
+
+  describe('prop matches', () => {
+    it('matches a prop player to their game', () => {
+      const pick = {
+        players: ['LeBron'],
+        sport: 'basketball',
+        betType: 'prop',
+        prop: { player: 'LeBron', stat: 'points', direction: 'over', line: 25.5 },
+      };
+
+      const result = findMatchingEventSimple(pick, mockEvents);
+
+      assert.ok(result.event.participant1.includes('Lakers'));
+    });
+
+    it('confirms the prop market exists', async () => {
+      const pick = {
+        players: ['LeBron'],
+        sport: 'basketball',
+        betType: 'prop',
+        prop: { player: 'LeBron', stat: 'points', direction: 'over', line: 25.5 },
+      };
+
+      const result = await findMatchingEventWithDebug(pick, mockEvents, null);
+
+      assert.ok(result.propMarket);
+      assert.strictEqual(result.propMarket.market.key, 'player_points');
+      assert.strictEqual(result.propMarket.outcome.odds, '-115');
+    });
+  });
+
   describe('no match cases', () => {
     it('returns null for empty events', () => {
       const pick = {
@@ -87,4 +168,242 @@ describe('findMatchingEventSimple', () => {
       }
     });
   });
+
+  describe('live events', () => {
+    const hour = 60 * 60 * 1000;
+    const pregame = { id: 'pre', sport: 'basketball', participant1: 'Los Angeles Lakers', participant2: 'Boston Celtics', startTime: new Date(Date.now() + hour).toISOString() };
+    const started = { ...pregame, id: 'started', startTime: new Date(Date.now() - hour).toISOString() };
+    const live = { ...started, id: 'live', live: true };
+
+    it('skips started events for pre-game picks', () => {
+      const result = findMatchingEventSimple({ players: ['Lakers'], sport: 'basketball' }, [started, live]);
+
+      assert.strictEqual(result.event, null);
+    });
+
+    it('prefers a game in progress for live picks', () => {
+      const result = findMatchingEventSimple({ players: ['Lakers'], sport: 'basketball', live: true }, [pregame, live]);
+
+      assert.strictEqual(result.event.id, 'live');
+      assert.strictEqual(result.allCandidates.length, 2);
+    });
+  });
+
+  describe('time hints', () => {
+    // A Wednesday noon, in local time like the hints themselves
+    const now = new Date(2026, 9, 21, 12).getTime();
+    const game = (id, day, hour, extra = {}) => ({
+      id,
+      sport: 'basketball',
+      participant1: 'Los Angeles Lakers',
+      participant2: 'Boston Celtics',
+      startTime: new Date(2026, 9, day, hour).toISOString(),
+      ...extra,
+    });
+    const wednesday = game('wed', 21, 19);
+    const sunday = game('sun', 25, 19);
+    const nextWeek = game('next', 28, 19);
+
+    it('prefers the soonest game when the pick names no day', () => {
+      const result = findMatchingEventSimple({ players: ['Lakers'], sport: 'basketball' }, [nextWeek, sunday, wednesday], { now });
+
+      assert.strictEqual(result.event.id, 'wed');
+      assert.deepStrictEqual(result.allCandidates.map(c => c.event.id), ['wed', 'sun', 'next']);
+    });
+
+    it('prefers the game on the named day', () => {
+      const result = findMatchingEventSimple({ players: ['Lakers'], sport: 'basketball', when: 'sunday' }, [wednesday, sunday, nextWeek], { now });
+
+      assert.strictEqual(result.event.id, 'sun');
+    });
+
+    it('prefers tonight\'s game over a later one', () => {
+      const result = findMatchingEventSimple({ players: ['Lakers'], sport: 'basketball', when: 'tonight' }, [sunday, wednesday], { now });
+
+      assert.strictEqual(result.event.id, 'wed');
+    });
+
+    it('picks the named game of a series', () => {
+      const game1 = game('g1', 21, 19, { description: 'Lakers vs Celtics - Game 1' });
+      const game2 = game('g2', 23, 19, { description: 'Lakers vs Celtics - Game 2' });
+      const result = findMatchingEventSimple({ players: ['Lakers'], sport: 'basketball', game: 2 }, [game1, game2], { now });
+
+      assert.strictEqual(result.event.id, 'g2');
+    });
+
+    it('does not match on timing alone', () => {
+      const result = findMatchingEventSimple({ players: ['Knicks'], sport: 'basketball', when: 'tonight', live: true }, [wednesday], { now });
+
+      assert.strictEqual(result.event, null);
+    });
+  });
+
+  describe('golf outrights', () => {
+    const masters = {
+      id: 'golf-1',
+      sport: 'golf',
+      league: 'Masters Tournament',
+      description: 'Masters Tournament 2027 - Winner',
+      participant1: '',
+      participant2: '',
+      markets: [createMarket({
+        id: 'w1',
+        key: 'outrights',
+        outcomes: [{ name: 'Scottie Scheffler', odds: '+450' }, { name: 'Rory McIlroy', odds: '+700' }],
+      })],
+    };
+
+    it('matches a golfer in the field for outright picks', () => {
+      const result = findMatchingEventSimple({ players: ['Scheffler'], sport: 'golf', betType: 'outright' }, [...mockEvents, masters]);
+
+      assert.strictEqual(result.event, masters);
+      assert.ok(result.confidence >= 0.7);
+    });
+  });
+});
+
+describe('findMatchingEventWithDebug', () => {
+  const mockEvents = getMockEvents();
+
+  it('skips the LLM for confident simple matches', async () => {
+    const llm = createStubProvider([]);
+
+    const result = await findMatchingEventWithDebug({ players: ['Galan'], sport: 'tennis' }, mockEvents, llm);
+
+    assert.ok(result.event.participant1.includes('Galan'));
+    assert.strictEqual(llm.calls.length, 0);
+  });
+
+  it('asks the LLM when simple matching is inconclusive', async () => {
+    // "Seb" shortlists Sebastian Korda first
+    const llm = createStubProvider([{ matchIndex: '0', confidence: 0.8, reasoning: 'Seb is Korda' }]);
+
+    const result = await findMatchingEventWithDebug({ players: ['Seb K'], sport: 'tennis' }, mockEvents, llm);
+
+    assert.strictEqual(result.event.participant1, 'Sebastian Korda');
+    assert.strictEqual(llm.calls.length, 1);
+  });
+
+  it('shows the LLM the events closest to the pick out of thousands', async () => {
+    const others = Array.from({ length: 2000 }, (_, i) => ({
+      id: `soccer-${i}`,
+      sport: 'soccer',
+      participant1: `Club ${i} United`,
+      participant2: `Club ${i} City`,
+    }));
+    const llm = createStubProvider([{ matchIndex: '0', confidence: 0.8, reasoning: 'Seb is Korda' }]);
+
+    const result = await findMatchingEventWithDebug({ players: ['Seb K'], sport: null }, [...others, ...mockEvents], llm);
+
+    assert.strictEqual(result.event.participant1, 'Sebastian Korda');
+    assert.strictEqual(llm.calls[0].messages[0].content.match(/"index"/g).length, 50);
+  });
+
+  it('confirms the picked side and line on game markets', async () => {
+    const pick = { players: ['Celtics'], sport: 'basketball', betType: 'spread', line: -3.5, period: null };
+
+    const result = await findMatchingEventWithDebug(pick, mockEvents, null);
+
+    assert.strictEqual(result.market.market.id, 'mock-nba-1-spread');
+    assert.strictEqual(result.market.outcome.name, 'Boston Celtics');
+    assert.strictEqual(result.market.outcome.point, -3.5);
+    assert.strictEqual(result.market.lineMatches, true);
+  });
+
+  it('identifies the side the pick backs', async () => {
+    const pick = { players: ['Celtics'], sport: 'basketball', betType: 'spread', line: -3.5, period: null };
+
+    const { selection } = await findMatchingEventWithDebug(pick, mockEvents, null);
+
+    assert.strictEqual(selection.participant, 'Boston Celtics');
+    assert.strictEqual(selection.opponent, 'Los Angeles Lakers');
+    assert.strictEqual(selection.side, 'away');
+    assert.strictEqual(selection.marketKey, 'spreads');
+    assert.strictEqual(selection.outcome.id, 'mock-nba-1-spread-a');
+    assert.strictEqual(selection.point, -3.5);
+  });
+
+  it('returns the matched segment markets for period picks', async () => {
+    const result = await findMatchingEventWithDebug({ players: ['Lakers'], sport: 'basketball', period: '1H' }, mockEvents, null);
+
+    assert.strictEqual(result.event.id, 'mock-nba-1');
+    assert.deepStrictEqual(result.periodMarkets.map(m => m.id), ['mock-nba-1-1h-spread']);
+  });
+
+  describe('misspelling corpus', () => {
+    for (const { sport, events, picks } of misspellings.sports) {
+      for (const [pick, participant] of picks) {
+        it(`matches "${pick}" to ${participant} without the LLM`, async () => {
+          const llm = createStubProvider([]);
+
+          const result = await findMatchingEventWithDebug({ players: [pick], sport }, toEvents(sport, events), llm);
+
+          assert.ok([result.event?.participant1, result.event?.participant2].includes(participant));
+          assert.strictEqual(llm.calls.length, 0);
+        });
+      }
+    }
+
+    for (const { sport, pick, event } of misspellings.nearMisses) {
+      it(`does not take "${pick}" for ${event.join(' vs ')}`, () => {
+        const result = findMatchingEventSimple({ players: [pick], sport }, toEvents(sport, [event]));
+
+        assert.ok(result.confidence < 0.5);
+      });
+    }
+  });
+
+  describe('ambiguous matches', () => {
+    const kansas = toEvents('basketball', [['Kansas Jayhawks', 'Duke Blue Devils'], ['Kansas State Wildcats', 'Baylor Bears']]);
+
+    it('offers the close matches to choose from', async () => {
+      const result = await findMatchingEventWithDebug({ players: ['Kansas'], sport: 'basketball' }, kansas, null);
+
+      assert.deepStrictEqual(result.choices.map(e => e.id), ['basketball-0', 'basketball-1']);
+    });
+
+    it('has no choices for a clear match', async () => {
+      const result = await findMatchingEventWithDebug({ players: ['Jayhawks'], sport: 'basketball' }, kansas, null);
+
+      assert.strictEqual(result.event.id, 'basketball-0');
+      assert.deepStrictEqual(result.choices, []);
+    });
+  });
+
+  it('retries once when the LLM response is invalid', async () => {
+    const llm = createStubProvider([{ matchIndex: 99, confidence: 0.8 }, { matchIndex: null, confidence: 0 }]);
+
+    const result = await findMatchingEventWithDebug({ players: ['Nobody'], sport: 'tennis' }, mockEvents, llm);
+
+    assert.strictEqual(result.event, null);
+    assert.strictEqual(llm.calls.length, 2);
+  });
+});
+
+describe('findAmbiguousChoices', () => {
+  const event = (id, participant1, participant2, startTime) => ({ id, participant1, participant2, startTime });
+  const williams = event('atp', 'Brandon Williams', 'Jack Draper');
+  const wta = event('wta', 'Venus Williams', 'Coco Gauff');
+  const rematch = event('rematch', 'Jack Draper', 'Brandon Williams');
+
+  it('returns other matchups within the gap of the best', () => {
+    const choices = findAmbiguousChoices([{ event: williams, score: 0.8 }, { event: wta, score: 0.78 }]);
+
+    assert.deepStrictEqual(choices, [williams, wta]);
+  });
+
+  it('ignores candidates well behind the best', () => {
+    assert.deepStrictEqual(findAmbiguousChoices([{ event: williams, score: 0.8 }, { event: wta, score: 0.6 }]), []);
+  });
+
+  it('does not count the same matchup on another day', () => {
+    assert.deepStrictEqual(findAmbiguousChoices([{ event: williams, score: 0.8 }, { event: rematch, score: 0.8 }]), []);
+  });
+
+  it('offers at most five choices', () => {
+    const candidates = Array.from({ length: 8 }, (_, i) => ({ event: event(`e${i}`, `Team ${i}`, 'Kansas'), score: 0.6 }));
+
+    assert.strictEqual(findAmbiguousChoices(candidates).length, 5);
+    assert.deepStrictEqual(findAmbiguousChoices([]), []);
+  });
 });
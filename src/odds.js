@@ -0,0 +1,206 @@
+/**
+ * Odds format detection and conversion
+ *
+ * Cappers post prices as American (-110, +150), decimal (1.91), fractional
+ * (10/11), implied probability (52.4%) or just "even". Everything is
+ * normalized to a price object carrying every format so callers can show
+ * whichever one the reader prefers.
+ */
+
+export const ODDS_FORMATS = ['american', 'decimal', 'fractional', 'implied'];
+
+// Not "EV": in picks that's expected value ("+EV play"), not a price
+const EVEN_WORDS = new Set(['even', 'evens', 'pk', 'pick', 'pickem', "pick'em"]);
+
+/**
+ * Parses odds in any supported format
+ * @param {string|number} input - Odds as posted ("-110", "1.91", "10/11", "52.4%", "even")
+ * @returns {Object|null} Price ({ format, american, decimal, fractional, impliedProbability }) or null
+ */
+export function parseOdds(input) {
+  if (input === null || input === undefined) return null;
+  if (typeof input === 'object') return input.decimal ? input : null;
+
+  const text = String(input).trim().toLowerCase().replace(/^@\s*/, '');
+  if (!text) return null;
+
+  if (EVEN_WORDS.has(text)) {
+    return buildPrice('even', 2);
+  }
+
+  // Fractional: 10/11, 5/2
+  const fractional = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (fractional) {
+    const [numerator, denominator] = [parseInt(fractional[1], 10), parseInt(fractional[2], 10)];
+    if (denominator === 0) return null;
+    return buildPrice('fractional', 1 + numerator / denominator);
+  }
+
+  // Implied probability: 52.4%
+  const implied = text.match(/^(\d+(?:\.\d+)?)\s*%$/);
+  if (implied) {
+    const probability = parseFloat(implied[1]) / 100;
+    if (probability <= 0 || probability >= 1) return null;
+    return buildPrice('implied', 1 / probability);
+  }
+
+  const value = Number(text);
+  if (!Number.isFinite(value)) return null;
+
+  // American: signed, or unsigned with a magnitude of 100+
+  if (/^[+-]/.test(text) || Math.abs(value) >= 100) {
+    if (Math.abs(value) < 100) return null;
+    return buildPrice('american', americanToDecimal(value));
+  }
+
+  // Decimal: 1.01 and up
+  if (value > 1) {
+    return buildPrice('decimal', value);
+  }
+
+  return null;
+}
+
+/**
+ * Finds the first odds token in free text
+ * @param {string} text - Pick text ("Galan ML -110", "Korda @ 1.91", "Pegula 10/11")
+ * @returns {string|null} The odds as written, or null
+ */
+export function extractOddsText(text) {
+  const patterns = [
+    /(?:^|\s)([+-]\d{3,})\b/,                  // American
+    /@\s*(\d+\.\d+)/,                          // Decimal after "@"
+    // Decimal with 2-3 places (1.91, 2.125), but not a quarter line ("over 2.25", "-1.75")
+    /(?<=^|\s)(?<!(?:\b(?:over|under|o|u)|[+-])\s*)(\d\.\d{2,3})(?=\s|$|:)/i,
+    /(?:^|\s)(\d{1,2}\/\d{1,2})(?=\s|$|:)/,    // Fractional
+    /(?:^|\s)(\d{1,2}(?:\.\d+)?%)/,             // Implied probability
+    /\b(even|evens|pk)\b/i,                    // Even money
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match && parseOdds(match[1])) return match[1];
+  }
+
+  return null;
+}
+
+/**
+ * @param {number} american - American odds (-110, +150)
+ * @returns {number} Decimal odds
+ */
+export function americanToDecimal(american) {
+  return american > 0 ? 1 + american / 100 : 1 + 100 / Math.abs(american);
+}
+
+/**
+ * @param {number} decimal - Decimal odds
+ * @returns {number} American odds, rounded to the nearest whole number
+ */
+export function decimalToAmerican(decimal) {
+  return decimal >= 2
+    ? Math.round((decimal - 1) * 100)
+    : Math.round(-100 / (decimal - 1));
+}
+
+/**
+ * Approximates decimal odds as a fraction with a small denominator
+ * @param {number} decimal - Decimal odds
+ * @returns {string} Fractional odds ("10/11")
+ */
+export function decimalToFractional(decimal) {
+  const profit = decimal - 1;
+  let best = { numerator: Math.round(profit), denominator: 1, error: Math.abs(profit - Math.round(profit)) };
+
+  for (let denominator = 2; denominator <= 100 && best.error > 0.001; denominator++) {
+    const numerator = Math.round(profit * denominator);
+    const error = Math.abs(profit - numerator / denominator);
+    if (error < best.error - 0.0005) {
+      best = { numerator, denominator, error };
+    }
+  }
+
+  return `${best.numerator}/${best.denominator}`;
+}
+
+/**
+ * @param {number} decimal - Decimal odds
+ * @returns {number} Implied probability between 0 and 1
+ */
+export function impliedProbability(decimal) {
+  return 1 / decimal;
+}
+
+/**
+ * Profit on a one-unit stake if the bet wins
+ * @param {Object|string|number} odds - Price object or odds in any format
+ * @returns {number|null} Profit per unit, or null if the odds can't be parsed
+ */
+export function payoutPerUnit(odds) {
+  const price = parseOdds(odds);
+  return price ? price.decimal - 1 : null;
+}
+
+/**
+ * How far a price has moved, in cents of American odds
+ *
+ * -110 to -160 is 50 cents; +105 to -105 is 10 cents since the scale skips
+ * from +100 straight to -100.
+ *
+ * @param {Object|string|number} from - Earlier price
+ * @param {Object|string|number} to - Later price
+ * @returns {number|null} Distance in cents, or null if either price can't be parsed
+ */
+export function centsBetween(from, to) {
+  const [a, b] = [parseOdds(from), parseOdds(to)];
+  if (!a || !b) return null;
+
+  const toCents = american => (american > 0 ? american - 100 : american + 100);
+  return Math.abs(toCents(a.american) - toCents(b.american));
+}
+
+/**
+ * Formats a price in the requested format
+ * @param {Object|string|number} odds - Price object or odds in any format
+ * @param {string} format - One of ODDS_FORMATS (default american)
+ * @returns {string|null} Formatted odds, or null if the odds can't be parsed
+ */
+export function formatOdds(odds, format = 'american') {
+  const price = parseOdds(odds);
+  if (!price) return null;
+
+  switch (format) {
+    case 'decimal':
+      return price.decimal.toFixed(2);
+    case 'fractional':
+      return price.fractional;
+    case 'implied':
+      return `${(price.impliedProbability * 100).toFixed(1)}%`;
+    default:
+      return formatAmerican(price.american);
+  }
+}
+
+/**
+ * @param {number} american - American odds
+ * @returns {string} Signed American odds ("+150", "-110")
+ */
+export function formatAmerican(american) {
+  return american > 0 ? `+${american}` : String(american);
+}
+
+/**
+ * Builds a price object from decimal odds
+ * @param {string} format - Format the odds were posted in
+ * @param {number} decimal - Decimal odds
+ * @returns {Object} Price
+ */
+function buildPrice(format, decimal) {
+  return {
+    format,
+    american: decimalToAmerican(decimal),
+    decimal,
+    fractional: decimalToFractional(decimal),
+    impliedProbability: impliedProbability(decimal),
+  };
+}
@@ -0,0 +1,177 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseOdds,
+  extractOddsText,
+  americanToDecimal,
+  decimalToAmerican,
+  decimalToFractional,
+  payoutPerUnit,
+  formatOdds,
+  centsBetween,
+} from './odds.js';
+
+const close = (actual, expected, tolerance = 0.005) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} should be close to ${expected}`);
+
+describe('parseOdds', () => {
+  it('parses American odds', () => {
+    const price = parseOdds('-110');
+
+    assert.strictEqual(price.format, 'american');
+    assert.strictEqual(price.american, -110);
+    close(price.decimal, 1.909);
+    close(price.impliedProbability, 0.524);
+  });
+
+  it('parses positive American odds with or without a sign', () => {
+    assert.strictEqual(parseOdds('+150').american, 150);
+    assert.strictEqual(parseOdds(150).american, 150);
+  });
+
+  it('parses decimal odds', () => {
+    const price = parseOdds('1.91');
+
+    assert.strictEqual(price.format, 'decimal');
+    assert.strictEqual(price.american, -110);
+  });
+
+  it('parses fractional odds', () => {
+    const price = parseOdds('10/11');
+
+    assert.strictEqual(price.format, 'fractional');
+    assert.strictEqual(price.american, -110);
+    assert.strictEqual(parseOdds('5/2').american, 250);
+  });
+
+  it('parses implied probability', () => {
+    const price = parseOdds('40%');
+
+    assert.strictEqual(price.format, 'implied');
+    assert.strictEqual(price.american, 150);
+  });
+
+  it('does not read expected value as even money', () => {
+    assert.strictEqual(parseOdds('EV'), null);
+    assert.strictEqual(parseOdds('+EV'), null);
+  });
+
+  it('parses even money words', () => {
+    for (const word of ['even', 'Evens', 'evens', 'pk']) {
+      const price = parseOdds(word);
+      assert.strictEqual(price.american, 100, word);
+      assert.strictEqual(price.decimal, 2, word);
+    }
+  });
+
+  it('passes price objects through', () => {
+    const price = parseOdds('-110');
+    assert.strictEqual(parseOdds(price), price);
+  });
+
+  it('rejects values that are not odds', () => {
+    assert.strictEqual(parseOdds(null), null);
+    assert.strictEqual(parseOdds(''), null);
+    assert.strictEqual(parseOdds('-50'), null);
+    assert.strictEqual(parseOdds('0.5'), null);
+    assert.strictEqual(parseOdds('5/0'), null);
+    assert.strictEqual(parseOdds('lock'), null);
+  });
+});
+
+describe('extractOddsText', () => {
+  it('finds American odds after a spread', () => {
+    assert.strictEqual(extractOddsText('Chiefs -7.5 -110 3u'), '-110');
+  });
+
+  it('finds decimal and fractional odds', () => {
+    assert.strictEqual(extractOddsText('Korda ML @ 1.91'), '1.91');
+    assert.strictEqual(extractOddsText('Korda ML 1.91'), '1.91');
+    assert.strictEqual(extractOddsText('Pegula 10/11 1u'), '10/11');
+  });
+
+  it('finds even money', () => {
+    assert.strictEqual(extractOddsText('Galan ML even'), 'even');
+  });
+
+  it('ignores expected value chatter', () => {
+    assert.strictEqual(extractOddsText('Galan ML +EV play'), null);
+    assert.strictEqual(extractOddsText('big EV spot on Galan'), null);
+  });
+
+  it('does not mistake lines or doubles for odds', () => {
+    assert.strictEqual(extractOddsText('Over 23.5'), null);
+    assert.strictEqual(extractOddsText('Hidalgo/Escobar Over 23.5'), null);
+  });
+
+  it('does not mistake quarter lines for decimal odds', () => {
+    assert.strictEqual(extractOddsText('Arsenal over 2.25 goals'), null);
+    assert.strictEqual(extractOddsText('Arsenal u 2.75'), null);
+    assert.strictEqual(extractOddsText('Arsenal - 1.75'), null);
+    assert.strictEqual(extractOddsText('Arsenal -1.75 1.91'), '1.91');
+  });
+});
+
+describe('conversions', () => {
+  it('converts American to decimal', () => {
+    assert.strictEqual(americanToDecimal(150), 2.5);
+    assert.strictEqual(americanToDecimal(-200), 1.5);
+  });
+
+  it('converts decimal to American', () => {
+    assert.strictEqual(decimalToAmerican(2.5), 150);
+    assert.strictEqual(decimalToAmerican(1.5), -200);
+    assert.strictEqual(decimalToAmerican(2), 100);
+  });
+
+  it('converts decimal to fractional', () => {
+    assert.strictEqual(decimalToFractional(americanToDecimal(-110)), '10/11');
+    assert.strictEqual(decimalToFractional(3.5), '5/2');
+    assert.strictEqual(decimalToFractional(2), '1/1');
+  });
+});
+
+describe('payoutPerUnit', () => {
+  it('returns profit per unit staked', () => {
+    close(payoutPerUnit('-110'), 0.909);
+    assert.strictEqual(payoutPerUnit('+150'), 1.5);
+    assert.strictEqual(payoutPerUnit('even'), 1);
+  });
+
+  it('returns null for unparseable odds', () => {
+    assert.strictEqual(payoutPerUnit('lock'), null);
+  });
+});
+
+describe('formatOdds', () => {
+  it('formats in each supported format', () => {
+    assert.strictEqual(formatOdds('-110'), '-110');
+    assert.strictEqual(formatOdds('-110', 'decimal'), '1.91');
+    assert.strictEqual(formatOdds('-110', 'fractional'), '10/11');
+    assert.strictEqual(formatOdds('-110', 'implied'), '52.4%');
+    assert.strictEqual(formatOdds('1.5', 'american'), '-200');
+  });
+
+  it('returns null for unparseable odds', () => {
+    assert.strictEqual(formatOdds('lock'), null);
+  });
+});
+
+describe('centsBetween', () => {
+  it('measures moves on the same side of even', () => {
+    assert.strictEqual(centsBetween('-110', '-160'), 50);
+    assert.strictEqual(centsBetween('+150', '+130'), 20);
+  });
+
+  it('skips the gap between -100 and +100', () => {
+    assert.strictEqual(centsBetween('+105', '-105'), 10);
+  });
+
+  it('accepts any odds format', () => {
+    assert.strictEqual(centsBetween('2.00', '-120'), 20);
+  });
+
+  it('returns null for unparseable odds', () => {
+    assert.strictEqual(centsBetween('-110', 'lock'), null);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * The Odds API client
+ *
+ * The Odds API splits sports into many keys ("tennis_wta_indian_wells",
+ * "soccer_spain_la_liga", "basketball_ncaab"), and which ones are active
+ * changes with the calendar. Rather than hard-coding one key per sport, the
+ * client reads the sports listing (free, cached) and fetches odds from every
+ * active key in the pick's sport, narrowed to its league when one is known.
+ *
+ * Requests go through an injectable fetch so tests can answer them from
+ * fixtures (see fixtures/oddsApiFetch.js) instead of the network. Failures
+ * throw (see http.js) rather than looking like an empty schedule.
+ */
+
+import { normalizeOddsApiMarkets } from './markets.js';
+import { fetchJson, createCircuitBreaker } from './http.js';
+import { createEventSource } from './eventSource.js';
+import { SPORT_DEFINITIONS } from './sports.js';
+import { QUOTA_EXCEEDED } from './quota.js';
+
+export const DEFAULT_BASE_URL = 'https://api.the-odds-api.com/v4';
+const SPORTS_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// Markets fetched per sport key, each costing a credit
+const ODDS_MARKETS = ['h2h', 'spreads', 'totals'];
+
+// Our sport names -> The Odds API sport groups
+const SPORT_GROUPS = Object.fromEntries(SPORT_DEFINITIONS
+  .filter(definition => definition.oddsApiGroup)
+  .map(definition => [definition.sport, definition.oddsApiGroup]));
+
+/**
+ * Creates an Odds API client
+ * @param {Object} config - Client configuration
+ * @param {string} config.apiKey - The Odds API key
+ * @param {string} config.baseUrl - API base URL
+ * @param {Function} config.fetch - fetch implementation (defaults to the global fetch)
+ * @param {number} config.sportsTtlMs - How long the sports listing is reused
+ * @param {Object} config.retry - Retry options passed to fetchJson ({ retries, backoffMs, timeoutMs })
+ * @param {Object} config.quota - Quota tracker fed from response headers and checked before fetching odds (optional, see quota.js)
+ * @returns {Object} Client with listSports/findSportKeys/fetchEvents/breaker
+ */
+export function createOddsApiClient({
+  apiKey,
+  baseUrl = DEFAULT_BASE_URL,
+  fetch = globalThis.fetch,
+  sportsTtlMs = SPORTS_TTL_MS,
+  retry = {},
+  quota = null,
+} = {}) {
+  let sportsCache = null;
+  const breaker = createCircuitBreaker({ name: 'Odds API' });
+
+  const get = (path, params = {}) => {
+    const query = new URLSearchParams({ apiKey, ...params });
+    return fetchJson(`${baseUrl}${path}?${query}`, {
+      source: 'Odds API',
+      breaker,
+      fetch,
+      onResponse: response => quota?.record(response.headers),
+      ...retry,
+    });
+  };
+
+  return {
+    breaker,
+
+    /**
+     * Lists the active sports, from cache when fresh
+     * @returns {Promise<Array>} Sports ({ key, group, title, description, active, has_outrights })
+     * @throws {Error} If the listing can't be fetched and none is cached
+     */
+    async listSports() {
+      if (sportsCache && Date.now() - sportsCache.timestamp < sportsTtlMs) {
+        return sportsCache.sports;
+      }
+
+      try {
+        const sports = await get('/sports/');
+        sportsCache = { sports, timestamp: Date.now() };
+        console.log(`  ↳ Odds API lists ${sports.length} active sports`);
+        return sports;
+      } catch (error) {
+        // An old listing beats none; keys rarely disappear mid-day
+        if (!sportsCache) throw error;
+        console.error(`  ↳ Could not list Odds API sports, using the last listing: ${error.message}`);
+        return sportsCache.sports;
+      }
+    },
+
+    /**
+     * Finds the active sport keys for a sport, narrowed to a league when it matches any
+     * @param {string} sport - Our sport name ("tennis", "soccer", ...)
+     * @param {string|null} league - League from the pick ("WTA", "La Liga", "NCAAB")
+     * @returns {Promise<string[]>} Sport keys
+     */
+    async findSportKeys(sport, league = null) {
+      const group = SPORT_GROUPS[sport?.toLowerCase()];
+      if (!group) return [];
+
+      const sports = (await this.listSports())
+        .filter(s => s.group === group && s.active !== false && !s.has_outrights);
+
+      const leagueMatches = league ? sports.filter(s => sportMatchesLeague(s, league)) : [];
+      return (leagueMatches.length > 0 ? leagueMatches : sports).map(s => s.key);
+    },
+
+    /**
+     * Fetches Bovada odds for every matching sport key
+     * @param {string} sport - Our sport name
+     * @param {Object} options - Fetch options
+     * @param {string} options.league - League from the pick, to narrow the keys
+     * @returns {Promise<Array>} Events
+     * @throws {Error} If the listing or every sport key fails, or (code QUOTA_EXCEEDED) the fetch would go over budget
+     */
+    async fetchEvents(sport, { league = null } = {}) {
+      const sportKeys = await this.findSportKeys(sport, league);
+      if (sportKeys.length === 0) {
+        console.log(`  ↳ No active Odds API sports for ${[sport, league].filter(Boolean).join(' / ')}`);
+        return [];
+      }
+
+      // Each key costs one credit per market (one region); stop short of the budget
+      const cost = sportKeys.length * ODDS_MARKETS.length;
+      const overBudget = quota?.check(cost);
+      if (overBudget) {
+        throw Object.assign(new Error(`Odds API ${overBudget}, skipping ${cost} credits`), { source: 'Odds API', code: QUOTA_EXCEEDED });
+      }
+
+      console.log(`  ↳ Fetching Odds API: ${sportKeys.join(', ')}`);
+      const results = await Promise.allSettled(sportKeys.map(async sportKey => {
+        const data = await get(`/sports/${sportKey}/odds/`, {
+          regions: 'us',
+          markets: ODDS_MARKETS.join(','),
+          oddsFormat: 'american',
+          bookmakers: 'bovada',
+        });
+        return data.map(event => toEvent(event, sport));
+      }));
+
+      const failures = results.filter(result => result.status === 'rejected');
+      if (failures.length === results.length) throw failures[0].reason;
+      for (const [index, result] of results.entries()) {
+        if (result.status === 'rejected') console.error(`  ↳ Odds API fetch error for ${sportKeys[index]}: ${result.reason.message}`);
+      }
+
+      return results.filter(result => result.status === 'fulfilled').flatMap(result => result.value);
+    },
+  };
+}
+
+/**
+ * Creates The Odds API event source
+ * @param {Object} config - Client configuration (see createOddsApiClient)
+ * @returns {Object} Event source (see eventSource.js)
+ */
+export function createOddsApiSource(config) {
+  const client = createOddsApiClient(config);
+
+  return createEventSource({
+    name: 'odds-api',
+    sports: Object.keys(SPORT_GROUPS),
+    fetchEvents: async (sport, { league = null } = {}) => {
+      // Fanning out across every key of every sport would burn the quota
+      if (!sport) return [];
+      return client.fetchEvents(sport, { league });
+    },
+    breaker: client.breaker,
+    quota: config.quota,
+  });
+}
+
+/**
+ * Checks whether an Odds API sport is the league a pick names
+ *
+ * Matches on the title ("La Liga - Spain" for "La Liga", "ATP Miami Open"
+ * for "ATP Buenos Aires") or the key ("basketball_ncaab" for "NCAA").
+ *
+ * @param {Object} sport - Sport from the listing
+ * @param {string} league - League from the pick
+ * @returns {boolean} True if they match
+ */
+function sportMatchesLeague(sport, league) {
+  const tokens = text => (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const leagueTokens = tokens(league);
+  const titleTokens = tokens(sport.title);
+  if (leagueTokens.length === 0) return false;
+
+  if (leagueTokens.every(token => titleTokens.includes(token))) return true;
+
+  // Tours name the tournament after the tour ("ATP ..."), so the tour alone is enough
+  if (['atp', 'wta'].includes(leagueTokens[0]) && titleTokens[0] === leagueTokens[0]) return true;
+
+  const [, ...keyParts] = sport.key.split('_');
+  return keyParts.some(part => part.startsWith(leagueTokens.join('')));
+}
+
+/**
+ * Converts an Odds API event to our event format
+ * @param {Object} event - Raw Odds API event
+ * @param {string} sport - Our sport name
+ * @returns {Object} Event
+ */
+function toEvent(event, sport) {
+  return {
+    id: event.id,
+    sport,
+    league: event.sport_title,
+    sportKey: event.sport_key,
+    description: `${event.home_team} vs ${event.away_team}`,
+    displayName: `${event.home_team} vs ${event.away_team}`,
+    participant1: event.home_team,
+    participant2: event.away_team,
+    startTime: event.commence_time,
+    // The Odds API lists games in progress until they finish
+    live: Date.parse(event.commence_time) <= Date.now(),
+    markets: normalizeOddsApiMarkets(event.bookmakers?.find(b => b.key === 'bovada')?.markets, {
+      homeTeam: event.home_team,
+      awayTeam: event.away_team,
+    }),
+    // Store raw data for URL building
+    _raw: event,
+  };
+}
@@ -0,0 +1,157 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { createOddsApiClient, createOddsApiSource } from './oddsApi.js';
+import { createQuotaTracker, QUOTA_EXCEEDED } from './quota.js';
+import { createFixtureFetch } from './fixtures/oddsApiFetch.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/oddsApi.json', import.meta.url), 'utf8'));
+
+const createClient = (overrides = {}) => {
+  const fetch = createFixtureFetch({ ...fixtures, ...overrides });
+  return { fetch, client: createOddsApiClient({ apiKey: 'test-key', fetch }) };
+};
+
+const requestedKeys = fetch => fetch.calls
+  .map(url => new URL(url).pathname.match(/\/sports\/([^/]+)\/odds/)?.[1])
+  .filter(Boolean);
+
+describe('createOddsApiClient', () => {
+  describe('findSportKeys', () => {
+    it('returns every active key in the sport without a league', async () => {
+      const { client } = createClient();
+      assert.deepStrictEqual(await client.findSportKeys('tennis'), ['tennis_atp_miami_open', 'tennis_wta_miami_open']);
+    });
+
+    it('narrows to the league when it matches', async () => {
+      const { client } = createClient();
+      assert.deepStrictEqual(await client.findSportKeys('tennis', 'WTA'), ['tennis_wta_miami_open']);
+      assert.deepStrictEqual(await client.findSportKeys('tennis', 'ATP Buenos Aires'), ['tennis_atp_miami_open']);
+      assert.deepStrictEqual(await client.findSportKeys('soccer', 'La Liga'), ['soccer_spain_la_liga']);
+      assert.deepStrictEqual(await client.findSportKeys('basketball', 'NCAA'), ['basketball_ncaab']);
+    });
+
+    it('falls back to the whole sport for an unknown league', async () => {
+      const { client } = createClient();
+      assert.deepStrictEqual(await client.findSportKeys('soccer', 'Eredivisie'), ['soccer_epl', 'soccer_spain_la_liga', 'soccer_usa_mls']);
+    });
+
+    it('skips futures markets', async () => {
+      const { client } = createClient();
+      assert.deepStrictEqual(await client.findSportKeys('football'), ['americanfootball_ncaaf', 'americanfootball_nfl']);
+    });
+
+    it('returns nothing for sports the API does not group', async () => {
+      const { client } = createClient();
+      assert.deepStrictEqual(await client.findSportKeys('curling'), []);
+    });
+  });
+
+  describe('listSports', () => {
+    it('caches the listing', async () => {
+      const { client, fetch } = createClient();
+      await client.findSportKeys('tennis');
+      await client.findSportKeys('soccer');
+      assert.strictEqual(fetch.calls.length, 1);
+      assert.ok(fetch.calls[0].includes('apiKey=test-key'));
+    });
+
+    it('refreshes the listing once it expires', async () => {
+      const fetch = createFixtureFetch(fixtures);
+      const client = createOddsApiClient({ apiKey: 'test-key', fetch, sportsTtlMs: 0 });
+      await client.listSports();
+      await client.listSports();
+      assert.strictEqual(fetch.calls.length, 2);
+    });
+  });
+
+  describe('fetchEvents', () => {
+    it('fans out across every matching key', async () => {
+      const { client, fetch } = createClient();
+      const events = await client.fetchEvents('tennis');
+
+      assert.deepStrictEqual(requestedKeys(fetch), ['tennis_atp_miami_open', 'tennis_wta_miami_open']);
+      assert.deepStrictEqual(events.map(e => e.participant1), ['Sebastian Korda', 'Jessica Pegula']);
+      assert.ok(events.every(e => e.sport === 'tennis'));
+    });
+
+    it('only fetches the league when it matches', async () => {
+      const { client, fetch } = createClient();
+      const events = await client.fetchEvents('tennis', { league: 'WTA' });
+
+      assert.deepStrictEqual(requestedKeys(fetch), ['tennis_wta_miami_open']);
+      assert.strictEqual(events.length, 1);
+      assert.strictEqual(events[0].league, 'WTA Miami Open');
+      assert.strictEqual(events[0].sportKey, 'tennis_wta_miami_open');
+    });
+
+    it('normalizes the Bovada markets', async () => {
+      const { client } = createClient();
+      const [event] = await client.fetchEvents('basketball', { league: 'NCAAB' });
+      const spread = event.markets.find(m => m.key === 'spreads');
+
+      assert.strictEqual(event.description, 'Duke Blue Devils vs North Carolina Tar Heels');
+      assert.deepStrictEqual(spread.outcomes.map(o => [o.side, o.point, o.odds]), [['home', -6.5, '-110'], ['away', 6.5, '-110']]);
+    });
+
+    it('keeps the events from keys that load when one fails', async () => {
+      const { tennis_atp_miami_open: _, ...odds } = fixtures.odds;
+      const { client } = createClient({ odds });
+      const events = await client.fetchEvents('tennis');
+
+      assert.deepStrictEqual(events.map(e => e.participant1), ['Jessica Pegula']);
+    });
+
+    it('fails when the listing is unavailable', async () => {
+      const fetch = async () => ({ ok: false, status: 500, headers: new Headers(), json: async () => ({}) });
+      const client = createOddsApiClient({ apiKey: 'test-key', fetch, retry: { retries: 0 } });
+      await assert.rejects(client.fetchEvents('tennis'), { source: 'Odds API', status: 500 });
+    });
+
+    it('fails when every sport key fails', async () => {
+      const { client } = createClient({ odds: {} });
+      await assert.rejects(client.fetchEvents('tennis'), { status: 404 });
+    });
+
+    it('keeps using the last listing when a refresh fails', async () => {
+      let down = false;
+      const fixtureFetch = createFixtureFetch(fixtures);
+      const fetch = async url => (down ? { ok: false, status: 503, headers: new Headers(), json: async () => ({}) } : fixtureFetch(url));
+      const client = createOddsApiClient({ apiKey: 'test-key', fetch, sportsTtlMs: 0, retry: { retries: 0 } });
+
+      await client.listSports();
+      down = true;
+      assert.strictEqual((await client.listSports()).length, fixtures.sports.length);
+    });
+  });
+});
+
+describe('quota', () => {
+  it('records the quota headers of each request', async () => {
+    const quota = createQuotaTracker();
+    const fetch = createFixtureFetch({ ...fixtures, credits: 500 });
+    await createOddsApiClient({ apiKey: 'test-key', fetch, quota }).fetchEvents('tennis');
+
+    // Two keys at three markets each; the listing is free
+    assert.deepStrictEqual([quota.status().remaining, quota.status().today], [494, 6]);
+  });
+
+  it('stops fetching odds before the budget is spent', async () => {
+    const quota = createQuotaTracker({ dailyBudget: 8 });
+    const fetch = createFixtureFetch({ ...fixtures, credits: 500 });
+    const client = createOddsApiClient({ apiKey: 'test-key', fetch, quota });
+
+    await client.fetchEvents('tennis', { league: 'WTA' });
+    await assert.rejects(client.fetchEvents('tennis'), { code: QUOTA_EXCEEDED });
+    assert.strictEqual(requestedKeys(fetch).length, 1);
+  });
+
+  it('reports the source paused and its quota while over budget', async () => {
+    const quota = createQuotaTracker({ dailyBudget: 0 });
+    const source = createOddsApiSource({ apiKey: 'test-key', fetch: createFixtureFetch(fixtures), quota });
+
+    await assert.rejects(source.fetchEvents('tennis'), { code: QUOTA_EXCEEDED });
+    assert.strictEqual(source.health().status, 'paused');
+    assert.strictEqual(source.health().quota.dailyBudget, 0);
+  });
+});
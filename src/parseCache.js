@@ -0,0 +1,116 @@
+/**
+ * Cache of parsed picks keyed on normalized pick text
+ *
+ * Tailers repost the same pick over and over, so a parse result is reused
+ * for any text that only differs in case, whitespace or emoji. Entries are
+ * kept in memory and optionally mirrored to a JSON file so they survive
+ * restarts.
+ */
+
+import { readJsonFile, createJsonWriter } from './jsonFile.js';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Normalizes pick text into a cache key
+ * @param {string} text - Raw pick text
+ * @returns {string} Normalized key
+ */
+export function normalizePickText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[\p{Extended_Pictographic}\u200d\ufe0f]/gu, '') // Emoji and joiners
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Creates a parse cache
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlMs - How long an entry stays valid
+ * @param {string|null} options.filePath - JSON file backing the cache (memory only if not set)
+ * @returns {Object} Cache with get/set/stats/clear/flush methods
+ */
+export function createParseCache({ ttlMs = DEFAULT_TTL_MS, filePath = null } = {}) {
+  const entries = loadEntries(filePath, ttlMs);
+  const counters = { hits: 0, misses: 0 };
+  const writer = createJsonWriter(filePath, () => Object.fromEntries(entries), 'parse cache');
+
+  return {
+    /**
+     * @param {string} text - Pick text
+     * @returns {Object|undefined} Cached parse result
+     */
+    get(text) {
+      const key = normalizePickText(text);
+      const entry = entries.get(key);
+
+      if (entry && Date.now() - entry.timestamp < ttlMs) {
+        counters.hits++;
+        return entry.value;
+      }
+
+      if (entry) entries.delete(key);
+      counters.misses++;
+      return undefined;
+    },
+
+    /**
+     * @param {string} text - Pick text
+     * @param {Object} value - Parse result
+     */
+    set(text, value) {
+      entries.set(normalizePickText(text), { value, timestamp: Date.now() });
+      writer.schedule();
+    },
+
+    /**
+     * @returns {Object} Hit/miss counters and entry count
+     */
+    stats() {
+      const lookups = counters.hits + counters.misses;
+      return {
+        ...counters,
+        size: entries.size,
+        hitRate: lookups > 0 ? counters.hits / lookups : 0,
+      };
+    },
+
+    clear() {
+      entries.clear();
+      counters.hits = 0;
+      counters.misses = 0;
+      writer.schedule();
+    },
+
+    /**
+     * Writes any pending changes to disk
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      await writer.flush();
+    },
+  };
+}
+
+/**
+ * Loads unexpired entries from the backing file
+ * @param {string|null} filePath - Backing file
+ * @param {number} ttlMs - Entry TTL
+ * @returns {Map} Entries by key
+ */
+function loadEntries(filePath, ttlMs) {
+  const entries = new Map();
+  const data = readJsonFile(filePath, 'parse cache');
+  if (!data) return entries;
+
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(data)) {
+    if (now - entry.timestamp < ttlMs) {
+      entries.set(key, entry);
+    }
+  }
+  console.log(`  ↳ Loaded ${entries.size} cached parses from ${filePath}`);
+
+  return entries;
+}
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createParseCache, normalizePickText } from './parseCache.js';
+
+const samplePick = { isValidPick: true, isParlay: false, units: 1, legs: [{ players: ['Galan'], betType: 'ML' }] };
+
+describe('normalizePickText', () => {
+  it('ignores case, whitespace and emoji', () => {
+    assert.strictEqual(
+      normalizePickText('🔥🔥 Galan  ML -110\n1 UNIT 🔒'),
+      normalizePickText('galan ml -110 1 unit'),
+    );
+  });
+
+  it('keeps the signs on odds and lines', () => {
+    assert.notStrictEqual(normalizePickText('Lakers +3.5'), normalizePickText('Lakers -3.5'));
+  });
+});
+
+describe('createParseCache', () => {
+  it('returns cached values for equivalent text', () => {
+    const cache = createParseCache();
+    cache.set('Galan ML -110', samplePick);
+
+    assert.deepStrictEqual(cache.get('🔥 galan ml -110'), samplePick);
+  });
+
+  it('counts hits and misses', () => {
+    const cache = createParseCache();
+    cache.get('Galan ML -110');
+    cache.set('Galan ML -110', samplePick);
+    cache.get('Galan ML -110');
+    cache.get('GALAN ML -110');
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.hits, 2);
+    assert.strictEqual(stats.misses, 1);
+    assert.strictEqual(stats.size, 1);
+  });
+
+  it('expires entries after the TTL', () => {
+    const cache = createParseCache({ ttlMs: -1 });
+    cache.set('Galan ML -110', samplePick);
+
+    assert.strictEqual(cache.get('Galan ML -110'), undefined);
+    assert.strictEqual(cache.stats().size, 0);
+  });
+
+  it('persists entries to disk across instances', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'parse-cache-'));
+    const filePath = join(dir, 'nested', 'parse-cache.json');
+
+    try {
+      const cache = createParseCache({ filePath });
+      cache.set('Galan ML -110', samplePick);
+      await cache.flush();
+
+      assert.ok(existsSync(filePath));
+
+      const reloaded = createParseCache({ filePath });
+      assert.deepStrictEqual(reloaded.get('galan ml -110'), samplePick);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('clears entries and counters', () => {
+    const cache = createParseCache();
+    cache.set('Galan ML -110', samplePick);
+    cache.get('Galan ML -110');
+    cache.clear();
+
+    assert.deepStrictEqual(cache.stats(), { hits: 0, misses: 0, size: 0, hitRate: 0 });
+  });
+});
@@ -1,35 +1,74 @@
-import Anthropic from '@anthropic-ai/sdk';
+import { extractJson, validatePick } from './schema.js';
+import { parsePropText } from './props.js';
+import { extractOddsText, parseOdds, formatAmerican } from './odds.js';
+import { extractPeriod } from './periods.js';
+import { extractTimeHint, extractGameNumber } from './timeHints.js';
+import { defaultAliases } from './aliases.js';
+import { SPORTS, describeSportClues } from './sports.js';
+
+// Extra attempts when the model's JSON fails validation
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Fields the model must return, shared by the text and screenshot prompts
+const PICK_FIELDS = `1. isValidPick: boolean - Does the message contain at least one betting pick? (not just casual conversation)
+2. isParlay: boolean - Are the legs combined into one parlay/teaser ticket? (false for separate straight bets)
+3. units: number | null - The unit size for the whole ticket (parlays) or applied to every pick, if mentioned
+4. description: string - A clean description of the whole message
+5. legs: array - One entry per pick or parlay leg, each with:
+   - sport: string - The sport, one of: ${SPORTS.map(sport => `"${sport}"`).join(', ')}
+   - league: string | null - The league/tournament if identifiable (e.g., "ATP", "NFL", "NBA", "NCAAF", "NCAAB",
+     "NHL", "MLB", "UFC", "PGA", "IPL"). College football is "NCAAF" and college basketball "NCAAB".
+   - players: string[] - Player or team names mentioned (even partial names like last names)
+   - betType: string - Type of bet, one of: "ML" (moneyline, also head-to-head matchups like golf "Scheffler vs
+     McIlroy"), "spread", "over", "under", "prop", "outright" (to win a whole tournament, e.g. "Scheffler to win
+     the Masters")
+   - line: number | null - The line/spread number if applicable (e.g., -3.5, 23.5)
+   - odds: string | null - The odds exactly as posted (e.g., "-110", "+150", "1.91", "10/11", "even")
+   - units: number | null - The unit size for this pick if mentioned separately
+   - prop: object | null - For player props only: { "player": string, "stat": string (e.g. "points", "rebounds",
+     "assists", "pra", "threes", "aces", "games", "strikeouts", "shots_on_goal", "passing_yards"), "direction":
+     "over" | "under", "line": number }. Use betType "prop" when this is set.
+   - period: string | null - The game segment for partial-game bets, null for the full game: "1H", "2H" (halves),
+     "1Q"-"4Q" (quarters), "1P"-"3P" (hockey periods), "S1"-"S5" (tennis sets), "F1", "F3", "F5", "F7"
+     (first N innings). E.g. "Lakers 1H -3" -> "1H", "Over 5.5 F5" -> "F5", "Korda set 1 ML" -> "S1".
+   - live: boolean - True for in-game bets on a game already in progress ("live", "in-play", "LIVE ML")
+   - when: string | null - When the game is, if the pick says: "today", "tonight", "tomorrow", "weekend", a
+     weekday ("sunday") or a date as "MM-DD" (e.g. "Oct 25" -> "10-25")
+   - game: number | null - The series game number for playoff picks ("Celtics game 2 ML" -> 2)
+   - description: string - A clean description of this leg`;
+
+const SPORT_CONTEXT_CLUES = `Context clues for sport identification:
+${describeSportClues()}`;
 
 /**
- * Parses a betting pick from natural language using Claude
+ * Parses a betting pick from natural language using an LLM
+ *
+ * A single message may contain several picks (a card) or the legs of a
+ * parlay, so the result always carries a `legs` array. Responses that fail
+ * the pick schema are sent back to the model with the validation errors; if
+ * it still can't produce a valid pick we fall back to parsePickSimple.
+ *
  * @param {string} text - The pick text to parse
- * @param {string} apiKey - Anthropic API key
- * @returns {Promise<Object|null>} Parsed pick data or null if not a valid pick
+ * @param {Object} llm - LLM provider (see llm.js)
+ * @param {Object} options - Parse options
+ * @param {Object} options.cache - Parse cache (see parseCache.js) consulted before calling the model
+ * @param {Object} options.aliases - Alias dictionary used by the simple-parser fallback (see aliases.js)
+ * @returns {Promise<Object|null>} Parsed pick ({ isValidPick, isParlay, units, description, legs }) or null
  */
-export async function parsePick(text, apiKey) {
-  const client = new Anthropic({ apiKey });
+export async function parsePick(text, llm, { cache, aliases } = {}) {
+  const cached = cache?.get(text);
+  if (cached) {
+    console.log('  ↳ Using cached parse');
+    return cached;
+  }
 
   const systemPrompt = `You are a sports betting pick parser. Your job is to extract structured data from betting picks.
 
-Given a betting pick message, extract:
-1. isValidPick: boolean - Is this actually a betting pick? (not just casual conversation)
-2. sport: string - The sport (e.g., "tennis", "basketball", "football", "baseball", "hockey", "soccer", "mma")
-3. league: string | null - The league/tournament if identifiable (e.g., "ATP", "NFL", "NBA", "NHL", "MLB", "UFC")
-4. players: string[] - Player or team names mentioned (even partial names like last names)
-5. betType: string - Type of bet: "ML" (moneyline), "spread", "over", "under", "prop", or description
-6. line: number | null - The line/spread number if applicable (e.g., -3.5, 23.5)
-7. odds: string | null - The odds (e.g., "-110", "+150")
-8. units: number | null - The unit size if mentioned
-9. description: string - A clean description of the bet
-
-Context clues for sport identification:
-- Tennis: Player last names, "doubles", ATP/WTA, Grand Slam names
-- Basketball: Team cities, NBA teams, "points", college team names
-- Football: NFL teams, college teams, "spread"
-- Baseball: MLB teams, "run line"
-- Hockey: NHL teams, "puck line"
-- Soccer: Club names, leagues like EPL, La Liga, Serie A
-- MMA/UFC: Fighter names, "by KO", "by submission"
+A message may contain one pick, several independent picks (a "card", often one per line),
+or the legs of a single parlay. Given a betting pick message, extract:
+${PICK_FIELDS}
+
+${SPORT_CONTEXT_CLUES}
 
 Respond with valid JSON only. No markdown, no explanation.`;
 
@@ -40,96 +79,356 @@ Respond with valid JSON only. No markdown, no explanation.`;
 Respond with JSON only:`;
 
   try {
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 500,
-      messages: [
-        { role: 'user', content: userPrompt }
-      ],
-      system: systemPrompt,
-    });
-
-    const content = response.content[0];
-    if (content.type !== 'text') {
-      return null;
+    const parsed = await requestValidPick(llm, systemPrompt, userPrompt);
+    if (parsed) {
+      cache?.set(text, parsed);
+      return parsed;
     }
+  } catch (error) {
+    console.error('Error parsing pick:', error.message);
+    return null;
+  }
 
-    // Parse the JSON response (strip markdown code blocks if present)
-    let jsonStr = content.text.trim();
-    
-    // Remove markdown code blocks if the model wrapped the response
-    if (jsonStr.startsWith('```')) {
-      jsonStr = jsonStr.replace(/^```(?:json)?\s*\n?/, '').replace(/\n?```\s*$/, '');
-    }
-    
-    const parsed = JSON.parse(jsonStr);
+  console.log('  ↳ Could not repair pick JSON, falling back to simple parser');
+  return parsePickSimple(text, { aliases });
+}
 
-    return parsed;
+/**
+ * Parses bet slip screenshots using a vision-capable LLM
+ *
+ * Returns the same shape as parsePick, so slips flow through matching and
+ * linking like typed picks.
+ *
+ * @param {Array} images - Images ({ mediaType: 'image/png', data: <base64> })
+ * @param {Object} llm - LLM provider (see llm.js); must support image input
+ * @param {Object} options - Parse options
+ * @param {string} options.text - Message text posted with the screenshot, if any
+ * @param {Object} options.aliases - Alias dictionary used by the simple-parser fallback (see aliases.js)
+ * @returns {Promise<Object|null>} Parsed pick or null
+ */
+export async function parsePickImage(images, llm, { text = '', aliases } = {}) {
+  const systemPrompt = `You are a sports betting slip reader. You will be shown one or more screenshots of
+sportsbook bet slips (Bovada, DraftKings, FanDuel, etc.) and must extract the bets on them.
+
+Read every selection on the slip. A slip with several selections and a single combined price is a parlay;
+separate tickets are straight bets. Use the price shown next to each selection as that leg's odds.
+If the slip shows a dollar risk/wager amount, put it in "stake". Extract:
+${PICK_FIELDS}
+6. stake: number | null - The amount risked shown on the slip (currency amount, not units)
+
+${SPORT_CONTEXT_CLUES}
+
+If the image is not a bet slip, respond with {"isValidPick": false}.
+Respond with valid JSON only. No markdown, no explanation.`;
+
+  const userContent = [
+    ...images.map(image => ({ type: 'image', mediaType: image.mediaType, data: image.data })),
+    {
+      type: 'text',
+      text: text
+        ? `Extract the bets from this slip. The poster wrote: "${text}"\n\nRespond with JSON only:`
+        : 'Extract the bets from this slip.\n\nRespond with JSON only:',
+    },
+  ];
+
+  try {
+    const parsed = await requestValidPick(llm, systemPrompt, userContent);
+    if (parsed) {
+      return parsed;
+    }
   } catch (error) {
-    console.error('Error parsing pick:', error.message);
+    console.error('Error parsing bet slip:', error.message);
     return null;
   }
+
+  // The caption may still be a readable pick on its own
+  console.log('  ↳ Could not read bet slip');
+  return text ? parsePickSimple(text, { aliases }) : null;
+}
+
+/**
+ * Asks the model for a pick, feeding validation errors back until it's valid
+ * @param {Object} llm - LLM provider
+ * @param {string} systemPrompt - System prompt
+ * @param {string|Array} userContent - First user message content
+ * @returns {Promise<Object|null>} Validated pick, or null if it couldn't be repaired
+ */
+async function requestValidPick(llm, systemPrompt, userContent) {
+  const messages = [
+    { role: 'user', content: userContent }
+  ];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const responseText = await llm.complete({ system: systemPrompt, messages });
+    if (responseText === null) {
+      return null;
+    }
+
+    let errors;
+    try {
+      const result = validatePick(extractJson(responseText));
+      if (result.valid) {
+        return result.value;
+      }
+      errors = result.errors;
+    } catch (error) {
+      errors = [`invalid JSON: ${error.message}`];
+    }
+
+    console.log(`  ↳ Pick JSON failed validation (attempt ${attempt + 1}): ${errors.join('; ')}`);
+    messages.push(
+      { role: 'assistant', content: responseText },
+      { role: 'user', content: `That JSON is invalid:\n- ${errors.join('\n- ')}\n\nRespond with the corrected JSON only:` },
+    );
+  }
+
+  return null;
 }
 
+// Words that mark a message as one parlay ticket rather than separate picks
+const PARLAY_PATTERN = /\b(parlay|parley|teaser|sgp|\d+[- ]?(?:leg|team)(?:ger)?)\b/i;
+const UNITS_PATTERN = /(\d+\.?\d*)\s*(?:units?|u)\b/i;
+// Picks on one line are separated by " / ", " + ", "|", ";" or ","
+// (a bare "/" is kept because it joins doubles partners: "Hidalgo/Escobar")
+const LEG_SEPARATOR = /\s+\/\s+|\s+\+\s+|\s*[|;]\s*/;
+const COMMA_SEPARATOR = /\s*,\s*/;
+const BET_KEYWORDS = new Set(['over', 'under', 'o', 'u', 'total', 'ml', 'moneyline']);
+
+// Outright picks: "Scheffler outright +450", "Scheffler to win the Masters +450"
+const OUTRIGHT_PATTERN = /\boutright\b|\bto win (?:the )?[\w' .]*?\b(?:open|masters|championship|invitational|classic|tournament)\b/i;
+// In-game bets: "Lakers live ML", "[LIVE] Over 210.5", "in-play Celtics -2"
+const LIVE_PATTERN = /[[(]?\b(?:live|in[- ]?play)\b[\])]?:?/i;
+
 /**
  * Parses a pick without using an API (for testing)
  * Uses simple pattern matching
  * @param {string} text - The pick text to parse
- * @returns {Object|null} Parsed pick data
+ * @param {Object} options - Parse options
+ * @param {Object} options.aliases - Alias dictionary used to infer sport and league (see aliases.js)
+ * @returns {Object|null} Parsed pick data ({ isValidPick, isParlay, units, description, legs })
  */
-export function parsePickSimple(text) {
-  const lowerText = text.toLowerCase();
+export function parsePickSimple(text, { aliases = defaultAliases } = {}) {
+  const isParlay = PARLAY_PATTERN.test(text);
+  const segments = splitPickSegments(text);
+
+  let ticketUnits = null;
+  let ticketWhen = null;
+  const legs = [];
+
+  for (const segment of segments) {
+    const leg = parseLegSimple(segment, aliases);
+    if (leg) {
+      // Known team/player names tell us the sport ("Niners" -> football, NFL)
+      const { sport, league } = aliases.inferContext(leg.players);
+      legs.push({ ...leg, sport, league });
+      continue;
+    }
+
+    // Lines like "2u parlay" or "1u each" carry only the stake
+    const unitsMatch = segment.match(UNITS_PATTERN);
+    if (unitsMatch && ticketUnits === null) {
+      ticketUnits = parseFloat(unitsMatch[1]);
+    }
+
+    // And headers like "Sunday card:" say when every pick is
+    const timeHint = extractTimeHint(segment);
+    if (timeHint && ticketWhen === null) {
+      ticketWhen = timeHint.code;
+    }
+  }
+
+  for (const leg of legs) {
+    if (leg.when === null) leg.when = ticketWhen;
+  }
+
+  if (legs.length === 0) {
+    return { isValidPick: false };
+  }
+
+  if (isParlay) {
+    // The stake belongs to the ticket, not to any single leg
+    if (ticketUnits === null) {
+      ticketUnits = legs.find(leg => leg.units !== null)?.units ?? null;
+    }
+    for (const leg of legs) {
+      leg.units = null;
+      leg.description = leg.description.replace(UNITS_PATTERN, '').trim();
+    }
+  } else {
+    for (const leg of legs) {
+      if (leg.units === null) leg.units = ticketUnits;
+    }
+    if (legs.length === 1) ticketUnits = legs[0].units;
+  }
+
+  return {
+    isValidPick: true,
+    isParlay,
+    units: ticketUnits,
+    description: text.trim(),
+    legs,
+  };
+}
+
+/**
+ * Splits a message into candidate pick segments (lines, then inline separators)
+ * @param {string} text - The pick text
+ * @returns {string[]} Cleaned segments
+ */
+function splitPickSegments(text) {
+  return text
+    .split(/\r?\n/)
+    .flatMap(line => line.split(LEG_SEPARATOR))
+    .flatMap(splitOnCommas)
+    .map(cleanSegment)
+    .filter(Boolean);
+}
+
+/**
+ * Splits a segment on commas that follow a complete pick
+ *
+ * A comma also lists names within one pick ("Lakers, Celtics ML"), so a part
+ * that isn't a pick on its own stays joined to the part after it.
+ *
+ * @param {string} segment - Segment from splitting on the other separators
+ * @returns {string[]} Segments
+ */
+function splitOnCommas(segment) {
+  const parts = [];
+  for (const part of segment.split(COMMA_SEPARATOR)) {
+    const last = parts.length - 1;
+    if (last >= 0 && !parseLegSimple(cleanSegment(parts[last]))) {
+      parts[last] = `${parts[last]}, ${part}`;
+    } else {
+      parts.push(part);
+    }
+  }
+  return parts;
+}
+
+/**
+ * @param {string} segment - Raw segment
+ * @returns {string} Segment without emoji and list bullets
+ */
+function cleanSegment(segment) {
+  return segment
+    .replace(/\p{Extended_Pictographic}/gu, '')
+    .replace(/^\s*(?:[-•*>]\s+|\d+[.)]\s+)/, '') // List bullets, not "-3.5"
+    .trim();
+}
+
+/**
+ * Parses one pick segment with simple pattern matching
+ * @param {string} segment - A single pick (one leg)
+ * @param {Object} aliases - Alias dictionary, to tell team totals from props (see aliases.js)
+ * @returns {Object|null} Parsed leg or null if the segment is not a pick
+ */
+function parseLegSimple(segment, aliases) {
+  // Parlay markers and stakes aren't part of the leg itself
+  const description = segment.replace(PARLAY_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+
+  // Segment markers ("1H", "F5", "set 1") would otherwise be read as names or lines
+  const periodMatch = extractPeriod(description);
+  const period = periodMatch?.code || null;
+  const withoutPeriod = periodMatch
+    ? description.replace(periodMatch.match, ' ').replace(/\s+/g, ' ').trim()
+    : description;
+
+  // Likewise "live"/"in-play", which marks the bet as in-game, and when the game is
+  const live = LIVE_PATTERN.test(withoutPeriod);
+  const timeHint = extractTimeHint(withoutPeriod);
+  const gameNumber = extractGameNumber(withoutPeriod);
+  const text = [live ? LIVE_PATTERN : null, timeHint?.match, gameNumber?.match]
+    .filter(Boolean)
+    .reduce((rest, marker) => rest.replace(marker, ' '), withoutPeriod)
+    .replace(/\s+/g, ' ')
+    .trim();
+  const when = timeHint?.code || null;
+  const game = gameNumber?.number || null;
 
   // Check if it looks like a betting pick
   const betPatterns = [
     /\b(ml|moneyline)\b/i,
     /[+-]\d+(\.\d+)?/,  // Odds or spreads
     /\b(over|under|o|u)\s*\d+/i,
-    /\b\d+(\.\d+)?\s*(units?|u)\b/i,
   ];
 
-  const isValidPick = betPatterns.some(pattern => pattern.test(text));
-  if (!isValidPick) {
-    return { isValidPick: false };
+  const withoutUnits = text.replace(UNITS_PATTERN, '').trim();
+  const oddsText = extractOddsText(withoutUnits);
+  // A bare percentage is too common in chat to mark a pick on its own
+  const hasOdds = oddsText !== null && !oddsText.endsWith('%');
+  if (!hasOdds && !betPatterns.some(pattern => pattern.test(withoutUnits))) {
+    return null;
   }
 
-  // Extract odds (e.g., -110, +150)
-  const oddsMatch = text.match(/([+-]\d{3,})/);
-  const odds = oddsMatch ? oddsMatch[1] : null;
+  // Extract odds in any format (-110, 1.91, 10/11, even), normalized to American
+  const price = parseOdds(oddsText);
+  const odds = price ? formatAmerican(price.american) : null;
 
-  // Extract line for over/under or spread
-  const lineMatch = text.match(/(?:over|under|o|u|[+-])\s*(\d+\.?\d*)/i);
-  const line = lineMatch ? parseFloat(lineMatch[1]) : null;
+  // Extract line for over/under or spread, keeping a spread's sign ("Celtics -3.5")
+  const lineMatch = text.match(/(?:over|under|o|u|([+-]))\s*(\d+\.?\d*)/i);
+  const line = lineMatch ? parseFloat(`${lineMatch[1] === '-' ? '-' : ''}${lineMatch[2]}`) : null;
 
   // Extract units
-  const unitsMatch = text.match(/(\d+\.?\d*)\s*(?:units?|u)\b/i);
+  const unitsMatch = text.match(UNITS_PATTERN);
   const units = unitsMatch ? parseFloat(unitsMatch[1]) : null;
 
   // Determine bet type
   let betType = 'ML';
-  if (/\b(over|o)\s*\d/i.test(text)) betType = 'over';
+  if (OUTRIGHT_PATTERN.test(text)) betType = 'outright';
+  else if (/\b(over|o)\s*\d/i.test(text)) betType = 'over';
   else if (/\b(under|u)\s*\d/i.test(text)) betType = 'under';
   // Spread detection: look for point spreads like -7.5, +3.5 (with .5 usually)
   // Exclude odds which are typically 3+ digits (like -110, +150)
   else if (/[+-]\d+\.5\b/.test(text)) betType = 'spread';
   // Also catch whole number spreads followed by odds (e.g., -7 -110)
   else if (/[+-]\d{1,2}\s+[+-]\d{3}/.test(text)) betType = 'spread';
+  // Or on their own, when the pick isn't a moneyline (e.g., "Lakers 1H -3")
+  else if (/(?:^|\s)[+-]\d{1,2}(?=\s|$|:)/.test(text) && !/\b(ml|moneyline)\b/i.test(text)) betType = 'spread';
+
+  // Player props ("LeBron o25.5 pts") name one player and a stat
+  const prop = parsePropText(withoutUnits, { aliases });
+  if (prop) {
+    return {
+      sport: null,
+      league: null,
+      players: [prop.player],
+      betType: 'prop',
+      line: prop.line,
+      odds,
+      price,
+      units,
+      prop,
+      period,
+      live,
+      when,
+      game,
+      description,
+    };
+  }
 
   // Extract player/team names (everything before the bet indicators)
-  const nameMatch = text.match(/^([^+-]+?)(?:\s+(?:ml|moneyline|over|under|[+-]\d))/i);
-  const players = nameMatch 
-    ? [nameMatch[1].trim()]
-    : [text.split(/\s+/)[0]]; // Fall back to first word
+  const nameMatch = text.match(/^([^+-]+?)(?:\s+(?:ml|moneyline|over|under|outright|to win|[+-]\d))/i);
+  const name = nameMatch
+    ? nameMatch[1].trim()
+    : text.split(/\s+/)[0]; // Fall back to first word
+  // A bare total ("Over 220.5") names no team
+  const players = BET_KEYWORDS.has(name.toLowerCase()) ? [] : [name];
 
   return {
-    isValidPick: true,
-    sport: null, // Can't reliably determine without context
+    sport: null, // Filled in from the alias dictionary when the name is known
     league: null,
     players,
     betType,
-    line,
+    line: betType === 'outright' ? null : line,
     odds,
+    price,
     units,
-    description: text.trim(),
+    prop: null,
+    period,
+    live,
+    when,
+    game,
+    description,
   };
 }
@@ -1,6 +1,9 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { parsePickSimple } from './parser.js';
+import { parsePick, parsePickImage, parsePickSimple } from './parser.js';
+import { createStubProvider } from './llm.js';
+import { createParseCache } from './parseCache.js';
+import { createAliasDictionary } from './aliases.js';
 
 describe('parsePickSimple', () => {
   describe('valid picks', () => {
@@ -8,26 +11,26 @@ describe('parsePickSimple', () => {
       const result = parsePickSimple('Galan ml -110: 1 unit');
       
       assert.strictEqual(result.isValidPick, true);
-      assert.strictEqual(result.betType, 'ML');
-      assert.strictEqual(result.odds, '-110');
+      assert.strictEqual(result.legs[0].betType, 'ML');
+      assert.strictEqual(result.legs[0].odds, '-110');
       assert.strictEqual(result.units, 1);
-      assert.deepStrictEqual(result.players, ['Galan']);
+      assert.deepStrictEqual(result.legs[0].players, ['Galan']);
     });
 
     it('parses an over/under pick', () => {
       const result = parsePickSimple('Hidalgo/Escobar vs Hijikata/Thompson Doubles Over 23.5 -120');
       
       assert.strictEqual(result.isValidPick, true);
-      assert.strictEqual(result.betType, 'over');
-      assert.strictEqual(result.line, 23.5);
-      assert.strictEqual(result.odds, '-120');
+      assert.strictEqual(result.legs[0].betType, 'over');
+      assert.strictEqual(result.legs[0].line, 23.5);
+      assert.strictEqual(result.legs[0].odds, '-120');
     });
 
     it('parses a pick with positive odds', () => {
       const result = parsePickSimple('Lakers +150: 2u');
       
       assert.strictEqual(result.isValidPick, true);
-      assert.strictEqual(result.odds, '+150');
+      assert.strictEqual(result.legs[0].odds, '+150');
       assert.strictEqual(result.units, 2);
     });
 
@@ -42,8 +45,8 @@ describe('parsePickSimple', () => {
       const result = parsePickSimple('Total Under 45.5 -105');
       
       assert.strictEqual(result.isValidPick, true);
-      assert.strictEqual(result.betType, 'under');
-      assert.strictEqual(result.line, 45.5);
+      assert.strictEqual(result.legs[0].betType, 'under');
+      assert.strictEqual(result.legs[0].line, 45.5);
     });
   });
 
@@ -81,5 +84,443 @@ describe('parsePickSimple', () => {
       assert.strictEqual(result.isValidPick, true);
       assert.strictEqual(result.units, 1.5);
     });
+
+    it('keeps doubles partners in one leg', () => {
+      const result = parsePickSimple('Hidalgo/Escobar vs Hijikata/Thompson Doubles Over 23.5 -120');
+
+      assert.strictEqual(result.legs.length, 1);
+      assert.strictEqual(result.isParlay, false);
+    });
+  });
+
+  describe('odds formats', () => {
+    it('normalizes decimal odds to American', () => {
+      const { legs: [leg] } = parsePickSimple('Korda ML 1.91 1u');
+
+      assert.strictEqual(leg.odds, '-110');
+      assert.strictEqual(leg.price.format, 'decimal');
+      assert.deepStrictEqual(leg.players, ['Korda']);
+    });
+
+    it('keeps quarter lines as lines, not decimal odds', () => {
+      const { legs: [total] } = parsePickSimple('Arsenal vs Chelsea over 2.25 goals');
+      const { legs: [handicap] } = parsePickSimple('Arsenal -1.75 1.95');
+
+      assert.strictEqual(total.line, 2.25);
+      assert.strictEqual(total.odds, null);
+      assert.strictEqual(handicap.line, -1.75);
+      assert.strictEqual(handicap.odds, '-105');
+    });
+
+    it('normalizes fractional odds', () => {
+      const { legs: [leg] } = parsePickSimple('Pegula ML 5/2');
+
+      assert.strictEqual(leg.odds, '+250');
+      assert.strictEqual(leg.price.fractional, '5/2');
+    });
+
+    it('treats even money as +100', () => {
+      const result = parsePickSimple('Galan ML even 2u');
+
+      assert.strictEqual(result.legs[0].odds, '+100');
+      assert.strictEqual(result.units, 2);
+    });
+
+    it('recognizes a pick priced only in decimal', () => {
+      const result = parsePickSimple('Sinner @ 1.45');
+
+      assert.strictEqual(result.isValidPick, true);
+      assert.strictEqual(result.legs[0].odds, '-222');
+    });
+  });
+
+  describe('player props', () => {
+    it('parses a shorthand points prop', () => {
+      const result = parsePickSimple('LeBron o25.5 pts -115 1u');
+      const [leg] = result.legs;
+
+      assert.strictEqual(result.isValidPick, true);
+      assert.strictEqual(leg.betType, 'prop');
+      assert.deepStrictEqual(leg.players, ['LeBron']);
+      assert.strictEqual(leg.odds, '-115');
+      assert.deepStrictEqual(leg.prop, { player: 'LeBron', stat: 'points', direction: 'over', line: 25.5 });
+    });
+
+    it('parses a tennis aces prop', () => {
+      const { legs: [leg] } = parsePickSimple('Sinner over 8.5 aces');
+
+      assert.strictEqual(leg.prop.stat, 'aces');
+      assert.strictEqual(leg.prop.direction, 'over');
+      assert.strictEqual(leg.line, 8.5);
+    });
+
+    it('leaves game totals as over/under bets', () => {
+      const { legs: [leg] } = parsePickSimple('Lakers over 220.5 -110');
+
+      assert.strictEqual(leg.betType, 'over');
+      assert.strictEqual(leg.prop, null);
+    });
+
+    it('reads a matchup with a stat as a game total', () => {
+      const { legs: [leg] } = parsePickSimple('Arsenal vs Chelsea over 2.5 goals -120');
+
+      assert.strictEqual(leg.betType, 'over');
+      assert.strictEqual(leg.line, 2.5);
+      assert.strictEqual(leg.odds, '-120');
+      assert.strictEqual(leg.prop, null);
+    });
+
+    it('reads a team with a stat as a team total', () => {
+      const { legs: [leg] } = parsePickSimple('Lakers over 220.5 points');
+
+      assert.strictEqual(leg.betType, 'over');
+      assert.strictEqual(leg.line, 220.5);
+      assert.deepStrictEqual(leg.players, ['Lakers']);
+      assert.strictEqual(leg.prop, null);
+    });
+  });
+
+  describe('multi-leg picks', () => {
+    it('splits an inline parlay into legs', () => {
+      const result = parsePickSimple('Lakers ML / Celtics -3.5 / Over 220.5 parlay 1u');
+
+      assert.strictEqual(result.isValidPick, true);
+      assert.strictEqual(result.isParlay, true);
+      assert.strictEqual(result.units, 1);
+      assert.strictEqual(result.legs.length, 3);
+      assert.deepStrictEqual(result.legs[0].players, ['Lakers']);
+      assert.strictEqual(result.legs[1].betType, 'spread');
+      assert.strictEqual(result.legs[1].line, -3.5);
+      assert.strictEqual(result.legs[2].betType, 'over');
+      assert.deepStrictEqual(result.legs[2].players, []);
+    });
+
+    it('splits on commas between complete picks', () => {
+      const result = parsePickSimple('Lakers ML, Celtics -3.5, Over 220.5');
+
+      assert.strictEqual(result.legs.length, 3);
+      assert.deepStrictEqual(result.legs.map(leg => leg.betType), ['ML', 'spread', 'over']);
+    });
+
+    it('keeps names listed with commas in their pick', () => {
+      const result = parsePickSimple('Lakers, Celtics ML');
+
+      assert.strictEqual(result.isValidPick, true);
+      assert.strictEqual(result.legs.length, 1);
+      assert.strictEqual(result.legs[0].description, 'Lakers, Celtics ML');
+    });
+
+    it('assigns the stake to the parlay, not the legs', () => {
+      const result = parsePickSimple('3 leg parlay\nChiefs -7 -110\nBills ML\nUnder 45.5\n2u');
+
+      assert.strictEqual(result.isParlay, true);
+      assert.strictEqual(result.units, 2);
+      assert.strictEqual(result.legs.length, 3);
+      assert.ok(result.legs.every(leg => leg.units === null));
+    });
+
+    it('parses a card with one straight pick per line', () => {
+      const card = [
+        '🔥 NBA card 🔥',
+        '1. Lakers ML -110 1u',
+        '2. Celtics -3.5 -110 2u',
+        '- Warriors +4.5 -105',
+      ].join('\n');
+
+      const result = parsePickSimple(card);
+
+      assert.strictEqual(result.isValidPick, true);
+      assert.strictEqual(result.isParlay, false);
+      assert.strictEqual(result.legs.length, 3);
+      assert.deepStrictEqual(result.legs.map(leg => leg.players[0]), ['Lakers', 'Celtics', 'Warriors']);
+      assert.deepStrictEqual(result.legs.map(leg => leg.units), [1, 2, null]);
+    });
+
+    it('applies a trailing "each" stake to every straight pick', () => {
+      const result = parsePickSimple('Lakers ML -110\nCeltics -3.5 -110\n1u each');
+
+      assert.strictEqual(result.legs.length, 2);
+      assert.ok(result.legs.every(leg => leg.units === 1));
+    });
+  });
+
+  describe('sport inference', () => {
+    it('infers sport and league from team aliases', () => {
+      const [leg] = parsePickSimple('Niners -3 -110').legs;
+
+      assert.strictEqual(leg.sport, 'football');
+      assert.strictEqual(leg.league, 'NFL');
+    });
+
+    it('infers sport per leg', () => {
+      const result = parsePickSimple('LAL ML / Habs ML');
+
+      assert.deepStrictEqual(result.legs.map(leg => leg.sport), ['basketball', 'hockey']);
+    });
+
+    it('leaves ambiguous and unknown names without a sport', () => {
+      assert.strictEqual(parsePickSimple('Giants ML').legs[0].sport, null);
+      assert.strictEqual(parsePickSimple('Galan ML -110').legs[0].sport, null);
+    });
+
+    it('uses server aliases when given', () => {
+      const aliases = createAliasDictionary().forServer('guild-1');
+      aliases.add('Gobbler', 'Sebastian Korda', { sport: 'tennis', league: 'ATP' });
+
+      const [leg] = parsePickSimple('Gobbler ML', { aliases }).legs;
+
+      assert.strictEqual(leg.sport, 'tennis');
+      assert.strictEqual(leg.league, 'ATP');
+    });
+  });
+
+  describe('period markets', () => {
+    it('parses a first half spread', () => {
+      const [leg] = parsePickSimple('Lakers 1H -3').legs;
+
+      assert.strictEqual(leg.period, '1H');
+      assert.strictEqual(leg.betType, 'spread');
+      assert.strictEqual(leg.line, -3);
+      assert.deepStrictEqual(leg.players, ['Lakers']);
+      assert.strictEqual(leg.description, 'Lakers 1H -3');
+    });
+
+    it('parses a first five innings total', () => {
+      const [leg] = parsePickSimple('Over 5.5 F5').legs;
+
+      assert.strictEqual(leg.period, 'F5');
+      assert.strictEqual(leg.betType, 'over');
+      assert.strictEqual(leg.line, 5.5);
+    });
+
+    it('parses a set moneyline', () => {
+      const [leg] = parsePickSimple('Korda set 1 ML').legs;
+
+      assert.strictEqual(leg.period, 'S1');
+      assert.strictEqual(leg.betType, 'ML');
+      assert.deepStrictEqual(leg.players, ['Korda']);
+    });
+
+    it('parses a hockey period total', () => {
+      const [leg] = parsePickSimple('1P under 1.5').legs;
+
+      assert.strictEqual(leg.period, '1P');
+      assert.strictEqual(leg.betType, 'under');
+      assert.strictEqual(leg.line, 1.5);
+    });
+
+    it('leaves full-game picks without a period', () => {
+      assert.strictEqual(parsePickSimple('Galan ML -110').legs[0].period, null);
+    });
+  });
+
+  describe('live picks', () => {
+    it('marks in-game picks and keeps the marker out of the name', () => {
+      const [leg] = parsePickSimple('Lakers live ML -150').legs;
+
+      assert.strictEqual(leg.live, true);
+      assert.deepStrictEqual(leg.players, ['Lakers']);
+      assert.strictEqual(leg.betType, 'ML');
+    });
+
+    it('understands in-play and bracketed markers', () => {
+      assert.strictEqual(parsePickSimple('In-play Celtics -2.5 -110').legs[0].live, true);
+      assert.deepStrictEqual(parsePickSimple('[LIVE] Celtics -2.5 -110').legs[0].players, ['Celtics']);
+    });
+
+    it('leaves other picks pre-game', () => {
+      assert.strictEqual(parsePickSimple('Liverpool ML +120').legs[0].live, false);
+    });
+  });
+
+  describe('time hints', () => {
+    it('reads the day and keeps it out of the name', () => {
+      const [leg] = parsePickSimple('Lakers ML tonight -150').legs;
+
+      assert.strictEqual(leg.when, 'tonight');
+      assert.deepStrictEqual(leg.players, ['Lakers']);
+    });
+
+    it('reads series games', () => {
+      const [leg] = parsePickSimple('Celtics -3.5 Game 2 -110').legs;
+
+      assert.strictEqual(leg.game, 2);
+      assert.deepStrictEqual(leg.players, ['Celtics']);
+      assert.strictEqual(leg.line, -3.5);
+    });
+
+    it('reads a slash date instead of taking it for fractional odds', () => {
+      const [leg] = parsePickSimple('Lakers ML 10/25').legs;
+
+      assert.strictEqual(leg.when, '10-25');
+      assert.strictEqual(leg.odds, null);
+      assert.deepStrictEqual(leg.players, ['Lakers']);
+    });
+
+    it('applies a card header to every leg', () => {
+      const { legs } = parsePickSimple('Sunday card:\nChiefs -3 -110\nBills ML +120 Monday');
+
+      assert.deepStrictEqual(legs.map(l => l.when), ['sunday', 'monday']);
+    });
+
+    it('leaves picks without a hint open', () => {
+      const [leg] = parsePickSimple('Lakers ML -150').legs;
+
+      assert.strictEqual(leg.when, null);
+      assert.strictEqual(leg.game, null);
+    });
+  });
+
+  describe('outrights', () => {
+    it('parses a golfer to win a tournament', () => {
+      const [leg] = parsePickSimple('Scheffler to win the Masters +450 1u').legs;
+
+      assert.strictEqual(leg.betType, 'outright');
+      assert.deepStrictEqual(leg.players, ['Scheffler']);
+      assert.strictEqual(leg.sport, 'golf');
+      assert.strictEqual(leg.line, null);
+      assert.strictEqual(leg.odds, '+450');
+    });
+
+    it('parses an outright by keyword', () => {
+      const [leg] = parsePickSimple('McIlroy outright +700').legs;
+
+      assert.strictEqual(leg.betType, 'outright');
+      assert.deepStrictEqual(leg.players, ['McIlroy']);
+    });
+
+    it('keeps "to win" on a game as a moneyline', () => {
+      const [leg] = parsePickSimple('Lakers to win -150').legs;
+
+      assert.strictEqual(leg.betType, 'ML');
+      assert.deepStrictEqual(leg.players, ['Lakers']);
+    });
+  });
+});
+
+describe('parsePick', () => {
+  const validResponse = {
+    isValidPick: true,
+    isParlay: false,
+    units: 1,
+    description: 'Galan ML -110',
+    legs: [{ sport: 'tennis', league: 'ATP', players: ['Galan'], betType: 'ML', line: null, odds: '-110', units: 1, description: 'Galan ML -110' }],
+  };
+
+  it('returns the validated model response', async () => {
+    const llm = createStubProvider([validResponse]);
+
+    const result = await parsePick('Galan ML -110 1u', llm);
+
+    assert.strictEqual(result.isValidPick, true);
+    assert.strictEqual(result.legs[0].sport, 'tennis');
+    assert.strictEqual(llm.calls.length, 1);
+  });
+
+  it('feeds validation errors back to the model', async () => {
+    const broken = { ...validResponse, legs: [{ ...validResponse.legs[0], betType: 'winner winner' }] };
+    const llm = createStubProvider([broken, validResponse]);
+
+    const result = await parsePick('Galan ML -110 1u', llm);
+
+    assert.strictEqual(result.legs[0].betType, 'ML');
+    assert.strictEqual(llm.calls.length, 2);
+    const retryPrompt = llm.calls[1].messages.at(-1).content;
+    assert.ok(retryPrompt.includes('legs[0].betType'));
+  });
+
+  it('falls back to the simple parser when repair fails', async () => {
+    const llm = createStubProvider(['not json at all']);
+
+    const result = await parsePick('Galan ML -110 1u', llm);
+
+    assert.strictEqual(result.isValidPick, true);
+    assert.deepStrictEqual(result.legs[0].players, ['Galan']);
+    assert.strictEqual(llm.calls.length, 3);
+  });
+
+  it('returns null when the provider fails', async () => {
+    const llm = createStubProvider([new Error('timeout')]);
+
+    assert.strictEqual(await parsePick('Galan ML -110 1u', llm), null);
+  });
+
+  it('reuses cached parses for repeated text', async () => {
+    const llm = createStubProvider([validResponse]);
+    const cache = createParseCache();
+
+    await parsePick('Galan ML -110 1u', llm, { cache });
+    const result = await parsePick('🔥 galan ml -110 1u', llm, { cache });
+
+    assert.strictEqual(result.legs[0].sport, 'tennis');
+    assert.strictEqual(llm.calls.length, 1);
+    assert.strictEqual(cache.stats().hits, 1);
+  });
+});
+
+describe('parsePickImage', () => {
+  // 1x1 PNG standing in for a bet slip screenshot; the stub provider does the "reading"
+  const slipImage = {
+    mediaType: 'image/png',
+    data: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  };
+
+  const slipResponse = {
+    isValidPick: true,
+    isParlay: true,
+    units: null,
+    stake: '$25.00',
+    description: '2-leg parlay',
+    legs: [
+      { sport: 'basketball', league: 'NBA', players: ['Los Angeles Lakers'], betType: 'Moneyline', odds: '-150' },
+      { sport: 'tennis', league: 'ATP', players: ['Sebastian Korda'], betType: 'ML', odds: '+120' },
+    ],
+  };
+
+  it('sends the images to the model and returns the parsed slip', async () => {
+    const llm = createStubProvider([slipResponse]);
+
+    const result = await parsePickImage([slipImage], llm);
+
+    assert.strictEqual(result.isParlay, true);
+    assert.strictEqual(result.stake, 25);
+    assert.strictEqual(result.legs.length, 2);
+    assert.strictEqual(result.legs[0].betType, 'ML');
+
+    const [imagePart, textPart] = llm.calls[0].messages[0].content;
+    assert.deepStrictEqual(imagePart, { type: 'image', mediaType: 'image/png', data: slipImage.data });
+    assert.strictEqual(textPart.type, 'text');
+  });
+
+  it('includes the caption in the prompt', async () => {
+    const llm = createStubProvider([slipResponse]);
+
+    await parsePickImage([slipImage], llm, { text: 'tail this 🔥' });
+
+    const textPart = llm.calls[0].messages[0].content.at(-1);
+    assert.ok(textPart.text.includes('tail this'));
+  });
+
+  it('returns a non-pick for images that are not slips', async () => {
+    const llm = createStubProvider([{ isValidPick: false }]);
+
+    const result = await parsePickImage([slipImage], llm);
+
+    assert.strictEqual(result.isValidPick, false);
+  });
+
+  it('falls back to the caption when the slip cannot be read', async () => {
+    const llm = createStubProvider(['I cannot read this image']);
+
+    const result = await parsePickImage([slipImage], llm, { text: 'Galan ML -110' });
+
+    assert.strictEqual(result.isValidPick, true);
+    assert.deepStrictEqual(result.legs[0].players, ['Galan']);
+  });
+
+  it('returns null when the slip cannot be read and there is no caption', async () => {
+    const llm = createStubProvider(['I cannot read this image']);
+
+    assert.strictEqual(await parsePickImage([slipImage], llm), null);
   });
 });
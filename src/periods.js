@@ -0,0 +1,79 @@
+/**
+ * Period and segment markets (halves, quarters, periods, sets, innings)
+ *
+ * Picks like "Lakers 1H -3" or "Over 5.5 F5" are bets on part of a game.
+ * Periods are identified by short codes shared by the parser, the Bovada
+ * market data and the reply text. A null period means the full game.
+ */
+
+const ORDINALS = ['1st', '2nd', '3rd', '4th', '5th'];
+const WORDS = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+/**
+ * Builds a pattern matching "1st {unit}", "first {unit}" and extra shorthands
+ * @param {number} n - Segment number (1-based)
+ * @param {string} unit - Segment unit ("half", "quarter", ...)
+ * @param {string[]} shorthands - Extra spellings ("1h", "q1")
+ * @returns {RegExp} Pattern
+ */
+function segmentPattern(n, unit, shorthands) {
+  const spellings = [`${ORDINALS[n - 1]} ${unit}`, `${WORDS[n - 1]} ${unit}`, ...shorthands];
+  return new RegExp(`(?:^|[^a-z0-9])(${spellings.join('|')})(?![a-z0-9])`, 'i');
+}
+
+// Ordered so longer/more specific spellings are tried first
+export const PERIODS = [
+  { code: 'F5', label: 'First 5 Innings', pattern: /(?:^|[^a-z0-9])(f5|(?:first|1st) (?:5|five)(?: innings)?)(?![a-z0-9])/i },
+  { code: 'F3', label: 'First 3 Innings', pattern: /(?:^|[^a-z0-9])(f3|(?:first|1st) (?:3|three) innings)(?![a-z0-9])/i },
+  { code: 'F7', label: 'First 7 Innings', pattern: /(?:^|[^a-z0-9])(f7|(?:first|1st) (?:7|seven) innings)(?![a-z0-9])/i },
+  { code: 'F1', label: '1st Inning', pattern: /(?:^|[^a-z0-9])(f1|(?:first|1st) inning)(?![a-z0-9])/i },
+  ...[1, 2].map(n => ({ code: `${n}H`, label: `${ORDINALS[n - 1]} Half`, pattern: segmentPattern(n, 'half', [`${n}h`, `h${n}`]) })),
+  ...[1, 2, 3, 4].map(n => ({ code: `${n}Q`, label: `${ORDINALS[n - 1]} Quarter`, pattern: segmentPattern(n, 'quarter', [`${n}q`, `q${n}`]) })),
+  ...[1, 2, 3].map(n => ({ code: `${n}P`, label: `${ORDINALS[n - 1]} Period`, pattern: segmentPattern(n, 'period', [`${n}p`, `p${n}`]) })),
+  ...[1, 2, 3, 4, 5].map(n => ({ code: `S${n}`, label: `Set ${n}`, pattern: segmentPattern(n, 'set', [`set ${n}`]) })),
+];
+
+const PERIOD_CODES = new Set(PERIODS.map(p => p.code));
+
+/**
+ * Finds a period mention in pick text
+ * @param {string} text - Pick text ("Lakers 1H -3")
+ * @returns {Object|null} { code, match } where match is the text to strip, or null for full game
+ */
+export function extractPeriod(text) {
+  if (!text) return null;
+
+  for (const period of PERIODS) {
+    const match = text.match(period.pattern);
+    if (match) {
+      return { code: period.code, match: match[1] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalizes a period from the model or Bovada to a code
+ * @param {*} value - "1H", "first half", "Set 1", "full game", ...
+ * @returns {string|null|undefined} Code, null for full game, undefined if unrecognized
+ */
+export function normalizePeriod(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'string') return undefined;
+
+  const trimmed = value.trim();
+  if (PERIOD_CODES.has(trimmed.toUpperCase())) return trimmed.toUpperCase();
+  if (/^(full( game)?|game|match|fg|regulation( time)?|fight|live (game|match))$/i.test(trimmed)) return null;
+
+  return extractPeriod(trimmed)?.code;
+}
+
+/**
+ * @param {string|null} code - Period code
+ * @returns {string} Human-readable label ("1st Half", "Full Game")
+ */
+export function describePeriod(code) {
+  if (!code) return 'Full Game';
+  return PERIODS.find(p => p.code === code)?.label || code;
+}
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { extractPeriod, normalizePeriod, describePeriod } from './periods.js';
+
+describe('extractPeriod', () => {
+  it('finds shorthand periods', () => {
+    assert.deepStrictEqual(extractPeriod('Lakers 1H -3'), { code: '1H', match: '1H' });
+    assert.strictEqual(extractPeriod('Over 5.5 F5').code, 'F5');
+    assert.strictEqual(extractPeriod('1P under 1.5').code, '1P');
+    assert.strictEqual(extractPeriod('Celtics Q2 +1.5').code, '2Q');
+  });
+
+  it('finds spelled-out periods', () => {
+    assert.strictEqual(extractPeriod('Korda set 1 ML').code, 'S1');
+    assert.strictEqual(extractPeriod('Chiefs first half -3').code, '1H');
+    assert.strictEqual(extractPeriod('Yankees first 5 innings ML').code, 'F5');
+    assert.strictEqual(extractPeriod('Lakers 3rd quarter over 55.5').code, '3Q');
+  });
+
+  it('ignores full-game picks and lookalike tokens', () => {
+    assert.strictEqual(extractPeriod('Galan ML -110'), null);
+    assert.strictEqual(extractPeriod('Lakers -3.5 -110'), null);
+    assert.strictEqual(extractPeriod('F150 over 1.5'), null);
+    assert.strictEqual(extractPeriod(''), null);
+  });
+});
+
+describe('normalizePeriod', () => {
+  it('accepts codes and descriptions', () => {
+    assert.strictEqual(normalizePeriod('1h'), '1H');
+    assert.strictEqual(normalizePeriod('First Half'), '1H');
+    assert.strictEqual(normalizePeriod('1st Set'), 'S1');
+    assert.strictEqual(normalizePeriod('First 5 Innings'), 'F5');
+  });
+
+  it('maps full game to null and unknown values to undefined', () => {
+    assert.strictEqual(normalizePeriod(null), null);
+    assert.strictEqual(normalizePeriod('Game'), null);
+    assert.strictEqual(normalizePeriod('Match'), null);
+    assert.strictEqual(normalizePeriod('9th quarter'), undefined);
+    assert.strictEqual(normalizePeriod(3), undefined);
+  });
+});
+
+describe('describePeriod', () => {
+  it('labels codes', () => {
+    assert.strictEqual(describePeriod('1H'), '1st Half');
+    assert.strictEqual(describePeriod('S2'), 'Set 2');
+    assert.strictEqual(describePeriod(null), 'Full Game');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Player prop parsing and market lookup
+ *
+ * A prop pick names a player, a stat, a direction and a line
+ * ("LeBron o25.5 pts", "Sinner over 8.5 aces"). Bovada lists props as
+ * markets described like "Total Points - LeBron James (LAL)", so both sides
+ * are reduced to the same canonical stat keys before comparing.
+ *
+ * Game and team totals read the same way ("Arsenal vs Chelsea over 2.5
+ * goals", "Lakers over 220.5 points"), so a matchup or a known team in the
+ * player's place makes the pick a total instead.
+ */
+
+import { defaultAliases } from './aliases.js';
+
+// Canonical stat key -> spellings seen in picks and Bovada market names
+const STAT_ALIASES = {
+  points: ['points', 'pts', 'pt'],
+  rebounds: ['rebounds', 'rebs', 'reb', 'boards'],
+  assists: ['assists', 'asts', 'ast', 'dimes'],
+  pra: ['pra', 'points rebounds assists', 'points + rebounds + assists', 'pts+reb+ast', 'p+r+a'],
+  threes: ['threes', '3pm', '3s', '3pt', 'three pointers made', '3-pointers made', 'made threes'],
+  steals: ['steals', 'stl'],
+  blocks: ['blocks', 'blk'],
+  aces: ['aces', 'ace'],
+  double_faults: ['double faults', 'dfs', 'df'],
+  games: ['games', 'games won', 'total games'],
+  strikeouts: ['strikeouts', 'ks', 'so'],
+  hits: ['hits'],
+  total_bases: ['total bases', 'tb', 'bases'],
+  home_runs: ['home runs', 'hr', 'hrs'],
+  shots_on_goal: ['shots on goal', 'sog', 'shots'],
+  saves: ['saves', 'svs'],
+  goals: ['goals', 'goal'],
+  passing_yards: ['passing yards', 'pass yds', 'pass yards', 'passing yds'],
+  rushing_yards: ['rushing yards', 'rush yds', 'rush yards', 'rushing yds'],
+  receiving_yards: ['receiving yards', 'rec yds', 'rec yards', 'receiving yds'],
+  receptions: ['receptions', 'recs', 'catches'],
+  touchdowns: ['touchdowns', 'tds', 'td'],
+};
+
+const STAT_LOOKUP = new Map(
+  Object.entries(STAT_ALIASES).flatMap(([stat, aliases]) => aliases.map(alias => [alias, stat]))
+);
+
+// "Arsenal vs Chelsea", "Lakers @ Celtics"
+const MATCHUP_PATTERN = /\s(?:vs?\.?|versus|@|at)\s/i;
+
+// Longest spellings first so "total bases" wins over "bases"
+const STAT_PATTERN = new RegExp(
+  `^(${[...STAT_LOOKUP.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(alias => alias.replace(/[+.]/g, '\\$&'))
+    .join('|')})\\b`,
+  'i'
+);
+
+/**
+ * Maps a stat spelling to its canonical key
+ * @param {string} stat - Stat as written ("pts", "Total Points", "3PM")
+ * @returns {string|null} Canonical stat key or null if unknown
+ */
+export function normalizeStat(stat) {
+  if (typeof stat !== 'string') return null;
+
+  const key = stat.toLowerCase().replace(/^total\s+/, '').replace(/\s+/g, ' ').trim();
+  if (STAT_ALIASES[key.replace(/ /g, '_')]) return key.replace(/ /g, '_');
+  return STAT_LOOKUP.get(key) || null;
+}
+
+/**
+ * Extracts a player prop from pick text
+ * @param {string} text - Single pick text ("LeBron o25.5 pts -115")
+ * @param {Object} options - Parse options
+ * @param {Object} options.aliases - Alias dictionary, to tell teams from players (see aliases.js)
+ * @returns {Object|null} Prop ({ player, stat, direction, line }) or null if not a prop
+ */
+export function parsePropText(text, { aliases = defaultAliases } = {}) {
+  const match = text.match(/^(.+?)\s+(over|under|o|u)\s*(\d+(?:\.\d+)?)\s+(.+)$/i);
+  if (!match) return null;
+
+  const [, player, direction, line, rest] = match;
+  if (MATCHUP_PATTERN.test(player) || aliases.isTeam(player)) return null;
+  const statMatch = rest.match(STAT_PATTERN);
+  if (!statMatch) return null;
+
+  return {
+    player: player.trim(),
+    stat: STAT_LOOKUP.get(statMatch[1].toLowerCase()),
+    direction: /^o/i.test(direction) ? 'over' : 'under',
+    line: parseFloat(line),
+  };
+}
+
+/**
+ * Parses a Bovada prop market description
+ * @param {string} description - e.g. "Total Points - LeBron James (LAL)"
+ * @returns {Object|null} { player, stat } or null if not a player prop
+ */
+export function parsePropMarketDescription(description) {
+  const match = description?.match(/^(.+?)\s+-\s+(.+?)(?:\s+\([^)]*\))?$/);
+  if (!match) return null;
+
+  const stat = normalizeStat(match[1]);
+  if (!stat) return null;
+
+  return { player: match[2].trim(), stat };
+}
+
+/**
+ * Finds the prop market (and outcome) on an event for a parsed prop
+ * @param {Object} event - Event with normalized markets (see markets.js)
+ * @param {Object} prop - Parsed prop ({ player, stat, direction, line })
+ * @returns {Object|null} { market, outcome, lineMatches } or null if the prop isn't offered
+ */
+export function findPropMarket(event, prop) {
+  if (!prop || !event?.markets?.length) return null;
+
+  // One market per player on Bovada, one per stat with every player on The Odds API
+  for (const market of event.markets.filter(m => m.key === `player_${prop.stat}`)) {
+    const outcomes = market.outcomes.filter(o => playerNamesMatch(o.description, prop.player));
+    if (outcomes.length === 0) continue;
+
+    const outcome = outcomes.find(o => o.side === prop.direction) || null;
+    const lineMatches = prop.line === null || prop.line === undefined || outcome?.point === prop.line;
+
+    return { market, outcome, lineMatches };
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a pick's player name refers to a market's player
+ * @param {string} marketPlayer - Full name from Bovada ("LeBron James")
+ * @param {string} pickPlayer - Name from the pick ("LeBron", "James")
+ * @returns {boolean} True if every pick name token appears in the market name
+ */
+export function playerNamesMatch(marketPlayer, pickPlayer) {
+  const marketTokens = tokenize(marketPlayer);
+  const pickTokens = tokenize(pickPlayer);
+  return pickTokens.length > 0 && pickTokens.every(token => marketTokens.includes(token));
+}
+
+/**
+ * Splits a name into lowercase, accent-free tokens
+ * @param {string} name - Player name
+ * @returns {string[]} Tokens
+ */
+function tokenize(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove accents
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { normalizeStat, parsePropText, parsePropMarketDescription, findPropMarket, playerNamesMatch } from './props.js';
+import { createAliasDictionary } from './aliases.js';
+import { getMockEvents } from './bovada.js';
+
+describe('normalizeStat', () => {
+  it('maps abbreviations to canonical stats', () => {
+    assert.strictEqual(normalizeStat('pts'), 'points');
+    assert.strictEqual(normalizeStat('3PM'), 'threes');
+    assert.strictEqual(normalizeStat('SOG'), 'shots_on_goal');
+  });
+
+  it('strips a leading "Total"', () => {
+    assert.strictEqual(normalizeStat('Total Aces'), 'aces');
+    assert.strictEqual(normalizeStat('Total Rebounds'), 'rebounds');
+  });
+
+  it('accepts canonical keys', () => {
+    assert.strictEqual(normalizeStat('passing_yards'), 'passing_yards');
+  });
+
+  it('returns null for unknown stats', () => {
+    assert.strictEqual(normalizeStat('vibes'), null);
+    assert.strictEqual(normalizeStat(undefined), null);
+  });
+});
+
+describe('parsePropText', () => {
+  it('parses shorthand over props', () => {
+    assert.deepStrictEqual(parsePropText('LeBron o25.5 pts'), {
+      player: 'LeBron',
+      stat: 'points',
+      direction: 'over',
+      line: 25.5,
+    });
+  });
+
+  it('parses spelled-out props with odds', () => {
+    assert.deepStrictEqual(parsePropText('Sinner over 8.5 aces -120'), {
+      player: 'Sinner',
+      stat: 'aces',
+      direction: 'over',
+      line: 8.5,
+    });
+  });
+
+  it('parses multi-word stats', () => {
+    const prop = parsePropText('Mahomes u 275.5 passing yards');
+
+    assert.strictEqual(prop.stat, 'passing_yards');
+    assert.strictEqual(prop.direction, 'under');
+  });
+
+  it('ignores game totals', () => {
+    assert.strictEqual(parsePropText('Lakers over 220.5 -110'), null);
+    assert.strictEqual(parsePropText('Over 220.5'), null);
+  });
+
+  it('ignores game and team totals that name a stat', () => {
+    assert.strictEqual(parsePropText('Arsenal vs Chelsea over 2.5 goals -120'), null);
+    assert.strictEqual(parsePropText('Lakers @ Celtics u 221 pts'), null);
+    assert.strictEqual(parsePropText('Lakers over 220.5 points'), null);
+  });
+
+  it('reads team totals with a server alias for the team', () => {
+    const aliases = createAliasDictionary().forServer('guild-1');
+    aliases.add('Purple and Gold', 'Los Angeles Lakers');
+
+    assert.strictEqual(parsePropText('Purple and Gold over 220.5 points', { aliases }), null);
+  });
+});
+
+describe('parsePropMarketDescription', () => {
+  it('extracts player and stat', () => {
+    assert.deepStrictEqual(
+      parsePropMarketDescription('Total Points - LeBron James (LAL)'),
+      { player: 'LeBron James', stat: 'points' },
+    );
+  });
+
+  it('returns null for game markets', () => {
+    assert.strictEqual(parsePropMarketDescription('Moneyline'), null);
+    assert.strictEqual(parsePropMarketDescription('Point Spread'), null);
+  });
+});
+
+describe('playerNamesMatch', () => {
+  it('matches first or last names', () => {
+    assert.ok(playerNamesMatch('LeBron James', 'LeBron'));
+    assert.ok(playerNamesMatch('LeBron James', 'james'));
+  });
+
+  it('does not match other players', () => {
+    assert.ok(!playerNamesMatch('LeBron James', 'Bronny'));
+  });
+});
+
+describe('findPropMarket', () => {
+  const [lakersGame] = getMockEvents('basketball');
+
+  it('finds the market and outcome', () => {
+    const result = findPropMarket(lakersGame, { player: 'LeBron', stat: 'points', direction: 'over', line: 25.5 });
+
+    assert.ok(result);
+    assert.strictEqual(result.market.description, 'Total Points - LeBron James (LAL)');
+    assert.strictEqual(result.outcome.side, 'over');
+    assert.strictEqual(result.lineMatches, true);
+  });
+
+  it('flags a line that differs from the market', () => {
+    const result = findPropMarket(lakersGame, { player: 'LeBron', stat: 'points', direction: 'under', line: 27.5 });
+
+    assert.strictEqual(result.outcome.side, 'under');
+    assert.strictEqual(result.lineMatches, false);
+  });
+
+  it('returns null when the prop is not offered', () => {
+    assert.strictEqual(findPropMarket(lakersGame, { player: 'LeBron', stat: 'assists', direction: 'over', line: 7.5 }), null);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * The Odds API quota tracking
+ *
+ * The Odds API charges credits per request (one per market per region) and
+ * reports the account's quota in response headers:
+ *
+ * - x-requests-remaining: credits left this billing month
+ * - x-requests-used:      credits used this billing month
+ * - x-requests-last:      what the last request cost
+ *
+ * The tracker records those headers, counts what we spend per day and per
+ * month, and refuses requests that would go past the configured budgets so
+ * the source chain falls back to scraping Bovada before the quota runs out.
+ * Counts are saved under DATA_DIR so a restart doesn't reset the day.
+ */
+
+import { readJsonFile, createJsonWriter } from './jsonFile.js';
+
+// Error code for requests refused by the budget, as opposed to failed ones
+export const QUOTA_EXCEEDED = 'QUOTA_EXCEEDED';
+
+const EMPTY_STATE = { remaining: null, used: null, lastCost: null, updatedAt: null, day: null, dayUsed: 0, month: null, monthUsed: 0 };
+
+/**
+ * Creates a quota tracker
+ * @param {Object} options - Tracker options
+ * @param {number|null} options.dailyBudget - Credits we may spend per (UTC) day (unlimited if not set)
+ * @param {number|null} options.monthlyBudget - Credits we may spend per month (unlimited if not set)
+ * @param {string|null} options.filePath - JSON file backing the counts (memory only if not set)
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} Tracker with record/check/status/flush methods
+ */
+export function createQuotaTracker({ dailyBudget = null, monthlyBudget = null, filePath = null, now = Date.now } = {}) {
+  const state = { ...EMPTY_STATE, ...readJsonFile(filePath, 'Odds API quota') };
+  const writer = createJsonWriter(filePath, () => state, 'Odds API quota');
+
+  // Day and month counts start over at midnight and on the 1st (UTC)
+  const roll = () => {
+    const today = new Date(now()).toISOString().slice(0, 10);
+    if (state.day !== today) Object.assign(state, { day: today, dayUsed: 0 });
+    if (state.month !== today.slice(0, 7)) Object.assign(state, { month: today.slice(0, 7), monthUsed: 0 });
+  };
+
+  return {
+    /**
+     * Records the quota headers of an Odds API response
+     * @param {Headers} headers - Response headers
+     */
+    record(headers) {
+      const remaining = parseHeader(headers, 'x-requests-remaining');
+      if (remaining === null) return;
+
+      roll();
+      const lastCost = parseHeader(headers, 'x-requests-last') ?? 0;
+      Object.assign(state, {
+        remaining,
+        used: parseHeader(headers, 'x-requests-used'),
+        lastCost,
+        updatedAt: now(),
+        dayUsed: state.dayUsed + lastCost,
+        monthUsed: state.monthUsed + lastCost,
+      });
+      writer.schedule();
+    },
+
+    /**
+     * Checks whether a request fits in the quota and budgets
+     * @param {number} cost - Credits the request will cost
+     * @returns {string|null} Why the request would go over, or null if it fits
+     */
+    check(cost) {
+      roll();
+      if (state.remaining !== null && state.remaining < cost) {
+        return `quota exhausted (${state.remaining} left)`;
+      }
+      if (dailyBudget !== null && state.dayUsed + cost > dailyBudget) {
+        return `daily budget of ${dailyBudget} reached (${state.dayUsed} used today)`;
+      }
+      // The API's count covers other keys' usage too, ours covers a restart mid-month
+      const monthUsed = Math.max(state.monthUsed, state.used ?? 0);
+      if (monthlyBudget !== null && monthUsed + cost > monthlyBudget) {
+        return `monthly budget of ${monthlyBudget} reached (${monthUsed} used)`;
+      }
+      return null;
+    },
+
+    /**
+     * @returns {Object} { remaining, used, lastCost, updatedAt, today, month, dailyBudget, monthlyBudget }
+     */
+    status() {
+      roll();
+      const { remaining, used, lastCost, updatedAt, dayUsed, monthUsed } = state;
+      return { remaining, used, lastCost, updatedAt, today: dayUsed, month: monthUsed, dailyBudget, monthlyBudget };
+    },
+
+    /**
+     * Writes pending counts to disk
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      await writer.flush();
+    },
+  };
+}
+
+/**
+ * Formats quota status for debug output and the CLI
+ * @param {Object} status - Result of status()
+ * @returns {string} e.g. "412 left, 88 used · today 24/100 · month 88/500"
+ */
+export function formatQuota(status) {
+  const budget = (spent, limit) => (limit !== null ? `${spent}/${limit}` : `${spent}`);
+  const account = status.remaining !== null
+    ? `${status.remaining} left, ${status.used ?? '?'} used`
+    : 'not reported yet';
+  return `${account} · today ${budget(status.today, status.dailyBudget)} · month ${budget(status.month, status.monthlyBudget)}`;
+}
+
+/**
+ * @param {Headers} headers - Response headers
+ * @param {string} name - Header name
+ * @returns {number|null} Numeric header value
+ */
+function parseHeader(headers, name) {
+  const value = headers?.get?.(name);
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createQuotaTracker, formatQuota } from './quota.js';
+
+const headers = (remaining, used, last) => new Headers({
+  'x-requests-remaining': String(remaining),
+  'x-requests-used': String(used),
+  'x-requests-last': String(last),
+});
+
+describe('createQuotaTracker', () => {
+  it('records the quota headers and counts spend', () => {
+    const quota = createQuotaTracker();
+    quota.record(headers(497, 3, 3));
+    quota.record(headers(494, 6, 3));
+
+    assert.deepStrictEqual(
+      { ...quota.status(), updatedAt: null },
+      { remaining: 494, used: 6, lastCost: 3, updatedAt: null, today: 6, month: 6, dailyBudget: null, monthlyBudget: null },
+    );
+  });
+
+  it('ignores responses without quota headers', () => {
+    const quota = createQuotaTracker();
+    quota.record(new Headers());
+
+    assert.strictEqual(quota.status().remaining, null);
+  });
+
+  it('refuses requests past the daily budget', () => {
+    const quota = createQuotaTracker({ dailyBudget: 10 });
+    quota.record(headers(492, 8, 8));
+
+    assert.strictEqual(quota.check(2), null);
+    assert.match(quota.check(3), /daily budget of 10 reached/);
+  });
+
+  it('refuses requests past the monthly budget, counting usage from other keys', () => {
+    const quota = createQuotaTracker({ monthlyBudget: 100 });
+    quota.record(headers(402, 98, 3));
+
+    assert.match(quota.check(3), /monthly budget of 100 reached \(98 used\)/);
+  });
+
+  it('refuses requests the remaining quota cannot cover', () => {
+    const quota = createQuotaTracker();
+    quota.record(headers(2, 498, 3));
+
+    assert.match(quota.check(3), /quota exhausted/);
+  });
+
+  it('starts the daily count over the next day', () => {
+    let now = Date.parse('2026-10-19T23:00:00Z');
+    const quota = createQuotaTracker({ dailyBudget: 10, now: () => now });
+    quota.record(headers(490, 10, 10));
+    assert.ok(quota.check(1));
+
+    now = Date.parse('2026-10-20T01:00:00Z');
+    assert.strictEqual(quota.check(1), null);
+    assert.strictEqual(quota.status().month, 10);
+  });
+
+  it('keeps the counts across restarts', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'quota-'));
+    try {
+      const filePath = join(dir, 'odds-api-quota.json');
+      const quota = createQuotaTracker({ filePath });
+      quota.record(headers(495, 5, 5));
+      await quota.flush();
+
+      const restored = createQuotaTracker({ filePath }).status();
+      assert.strictEqual(restored.remaining, 495);
+      assert.strictEqual(restored.today, 5);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('formatQuota', () => {
+  it('shows credits left and spend against the budgets', () => {
+    const quota = createQuotaTracker({ dailyBudget: 100 });
+    quota.record(headers(412, 88, 3));
+
+    assert.strictEqual(formatQuota(quota.status()), '412 left, 88 used · today 3/100 · month 3');
+  });
+
+  it('says when the API has not reported yet', () => {
+    assert.strictEqual(formatQuota(createQuotaTracker().status()), 'not reported yet · today 0 · month 0');
+  });
+});
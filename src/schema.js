@@ -0,0 +1,350 @@
+/**
+ * Validation and repair of LLM JSON responses
+ *
+ * The model usually returns the shape we ask for, but not always: numbers
+ * arrive as strings, arrays as single strings, and enums in whatever
+ * spelling the capper used. Everything here coerces what it safely can and
+ * reports the rest as errors so the caller can ask the model to fix it.
+ */
+
+import { normalizeStat } from './props.js';
+import { parseOdds, formatAmerican } from './odds.js';
+import { normalizePeriod } from './periods.js';
+import { normalizeTimeHint } from './timeHints.js';
+import { SPORTS, SPORT_DEFINITIONS, findSport } from './sports.js';
+
+export const BET_TYPES = ['ML', 'spread', 'over', 'under', 'prop', 'outright'];
+
+const BET_TYPE_ALIASES = {
+  ml: 'ML',
+  moneyline: 'ML',
+  'money line': 'ML',
+  h2h: 'ML',
+  'to win': 'ML',
+  spread: 'spread',
+  'point spread': 'spread',
+  ats: 'spread',
+  handicap: 'spread',
+  'run line': 'spread',
+  runline: 'spread',
+  'puck line': 'spread',
+  puckline: 'spread',
+  over: 'over',
+  o: 'over',
+  under: 'under',
+  u: 'under',
+  prop: 'prop',
+  props: 'prop',
+  'player prop': 'prop',
+  outright: 'outright',
+  outrights: 'outright',
+  'outright winner': 'outright',
+  'tournament winner': 'outright',
+  future: 'outright',
+  futures: 'outright',
+};
+
+// Leagues we know the canonical spelling of; anything else passes through
+const KNOWN_LEAGUES = SPORT_DEFINITIONS.flatMap(definition => definition.leagues.map(l => l.league));
+
+/**
+ * Extracts JSON from a model response, tolerating markdown code fences
+ * @param {string} text - Raw model text
+ * @returns {Object} Parsed JSON
+ * @throws {SyntaxError} If the text is not valid JSON
+ */
+export function extractJson(text) {
+  let jsonStr = text.trim();
+
+  // Remove markdown code blocks if the model wrapped the response
+  if (jsonStr.startsWith('```')) {
+    jsonStr = jsonStr.replace(/^```(?:json)?\s*\n?/, '').replace(/\n?```\s*$/, '');
+  }
+
+  return JSON.parse(jsonStr);
+}
+
+/**
+ * Validates and coerces a parsed pick against the pick schema
+ * @param {Object} raw - Pick object from the model
+ * @returns {Object} { valid, value, errors } - value is the repaired pick when valid
+ */
+export function validatePick(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { valid: false, value: null, errors: ['response must be a JSON object'] };
+  }
+
+  const isValidPick = coerceBoolean(raw.isValidPick);
+  if (isValidPick === null) {
+    errors.push('isValidPick must be a boolean');
+  }
+  if (!isValidPick) {
+    return { valid: errors.length === 0, value: { isValidPick: false, legs: [] }, errors };
+  }
+
+  // Accept the flat single-pick shape as one leg
+  const rawLegs = Array.isArray(raw.legs) ? raw.legs : raw.legs ? null : [raw];
+  if (!rawLegs || rawLegs.length === 0) {
+    errors.push('legs must be a non-empty array');
+  }
+
+  const legs = (rawLegs || []).map((leg, index) => validateLeg(leg, `legs[${index}]`, errors));
+
+  const units = coerceNumber(raw.units);
+  if (units === undefined) {
+    errors.push(`units must be a number or null (got ${JSON.stringify(raw.units)})`);
+  }
+
+  // Stakes read off bet slips come as "$50" or "1,000"
+  const stake = coerceNumber(typeof raw.stake === 'string' ? raw.stake.replace(/[$,]/g, '') : raw.stake);
+  if (stake === undefined) {
+    errors.push(`stake must be a number or null (got ${JSON.stringify(raw.stake)})`);
+  }
+
+  const value = {
+    isValidPick: true,
+    isParlay: coerceBoolean(raw.isParlay) ?? false,
+    units: units ?? null,
+    stake: stake ?? null,
+    description: typeof raw.description === 'string' ? raw.description : legs.map(l => l?.description).join(' / '),
+    legs,
+  };
+
+  return { valid: errors.length === 0, value: errors.length === 0 ? value : null, errors };
+}
+
+/**
+ * Validates a single pick leg, collecting errors
+ * @param {Object} leg - Raw leg
+ * @param {string} path - Path used in error messages
+ * @param {string[]} errors - Error accumulator
+ * @returns {Object|null} Coerced leg
+ */
+function validateLeg(leg, path, errors) {
+  if (!leg || typeof leg !== 'object') {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+
+  const sport = normalizeSport(leg.sport);
+  if (sport === undefined) {
+    errors.push(`${path}.sport must be one of ${SPORTS.join(', ')} or null (got ${JSON.stringify(leg.sport)})`);
+  }
+
+  const betType = normalizeBetType(leg.betType);
+  if (betType === undefined) {
+    errors.push(`${path}.betType must be one of ${BET_TYPES.join(', ')} (got ${JSON.stringify(leg.betType)})`);
+  }
+
+  const players = coercePlayers(leg.players);
+  if (players === undefined) {
+    errors.push(`${path}.players must be an array of strings`);
+  }
+
+  const line = coerceNumber(leg.line);
+  if (line === undefined) {
+    errors.push(`${path}.line must be a number or null (got ${JSON.stringify(leg.line)})`);
+  }
+
+  const units = coerceNumber(leg.units);
+  if (units === undefined) {
+    errors.push(`${path}.units must be a number or null (got ${JSON.stringify(leg.units)})`);
+  }
+
+  const prop = validateProp(leg.prop, `${path}.prop`, errors);
+  const price = parseOdds(leg.odds);
+
+  const period = normalizePeriod(leg.period);
+  if (period === undefined) {
+    errors.push(`${path}.period must be a period code like "1H", "1Q", "1P", "S1", "F5" or null (got ${JSON.stringify(leg.period)})`);
+  }
+
+  const when = normalizeTimeHint(leg.when);
+  if (when === undefined) {
+    errors.push(`${path}.when must be "today", "tonight", "tomorrow", "weekend", a weekday, "MM-DD" or null (got ${JSON.stringify(leg.when)})`);
+  }
+
+  const game = coerceNumber(leg.game);
+  const validGame = game === null || (Number.isInteger(game) && game >= 1);
+  if (!validGame) {
+    errors.push(`${path}.game must be a series game number or null (got ${JSON.stringify(leg.game)})`);
+  }
+
+  return {
+    sport: sport ?? null,
+    league: normalizeLeague(leg.league),
+    players: players ?? [],
+    betType: betType ?? null,
+    line: line ?? null,
+    odds: price ? formatAmerican(price.american) : coerceOdds(leg.odds),
+    price,
+    units: units ?? null,
+    prop,
+    period: period ?? null,
+    live: leg.live === true || leg.live === 'true',
+    when: when ?? null,
+    game: validGame ? game : null,
+    description: typeof leg.description === 'string' ? leg.description : '',
+  };
+}
+
+/**
+ * Validates a player prop, collecting errors
+ * @param {Object} prop - Raw prop ({ player, stat, direction, line })
+ * @param {string} path - Path used in error messages
+ * @param {string[]} errors - Error accumulator
+ * @returns {Object|null} Coerced prop
+ */
+function validateProp(prop, path, errors) {
+  if (prop === null || prop === undefined) return null;
+  if (typeof prop !== 'object') {
+    errors.push(`${path} must be an object or null`);
+    return null;
+  }
+
+  const player = typeof prop.player === 'string' ? prop.player.trim() : '';
+  if (!player) {
+    errors.push(`${path}.player must be a non-empty string`);
+  }
+
+  const stat = normalizeStat(prop.stat);
+  if (!stat) {
+    errors.push(`${path}.stat is not a recognized stat (got ${JSON.stringify(prop.stat)})`);
+  }
+
+  const direction = normalizeBetType(prop.direction);
+  if (direction !== 'over' && direction !== 'under') {
+    errors.push(`${path}.direction must be "over" or "under" (got ${JSON.stringify(prop.direction)})`);
+  }
+
+  const line = coerceNumber(prop.line);
+  if (line === undefined) {
+    errors.push(`${path}.line must be a number or null (got ${JSON.stringify(prop.line)})`);
+  }
+
+  return { player, stat, direction, line: line ?? null };
+}
+
+/**
+ * Validates and coerces the event matcher response
+ * @param {Object} raw - Match object from the model
+ * @param {number} eventCount - Number of events offered to the model
+ * @returns {Object} { valid, value, errors }
+ */
+export function validateMatchResponse(raw, eventCount) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { valid: false, value: null, errors: ['response must be a JSON object'] };
+  }
+
+  const matchIndex = coerceNumber(raw.matchIndex);
+  if (matchIndex === undefined || (matchIndex !== null && !Number.isInteger(matchIndex))) {
+    errors.push(`matchIndex must be an integer or null (got ${JSON.stringify(raw.matchIndex)})`);
+  } else if (matchIndex !== null && (matchIndex < 0 || matchIndex >= eventCount)) {
+    errors.push(`matchIndex must be between 0 and ${eventCount - 1} (got ${matchIndex})`);
+  }
+
+  const confidence = coerceNumber(raw.confidence);
+  if (confidence === undefined || (confidence !== null && (confidence < 0 || confidence > 1))) {
+    errors.push(`confidence must be a number between 0 and 1 (got ${JSON.stringify(raw.confidence)})`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, value: null, errors };
+  }
+
+  return {
+    valid: true,
+    value: {
+      matchIndex: matchIndex ?? null,
+      confidence: confidence ?? 0,
+      reasoning: typeof raw.reasoning === 'string' ? raw.reasoning : '',
+    },
+    errors,
+  };
+}
+
+/**
+ * Normalizes a sport name to our canonical list
+ * @param {*} value - Raw sport
+ * @returns {string|null|undefined} Sport, null if absent, undefined if unknown
+ */
+export function normalizeSport(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'string') return undefined;
+
+  return findSport(value);
+}
+
+/**
+ * Normalizes a bet type to our canonical list
+ * @param {*} value - Raw bet type
+ * @returns {string|undefined} Bet type, or undefined if unknown
+ */
+export function normalizeBetType(value) {
+  if (typeof value !== 'string') return undefined;
+
+  const key = value.trim().toLowerCase();
+  return BET_TYPE_ALIASES[key] ?? BET_TYPES.find(type => type.toLowerCase() === key);
+}
+
+/**
+ * Normalizes a league name, fixing the case of known leagues
+ * @param {*} value - Raw league
+ * @returns {string|null} League
+ */
+function normalizeLeague(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const trimmed = value.trim();
+  return KNOWN_LEAGUES.find(league => league === trimmed.toUpperCase()) || trimmed;
+}
+
+/**
+ * @param {*} value - Raw value
+ * @returns {boolean|null} Boolean, or null if not coercible
+ */
+function coerceBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+}
+
+/**
+ * @param {*} value - Raw value (number, numeric string like "-3.5" or "1u")
+ * @returns {number|null|undefined} Number, null if absent, undefined if not coercible
+ */
+function coerceNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value !== 'string') return undefined;
+
+  const match = value.trim().match(/^([+-]?\d+(?:\.\d+)?|[+-]?\.\d+)\s*(?:u|units?|pts?)?$/i);
+  return match ? parseFloat(match[1]) : undefined;
+}
+
+/**
+ * @param {*} value - Raw players (array, or a single name string)
+ * @returns {string[]|undefined} Player names, or undefined if not coercible
+ */
+function coercePlayers(value) {
+  if (value === null || value === undefined) return [];
+  if (typeof value === 'string') return value.trim() ? [value.trim()] : [];
+  if (!Array.isArray(value)) return undefined;
+  if (!value.every(p => typeof p === 'string')) return undefined;
+
+  return value.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * @param {*} value - Raw odds the odds module couldn't parse
+ * @returns {string|null} Odds string as posted
+ */
+function coerceOdds(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return String(value).trim();
+}
@@ -0,0 +1,264 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { extractJson, validatePick, validateMatchResponse, normalizeSport, normalizeBetType } from './schema.js';
+import { parseOdds } from './odds.js';
+
+describe('extractJson', () => {
+  it('parses plain JSON', () => {
+    assert.deepStrictEqual(extractJson('{"a": 1}'), { a: 1 });
+  });
+
+  it('strips markdown code fences', () => {
+    assert.deepStrictEqual(extractJson('```json\n{"a": 1}\n```'), { a: 1 });
+  });
+
+  it('throws on invalid JSON', () => {
+    assert.throws(() => extractJson('not json'), SyntaxError);
+  });
+});
+
+describe('validatePick', () => {
+  const validLeg = {
+    sport: 'tennis',
+    league: 'ATP',
+    players: ['Galan'],
+    betType: 'ML',
+    line: null,
+    odds: '-110',
+    units: 1,
+    prop: null,
+    period: null,
+    live: false,
+    when: null,
+    game: null,
+    description: 'Galan ML -110',
+  };
+
+  it('accepts a valid pick', () => {
+    const result = validatePick({ isValidPick: true, isParlay: false, units: 1, description: 'Galan ML', legs: [validLeg] });
+
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.value.legs[0], { ...validLeg, price: parseOdds('-110') });
+  });
+
+  it('accepts a non-pick without legs', () => {
+    const result = validatePick({ isValidPick: false });
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.value.isValidPick, false);
+  });
+
+  it('coerces numeric strings', () => {
+    const result = validatePick({
+      isValidPick: true,
+      units: '2u',
+      legs: [{ ...validLeg, betType: 'spread', line: '-3.5', units: '1' }],
+    });
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.value.units, 2);
+    assert.strictEqual(result.value.legs[0].line, -3.5);
+    assert.strictEqual(result.value.legs[0].units, 1);
+  });
+
+  it('wraps a players string in an array', () => {
+    const result = validatePick({ isValidPick: true, legs: [{ ...validLeg, players: 'Galan' }] });
+
+    assert.deepStrictEqual(result.value.legs[0].players, ['Galan']);
+  });
+
+  it('normalizes enums', () => {
+    const result = validatePick({
+      isValidPick: 'true',
+      legs: [{ ...validLeg, sport: 'NBA', league: 'nba', betType: 'moneyline' }],
+    });
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.value.legs[0].sport, 'basketball');
+    assert.strictEqual(result.value.legs[0].league, 'NBA');
+    assert.strictEqual(result.value.legs[0].betType, 'ML');
+  });
+
+  it('coerces numeric odds to a signed string', () => {
+    const result = validatePick({ isValidPick: true, legs: [{ ...validLeg, odds: 150 }] });
+
+    assert.strictEqual(result.value.legs[0].odds, '+150');
+  });
+
+  it('normalizes decimal and fractional odds to American', () => {
+    const decimal = validatePick({ isValidPick: true, legs: [{ ...validLeg, odds: '1.91' }] });
+    const fractional = validatePick({ isValidPick: true, legs: [{ ...validLeg, odds: '10/11' }] });
+
+    assert.strictEqual(decimal.value.legs[0].odds, '-110');
+    assert.strictEqual(decimal.value.legs[0].price.format, 'decimal');
+    assert.strictEqual(fractional.value.legs[0].odds, '-110');
+  });
+
+  it('accepts the flat single-pick shape as one leg', () => {
+    const result = validatePick({ isValidPick: true, ...validLeg });
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.value.legs.length, 1);
+    assert.deepStrictEqual(result.value.legs[0].players, ['Galan']);
+  });
+
+  it('reports unknown bet types and sports', () => {
+    const result = validatePick({ isValidPick: true, legs: [{ ...validLeg, sport: 'quidditch', betType: 'vibes' }] });
+
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.value, null);
+    assert.ok(result.errors.some(e => e.includes('legs[0].sport')));
+    assert.ok(result.errors.some(e => e.includes('legs[0].betType')));
+  });
+
+  it('reports non-numeric lines', () => {
+    const result = validatePick({ isValidPick: true, legs: [{ ...validLeg, line: 'pk-ish' }] });
+
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.errors[0].includes('line'));
+  });
+
+  it('rejects non-objects', () => {
+    assert.strictEqual(validatePick(null).valid, false);
+    assert.strictEqual(validatePick([]).valid, false);
+  });
+});
+
+describe('validatePick props', () => {
+  it('normalizes a prop', () => {
+    const result = validatePick({
+      isValidPick: true,
+      legs: [{
+        sport: 'basketball',
+        players: ['LeBron'],
+        betType: 'prop',
+        line: '25.5',
+        prop: { player: 'LeBron', stat: 'pts', direction: 'o', line: '25.5' },
+      }],
+    });
+
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.value.legs[0].prop, { player: 'LeBron', stat: 'points', direction: 'over', line: 25.5 });
+  });
+
+  it('reports unknown stats and directions', () => {
+    const result = validatePick({
+      isValidPick: true,
+      legs: [{ players: ['LeBron'], betType: 'prop', prop: { player: 'LeBron', stat: 'vibes', direction: 'sideways', line: 1 } }],
+    });
+
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.errors.some(e => e.includes('prop.stat')));
+    assert.ok(result.errors.some(e => e.includes('prop.direction')));
+  });
+});
+
+describe('validatePick periods', () => {
+  const leg = { sport: 'basketball', players: ['Lakers'], betType: 'spread', line: -3 };
+
+  it('normalizes period spellings to codes', () => {
+    const result = validatePick({ isValidPick: true, legs: [{ ...leg, period: 'first half' }] });
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.value.legs[0].period, '1H');
+  });
+
+  it('treats full game as no period', () => {
+    const result = validatePick({ isValidPick: true, legs: [{ ...leg, period: 'full game' }] });
+
+    assert.strictEqual(result.value.legs[0].period, null);
+  });
+
+  it('reports unknown periods', () => {
+    const result = validatePick({ isValidPick: true, legs: [{ ...leg, period: '9th quarter' }] });
+
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.errors.some(e => e.includes('legs[0].period')));
+  });
+});
+
+describe('validatePick time hints', () => {
+  const leg = { sport: 'basketball', players: ['Lakers'], betType: 'ML' };
+
+  it('normalizes days, dates and series games', () => {
+    const result = validatePick({
+      isValidPick: true,
+      legs: [{ ...leg, when: 'Sunday' }, { ...leg, when: '10/5', game: '2' }, { ...leg, when: 'Oct 25' }],
+    });
+
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.value.legs.map(l => [l.when, l.game]), [['sunday', null], ['10-05', 2], ['10-25', null]]);
+  });
+
+  it('reports unknown hints and game numbers', () => {
+    const result = validatePick({ isValidPick: true, legs: [{ ...leg, when: 'someday', game: -1 }] });
+
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.errors.some(e => e.includes('legs[0].when')));
+    assert.ok(result.errors.some(e => e.includes('legs[0].game')));
+  });
+});
+
+describe('validateMatchResponse', () => {
+  it('accepts a valid match', () => {
+    const result = validateMatchResponse({ matchIndex: 2, confidence: 0.8, reasoning: 'name match' }, 5);
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.value.matchIndex, 2);
+  });
+
+  it('accepts no match', () => {
+    const result = validateMatchResponse({ matchIndex: null, confidence: 0, reasoning: 'none' }, 5);
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.value.matchIndex, null);
+  });
+
+  it('coerces a string index', () => {
+    const result = validateMatchResponse({ matchIndex: '3', confidence: '0.9' }, 5);
+
+    assert.strictEqual(result.value.matchIndex, 3);
+    assert.strictEqual(result.value.confidence, 0.9);
+  });
+
+  it('rejects an out-of-range index', () => {
+    const result = validateMatchResponse({ matchIndex: 7, confidence: 0.9 }, 5);
+
+    assert.strictEqual(result.valid, false);
+  });
+
+  it('rejects a confidence outside 0-1', () => {
+    const result = validateMatchResponse({ matchIndex: 1, confidence: 90 }, 5);
+
+    assert.strictEqual(result.valid, false);
+  });
+});
+
+describe('normalizeSport', () => {
+  it('maps league names to sports', () => {
+    assert.strictEqual(normalizeSport('UFC'), 'mma');
+    assert.strictEqual(normalizeSport('nhl'), 'hockey');
+    assert.strictEqual(normalizeSport('NCAAF'), 'football');
+    assert.strictEqual(normalizeSport('PGA'), 'golf');
+  });
+
+  it('accepts the newer sports', () => {
+    for (const sport of ['golf', 'boxing', 'esports', 'cricket', 'table-tennis', 'darts']) {
+      assert.strictEqual(normalizeSport(sport), sport);
+    }
+  });
+
+  it('returns null for missing and undefined for unknown', () => {
+    assert.strictEqual(normalizeSport(null), null);
+    assert.strictEqual(normalizeSport('quidditch'), undefined);
+  });
+});
+
+describe('normalizeBetType', () => {
+  it('maps common spellings', () => {
+    assert.strictEqual(normalizeBetType('Money Line'), 'ML');
+    assert.strictEqual(normalizeBetType('run line'), 'spread');
+    assert.strictEqual(normalizeBetType('O'), 'over');
+    assert.strictEqual(normalizeBetType('Outright Winner'), 'outright');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * The side a pick backs
+ *
+ * Matching finds the event; the selection says what was bet on it: which
+ * participant (or which side of a total), in which market, at which outcome.
+ * Replies lead with it ("Daniel Elahi Galan ML @ -110 vs Lautaro Midon"), so
+ * a wrong side is as easy to spot as a wrong game.
+ *
+ * The market outcome is used when Bovada lists one. Otherwise the side is
+ * worked out from the pick's names and the event's participants, and the
+ * outcome is left null. The point is always the posted line: Bovada's may
+ * have moved, and its current number is shown with the market instead.
+ */
+
+import { formatOdds } from './odds.js';
+import { defaultAliases } from './aliases.js';
+import { nameSimilarity, normalizeName } from './similarity.js';
+
+const MIN_SIMILARITY = 0.8; // How alike a name must be to pick a side without an outcome
+
+/**
+ * Works out the selection a leg makes on its matched event
+ * @param {Object} leg - Parsed pick leg
+ * @param {Object} event - Matched event
+ * @param {Object} markets - Market lookups (see confirmMatch in matcher.js)
+ * @param {Object|null} markets.market - Result of findGameMarket
+ * @param {Object|null} markets.propMarket - Result of findPropMarket
+ * @param {Object} options - Lookup options
+ * @param {Object} options.aliases - Alias dictionary (see aliases.js)
+ * @returns {Object} { participant, opponent, side, marketKey, outcome, point (as posted) }
+ */
+export function findSelection(leg, event, { market = null, propMarket = null } = {}, { aliases = defaultAliases } = {}) {
+  if (leg.prop) {
+    const outcome = propMarket?.outcome || null;
+    return {
+      participant: outcome?.description || leg.prop.player,
+      opponent: null,
+      side: leg.prop.direction,
+      marketKey: propMarket?.market.key || `player_${leg.prop.stat}`,
+      outcome,
+      point: leg.prop.line ?? outcome?.point ?? null,
+    };
+  }
+
+  const outcome = market?.outcome || null;
+  const marketKey = market?.market.key || null;
+
+  if (leg.betType === 'over' || leg.betType === 'under') {
+    return { participant: null, opponent: null, side: leg.betType, marketKey, outcome, point: leg.line ?? outcome?.point ?? null };
+  }
+
+  const participants = [event.participant1, event.participant2].filter(Boolean);
+  const participant = outcome?.name || findParticipant(leg, participants, aliases);
+  const opponent = participant && leg.betType !== 'outright'
+    ? participants.find(name => name !== participant) || null
+    : null;
+
+  return {
+    participant,
+    opponent,
+    side: outcome?.side || null,
+    marketKey,
+    outcome,
+    point: leg.betType === 'spread' ? postedSpread(leg, outcome) : null,
+  };
+}
+
+/**
+ * The spread as posted, sign included; Bovada's handicap for the side stands
+ * in when the pick gave no line
+ * @param {Object} leg - Parsed spread leg
+ * @param {Object|null} outcome - The side's spread outcome
+ * @returns {number|null} Signed line, or null without a spread outcome
+ */
+function postedSpread(leg, outcome) {
+  if (!outcome || outcome.point === null) return null;
+  return leg.line ?? outcome.point;
+}
+
+/**
+ * Describes a selection for replies
+ * @param {Object} leg - Parsed pick leg
+ * @param {Object|null} selection - Result of findSelection
+ * @param {string} oddsFormat - Format prices are shown in
+ * @returns {string} e.g. "Galan ML @ -110 vs Midon", "Over 220.5 @ -110"
+ */
+export function describeSelection(leg, selection, oddsFormat = 'american') {
+  const odds = formatOdds(leg.price || leg.odds, oddsFormat) || leg.odds;
+  const price = odds ? ` @ ${odds}` : '';
+  const versus = selection?.opponent ? ` vs ${selection.opponent}` : '';
+
+  return `${describeBet(leg, selection)}${price}${versus}`;
+}
+
+/**
+ * @param {Object} leg - Parsed pick leg
+ * @param {Object|null} selection - Result of findSelection
+ * @returns {string} The bet without its price, e.g. "Boston Celtics -3.5"
+ */
+function describeBet(leg, selection) {
+  const side = selection?.side === 'over' ? 'Over' : selection?.side === 'under' ? 'Under' : null;
+  const point = selection?.point ?? leg.line;
+
+  if (leg.prop) {
+    const line = point !== null && point !== undefined ? ` ${point}` : '';
+    return `${selection?.participant || leg.prop.player} ${side || leg.prop.direction}${line} ${leg.prop.stat.replace(/_/g, ' ')}`;
+  }
+
+  if (side) {
+    return point !== null && point !== undefined ? `${side} ${point}` : side;
+  }
+
+  const participant = selection?.participant;
+  if (!participant) return leg.betType || 'bet';
+
+  if (leg.betType === 'spread') {
+    if (selection.point === null || selection.point === undefined) {
+      return leg.line !== null && leg.line !== undefined ? `${participant} spread ${leg.line}` : `${participant} spread`;
+    }
+    return `${participant} ${selection.point > 0 ? '+' : ''}${selection.point}`;
+  }
+  if (leg.betType === 'outright') return `${participant} to win`;
+  return `${participant} ${leg.betType || 'ML'}`;
+}
+
+/**
+ * Finds the participant a leg names when there's no market outcome to go by
+ * @param {Object} leg - Parsed pick leg
+ * @param {string[]} participants - The event's participants
+ * @param {Object} aliases - Alias dictionary
+ * @returns {string|null} Participant, or null if neither is named
+ */
+function findParticipant(leg, participants, aliases) {
+  // The first name is the one backed ("Scheffler vs McIlroy")
+  const [player] = leg.players || [];
+  if (!player) return null;
+
+  const names = [player, ...aliases.expand(player, { sport: leg.sport })].map(normalizeName);
+  let best = null;
+  let bestScore = MIN_SIMILARITY;
+
+  for (const participant of participants) {
+    const normalized = normalizeName(participant);
+    const score = Math.max(...names.map(name => (
+      normalized === name || (name.length >= 3 && normalized.split(' ').includes(name)) ? 1 : nameSimilarity(name, normalized)
+    )));
+    if (score > bestScore) {
+      best = participant;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
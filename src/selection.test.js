@@ -0,0 +1,206 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { findSelection, describeSelection } from './selection.js';
+import { findGameMarket, createMarket } from './markets.js';
+import { findPropMarket } from './props.js';
+import { parseOdds } from './odds.js';
+
+const game = {
+  id: 'nba-1',
+  sport: 'basketball',
+  participant1: 'Los Angeles Lakers',
+  participant2: 'Boston Celtics',
+  markets: [
+    createMarket({
+      id: 'ml',
+      key: 'h2h',
+      outcomes: [
+        { id: 'ml-h', name: 'Los Angeles Lakers', side: 'home', odds: '+130' },
+        { id: 'ml-a', name: 'Boston Celtics', side: 'away', odds: '-150' },
+      ],
+    }),
+    createMarket({
+      id: 'spread',
+      key: 'spreads',
+      outcomes: [
+        { id: 'spread-h', name: 'Los Angeles Lakers', side: 'home', point: 3.5, odds: '-110' },
+        { id: 'spread-a', name: 'Boston Celtics', side: 'away', point: -3.5, odds: '-110' },
+      ],
+    }),
+    createMarket({
+      id: 'total',
+      key: 'totals',
+      outcomes: [
+        { id: 'total-o', name: 'Over', side: 'over', point: 220.5, odds: '-110' },
+        { id: 'total-u', name: 'Under', side: 'under', point: 220.5, odds: '-110' },
+      ],
+    }),
+    createMarket({
+      id: 'pts',
+      key: 'player_points',
+      outcomes: [
+        { id: 'pts-o', name: 'Over', description: 'LeBron James', side: 'over', point: 25.5, odds: '-115' },
+        { id: 'pts-u', name: 'Under', description: 'LeBron James', side: 'under', point: 25.5, odds: '-105' },
+      ],
+    }),
+  ],
+};
+const tennis = { id: 'atp-1', sport: 'tennis', participant1: 'Daniel Elahi Galan', participant2: 'Lautaro Midon' };
+
+/**
+ * Builds a leg with parsed odds
+ * @param {Object} fields - Leg fields
+ * @returns {Object} Leg
+ */
+function leg(fields) {
+  return { players: [], betType: 'ML', line: null, prop: null, ...fields, price: fields.odds ? parseOdds(fields.odds) : null };
+}
+
+/**
+ * @param {Object} pick - Leg
+ * @param {Object} event - Event
+ * @returns {Object} Selection, as confirmMatch finds it
+ */
+function select(pick, event) {
+  const markets = pick.prop
+    ? { propMarket: findPropMarket(event, pick.prop) }
+    : { market: findGameMarket(event, pick) };
+  return findSelection(pick, event, markets);
+}
+
+describe('findSelection', () => {
+  it('takes the side from the market outcome', () => {
+    const selection = select(leg({ players: ['Lakers'], odds: '+130' }), game);
+
+    assert.strictEqual(selection.participant, 'Los Angeles Lakers');
+    assert.strictEqual(selection.opponent, 'Boston Celtics');
+    assert.strictEqual(selection.side, 'home');
+    assert.strictEqual(selection.marketKey, 'h2h');
+    assert.strictEqual(selection.outcome.id, 'ml-h');
+  });
+
+  it('takes the spread from the outcome when the pick has no line', () => {
+    const selection = select(leg({ players: ['Celtics'], betType: 'spread' }), game);
+
+    assert.strictEqual(selection.outcome.id, 'spread-a');
+    assert.strictEqual(selection.point, -3.5);
+  });
+
+  it('takes the side of a total', () => {
+    const selection = select(leg({ players: ['Lakers', 'Celtics'], betType: 'under', line: 220.5 }), game);
+
+    assert.strictEqual(selection.participant, null);
+    assert.strictEqual(selection.side, 'under');
+    assert.strictEqual(selection.outcome.id, 'total-u');
+    assert.strictEqual(selection.point, 220.5);
+  });
+
+  it('takes the player and direction of a prop', () => {
+    const prop = { player: 'LeBron', stat: 'points', direction: 'over', line: 25.5 };
+    const selection = select(leg({ players: ['LeBron'], betType: 'prop', prop }), game);
+
+    assert.strictEqual(selection.participant, 'LeBron James');
+    assert.strictEqual(selection.side, 'over');
+    assert.strictEqual(selection.marketKey, 'player_points');
+    assert.strictEqual(selection.outcome.id, 'pts-o');
+  });
+
+  it('names the participant from the pick when no market is listed', () => {
+    const selection = select(leg({ players: ['Midon'] }), tennis);
+
+    assert.strictEqual(selection.participant, 'Lautaro Midon');
+    assert.strictEqual(selection.opponent, 'Daniel Elahi Galan');
+    assert.strictEqual(selection.outcome, null);
+  });
+
+  it('finds misspelled and aliased names without a market', () => {
+    assert.strictEqual(select(leg({ players: ['Midonn'] }), tennis).participant, 'Lautaro Midon');
+    assert.strictEqual(select(leg({ players: ['LAL'], sport: 'basketball' }), { ...game, markets: [] }).participant, 'Los Angeles Lakers');
+  });
+
+  it('names no one when the pick names neither participant', () => {
+    const selection = select(leg({ players: ['Sinner'] }), tennis);
+
+    assert.strictEqual(selection.participant, null);
+    assert.strictEqual(selection.opponent, null);
+  });
+});
+
+describe('describeSelection', () => {
+  it('describes a moneyline with its opponent', () => {
+    const pick = leg({ players: ['Galan'], odds: '-110' });
+
+    assert.strictEqual(describeSelection(pick, select(pick, tennis)), 'Daniel Elahi Galan ML @ -110 vs Lautaro Midon');
+  });
+
+  it('describes a spread with its signed line', () => {
+    const pick = leg({ players: ['Lakers'], betType: 'spread', line: 3.5, odds: '-110' });
+
+    assert.strictEqual(describeSelection(pick, select(pick, game)), 'Los Angeles Lakers +3.5 @ -110 vs Boston Celtics');
+  });
+
+  it('describes a spread without an outcome by the posted line', () => {
+    const pick = leg({ players: ['Galan'], betType: 'spread', line: 2.5 });
+
+    assert.strictEqual(describeSelection(pick, select(pick, tennis)), 'Daniel Elahi Galan spread 2.5 vs Lautaro Midon');
+  });
+
+  it('describes the posted line when Bovada has moved it', () => {
+    const moved = {
+      ...game,
+      markets: [
+        createMarket({
+          id: 'spread',
+          key: 'spreads',
+          outcomes: [
+            { id: 'spread-h', name: 'Los Angeles Lakers', side: 'home', point: 4, odds: '-110' },
+            { id: 'spread-a', name: 'Boston Celtics', side: 'away', point: -4, odds: '-110' },
+          ],
+        }),
+        createMarket({
+          id: 'total',
+          key: 'totals',
+          outcomes: [{ id: 'total-o', name: 'Over', side: 'over', point: 224.5, odds: '-110' }],
+        }),
+      ],
+    };
+    const lakers = leg({ players: ['Lakers'], betType: 'spread', line: 3.5, odds: '-110' });
+    const celtics = leg({ players: ['Celtics'], betType: 'spread', line: -3.5, odds: '-110' });
+    const over = leg({ players: ['Lakers', 'Celtics'], betType: 'over', line: 219.5, odds: '-110' });
+
+    assert.strictEqual(describeSelection(lakers, select(lakers, moved)), 'Los Angeles Lakers +3.5 @ -110 vs Boston Celtics');
+    assert.strictEqual(describeSelection(celtics, select(celtics, moved)), 'Boston Celtics -3.5 @ -110 vs Los Angeles Lakers');
+    assert.strictEqual(describeSelection(over, select(over, moved)), 'Over 219.5 @ -110');
+    assert.strictEqual(select(over, moved).outcome.point, 224.5);
+  });
+
+  it('keeps the sign as posted when it differs from Bovada\'s', () => {
+    const pick = leg({ players: ['Lakers'], betType: 'spread', line: -3.5, odds: '-110' });
+    const selection = select(pick, game);
+
+    assert.strictEqual(selection.outcome.point, 3.5);
+    assert.strictEqual(selection.point, -3.5);
+    assert.strictEqual(describeSelection(pick, selection), 'Los Angeles Lakers -3.5 @ -110 vs Boston Celtics');
+  });
+
+  it('describes totals and props by their side', () => {
+    const total = leg({ betType: 'over', line: 220.5, odds: '-110' });
+    const prop = leg({ betType: 'prop', prop: { player: 'LeBron', stat: 'points', direction: 'over', line: 25.5 } });
+
+    assert.strictEqual(describeSelection(total, select(total, game)), 'Over 220.5 @ -110');
+    assert.strictEqual(describeSelection(prop, select(prop, game)), 'LeBron James Over 25.5 points');
+  });
+
+  it('shows the price in the server odds format', () => {
+    const pick = leg({ players: ['Lakers'], odds: '+150' });
+
+    assert.strictEqual(describeSelection(pick, select(pick, game), 'decimal'), 'Los Angeles Lakers ML @ 2.50 vs Boston Celtics');
+  });
+
+  it('falls back to the bet type without a participant', () => {
+    const pick = leg({ players: ['Sinner'], odds: '-110' });
+
+    assert.strictEqual(describeSelection(pick, select(pick, tennis)), 'ML @ -110');
+    assert.strictEqual(describeSelection(pick, null), 'ML @ -110');
+  });
+});
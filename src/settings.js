@@ -0,0 +1,101 @@
+/**
+ * Per-server settings
+ *
+ * Each Discord server can tune how the bot treats its picks, starting with
+ * how far odds may move before a link counts as stale. Unset values fall
+ * back to the bot-wide defaults (from the environment).
+ */
+
+import { readJsonFile, createJsonWriter } from './jsonFile.js';
+
+export const STALE_ODDS_ACTIONS = ['annotate', 'suppress', 'off'];
+
+export const DEFAULT_SETTINGS = {
+  staleOddsCents: 25, // Odds moved this far against the pick make a link stale
+  staleOddsAction: 'annotate', // annotate: warn in the reply, suppress: withhold the link, off: never flag
+};
+
+/**
+ * Creates a settings store
+ * @param {Object} options - Store options
+ * @param {Object} options.defaults - Bot-wide overrides of DEFAULT_SETTINGS
+ * @param {string|null} options.filePath - JSON file backing server settings (memory only if not set)
+ * @returns {Object} Store with get/set/reset/flush methods
+ */
+export function createServerSettings({ defaults = {}, filePath = null } = {}) {
+  const invalidDefaults = validateSettings(defaults);
+  if (invalidDefaults) throw new Error(invalidDefaults);
+
+  const base = { ...DEFAULT_SETTINGS, ...withoutUnset(defaults) };
+  const servers = new Map(Object.entries(readJsonFile(filePath, 'server settings') || {}));
+  const writer = createJsonWriter(filePath, () => Object.fromEntries(servers), 'server settings');
+
+  return {
+    /**
+     * @param {string} serverId - Discord guild ID (DMs share "global")
+     * @returns {Object} Effective settings for the server
+     */
+    get(serverId = 'global') {
+      return { ...base, ...servers.get(serverId) };
+    },
+
+    /**
+     * Overrides settings for a server
+     * @param {string} serverId - Discord guild ID (DMs share "global")
+     * @param {Object} changes - Settings to change
+     * @returns {Object} Effective settings after the change
+     */
+    set(serverId = 'global', changes) {
+      const invalid = validateSettings(changes);
+      if (invalid) throw new Error(invalid);
+
+      servers.set(serverId, { ...servers.get(serverId), ...withoutUnset(changes) });
+      writer.schedule();
+      return this.get(serverId);
+    },
+
+    /**
+     * Drops a server's overrides
+     * @param {string} serverId - Discord guild ID (DMs share "global")
+     * @returns {Object} Effective (default) settings
+     */
+    reset(serverId = 'global') {
+      servers.delete(serverId);
+      writer.schedule();
+      return this.get(serverId);
+    },
+
+    /**
+     * Writes any pending changes to disk
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      await writer.flush();
+    },
+  };
+}
+
+/**
+ * @param {Object} changes - Settings to check
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSettings(changes) {
+  const { staleOddsCents, staleOddsAction } = changes;
+
+  if (staleOddsCents !== undefined && !(Number.isFinite(staleOddsCents) && staleOddsCents >= 0)) {
+    return `staleOddsCents must be a non-negative number (got ${JSON.stringify(staleOddsCents)})`;
+  }
+  if (staleOddsAction !== undefined && !STALE_ODDS_ACTIONS.includes(staleOddsAction)) {
+    return `staleOddsAction must be one of ${STALE_ODDS_ACTIONS.join(', ')} (got ${JSON.stringify(staleOddsAction)})`;
+  }
+
+  return null;
+}
+
+/**
+ * @param {Object} settings - Settings that may contain undefined values
+ * @returns {Object} Settings without them
+ */
+function withoutUnset(settings) {
+  return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createServerSettings, DEFAULT_SETTINGS } from './settings.js';
+
+describe('createServerSettings', () => {
+  it('falls back to the bot-wide defaults', () => {
+    const settings = createServerSettings({ defaults: { staleOddsCents: 40, staleOddsAction: undefined } });
+    assert.deepStrictEqual(settings.get('guild-1'), { ...DEFAULT_SETTINGS, staleOddsCents: 40 });
+  });
+
+  it('keeps overrides per server', () => {
+    const settings = createServerSettings();
+    settings.set('guild-1', { staleOddsCents: 10, staleOddsAction: 'suppress' });
+
+    assert.deepStrictEqual(settings.get('guild-1'), { staleOddsCents: 10, staleOddsAction: 'suppress' });
+    assert.deepStrictEqual(settings.get('guild-2'), DEFAULT_SETTINGS);
+  });
+
+  it('merges partial changes', () => {
+    const settings = createServerSettings();
+    settings.set('guild-1', { staleOddsCents: 10 });
+    settings.set('guild-1', { staleOddsAction: 'off' });
+
+    assert.deepStrictEqual(settings.get('guild-1'), { staleOddsCents: 10, staleOddsAction: 'off' });
+  });
+
+  it('rejects invalid settings', () => {
+    const settings = createServerSettings();
+    assert.throws(() => settings.set('guild-1', { staleOddsCents: -5 }), /staleOddsCents/);
+    assert.throws(() => settings.set('guild-1', { staleOddsAction: 'hide' }), /staleOddsAction/);
+    assert.throws(() => createServerSettings({ defaults: { staleOddsCents: NaN } }), /staleOddsCents/);
+    assert.deepStrictEqual(settings.get('guild-1'), DEFAULT_SETTINGS);
+  });
+
+  it('resets a server to the defaults', () => {
+    const settings = createServerSettings();
+    settings.set('guild-1', { staleOddsCents: 10 });
+    assert.deepStrictEqual(settings.reset('guild-1'), DEFAULT_SETTINGS);
+  });
+
+  it('saves server overrides to disk', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'settings-'));
+    const filePath = join(dir, 'server-settings.json');
+    try {
+      const settings = createServerSettings({ filePath });
+      settings.set('guild-1', { staleOddsCents: 10 });
+      await settings.flush();
+
+      assert.deepStrictEqual(JSON.parse(readFileSync(filePath, 'utf8')), { 'guild-1': { staleOddsCents: 10 } });
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Fuzzy name similarity
+ *
+ * Picks misspell names ("Pegulla", "Hijikatta", "Djokovich") or flip first
+ * and last names, which exact and substring checks score as no match at all.
+ * Names are compared token by token with Jaro-Winkler, and tokens that sound
+ * the same (a loose Metaphone-style key) count as near matches. Surnames
+ * carry the most weight, since "Jessica" alone names half the WTA.
+ *
+ * Names are compared normalized (see normalizeName).
+ */
+
+const SURNAME_WEIGHT = 2;
+const GIVEN_NAME_ONLY = 0.85; // Matching only a first name or city is weak evidence
+const PHONETIC_MATCH = 0.92; // Similarity for tokens that sound the same...
+const PHONETIC_MIN_JARO = 0.7; // ...as long as they are spelled roughly alike
+const MIN_TOKEN_LENGTH = 2; // Initials ("G. Escobar") say little
+
+// Spellings that sound alike, applied in order
+const PHONETIC_RULES = [
+  [/^(kn|gn|pn|wr|ps)/, m => m[1]],
+  [/^dj/, 'j'],
+  [/sch/g, 's'],
+  [/t?ch/g, 'x'],
+  [/c$/, 'x'], // Slavic -ic is -ich
+  [/ph/g, 'f'],
+  [/ck/g, 'k'],
+  [/c(?=[eiy])/g, 's'],
+  [/c/g, 'k'],
+  [/q/g, 'k'],
+  [/x(?!$)/g, 'ks'],
+  [/z/g, 's'],
+  [/w/g, 'v'],
+  [/v/g, 'f'],
+  [/y/g, 'i'],
+  [/gh/g, 'g'],
+  [/(?!^)h/g, ''],
+];
+
+/**
+ * Normalizes a player/team name for matching
+ * @param {string} name - Name to normalize
+ * @returns {string} Normalized name
+ */
+export function normalizeName(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove accents
+    .replace(/[^a-z0-9\s]/g, '') // Remove special chars
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Jaro-Winkler similarity of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity from 0 (nothing alike) to 1 (identical)
+ */
+export function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - range); j < Math.min(b.length, i + range + 1); j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  // Matched characters that appear in a different order
+  let transpositions = 0;
+  let j = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  // Common prefixes (up to 4 characters) count extra
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Phonetic key of a word, so "Djokovich" and "Jokovic" compare equal
+ * @param {string} word - Normalized word
+ * @returns {string} Key: first letter, then consonant sounds
+ */
+export function phoneticKey(word) {
+  let key = word.replace(/[^a-z]/g, '');
+  for (const [pattern, replacement] of PHONETIC_RULES) {
+    key = key.replace(pattern, replacement);
+  }
+  return key
+    .replace(/(?!^)[aeiou]/g, '')
+    .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Similarity of two name tokens
+ * @param {string} a - Token from the pick
+ * @param {string} b - Token from the event
+ * @returns {number} Similarity from 0 to 1
+ */
+export function tokenSimilarity(a, b) {
+  const jaro = jaroWinkler(a, b);
+  if (jaro >= PHONETIC_MIN_JARO && jaro < PHONETIC_MATCH && phoneticKey(a) === phoneticKey(b)) {
+    return PHONETIC_MATCH;
+  }
+  return jaro;
+}
+
+/**
+ * Similarity of a name in a pick to a participant's name, in any token order
+ * @param {string} name - Normalized name from the pick ("pegulla", "pegula jessica")
+ * @param {string} participant - Normalized participant ("jessica pegula", "boston celtics")
+ * @returns {number} Similarity from 0 to 1, weighted toward the surname
+ */
+export function nameSimilarity(name, participant) {
+  const nameTokens = tokenize(name);
+  const participantTokens = tokenize(participant);
+  if (nameTokens.length === 0 || participantTokens.length === 0) return 0;
+
+  const surname = participantTokens.length - 1;
+  let total = 0;
+  let weight = 0;
+  let matchedSurname = false;
+
+  for (const token of nameTokens) {
+    let best = 0;
+    let bestIndex = -1;
+    participantTokens.forEach((part, index) => {
+      const similarity = tokenSimilarity(token, part);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+
+    const tokenWeight = bestIndex === surname ? SURNAME_WEIGHT : 1;
+    matchedSurname ||= bestIndex === surname;
+    total += best * tokenWeight;
+    weight += tokenWeight;
+  }
+
+  return (total / weight) * (matchedSurname ? 1 : GIVEN_NAME_ONLY);
+}
+
+/**
+ * @param {string} name - Normalized name
+ * @returns {string[]} Tokens long enough to compare
+ */
+function tokenize(name) {
+  return name.split(' ').filter(token => token.length >= MIN_TOKEN_LENGTH);
+}
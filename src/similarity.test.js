@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { jaroWinkler, phoneticKey, tokenSimilarity, nameSimilarity } from './similarity.js';
+
+describe('jaroWinkler', () => {
+  it('scores identical and unrelated strings', () => {
+    assert.strictEqual(jaroWinkler('pegula', 'pegula'), 1);
+    assert.strictEqual(jaroWinkler('abc', 'xyz'), 0);
+    assert.strictEqual(jaroWinkler('', 'pegula'), 0);
+  });
+
+  it('matches the textbook values', () => {
+    assert.strictEqual(jaroWinkler('martha', 'marhta').toFixed(3), '0.961');
+    assert.strictEqual(jaroWinkler('dwayne', 'duane').toFixed(3), '0.840');
+  });
+});
+
+describe('phoneticKey', () => {
+  it('gives spellings that sound alike the same key', () => {
+    assert.strictEqual(phoneticKey('djokovich'), phoneticKey('djokovic'));
+    assert.strictEqual(phoneticKey('wawrinka'), phoneticKey('vavrinka'));
+    assert.strictEqual(phoneticKey('kyrgios'), phoneticKey('kirgios'));
+  });
+
+  it('keeps different names apart', () => {
+    assert.notStrictEqual(phoneticKey('nets'), phoneticKey('jets'));
+  });
+});
+
+describe('tokenSimilarity', () => {
+  it('lifts tokens that sound the same', () => {
+    assert.ok(jaroWinkler('vavrinka', 'wawrinka') < 0.85);
+    assert.strictEqual(tokenSimilarity('vavrinka', 'wawrinka'), 0.92);
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('tolerates typos in the surname', () => {
+    assert.ok(nameSimilarity('pegulla', 'jessica pegula') > 0.95);
+    assert.ok(nameSimilarity('hijikatta', 'rinky hijikata') > 0.95);
+  });
+
+  it('ignores token order', () => {
+    assert.strictEqual(nameSimilarity('pegula jessica', 'jessica pegula'), 1);
+  });
+
+  it('discounts names that only match a first name', () => {
+    assert.ok(nameSimilarity('jessika', 'jessica pegula') < 0.85);
+    assert.ok(nameSimilarity('pegulla', 'jessica pegula') > nameSimilarity('jessika', 'jessica pegula'));
+  });
+
+  it('returns 0 without comparable tokens', () => {
+    assert.strictEqual(nameSimilarity('', 'jessica pegula'), 0);
+    assert.strictEqual(nameSimilarity('j', 'jessica pegula'), 0);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Event source chain and configuration
+ *
+ * Sources (see eventSource.js) are tried in order until one returns events:
+ *
+ * - odds-api: The Odds API (needs ODDS_API_KEY, skipped without it)
+ * - bovada:   Bovada's coupon endpoint, scraped directly
+ * - fixtures: recorded Bovada coupon responses replayed from disk
+ * - mock:     the built-in mock events (see getMockEvents)
+ *
+ * The default chain is odds-api, bovada; EVENT_SOURCES picks another, e.g.
+ * "fixtures" to run fully offline. ODDS_API_DAILY_BUDGET and
+ * ODDS_API_MONTHLY_BUDGET cap the Odds API credits we spend; past them the
+ * chain falls through to Bovada (see quota.js).
+ */
+
+import { readdirSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createBovadaSource, parseBovadaResponse, getMockEvents } from './bovada.js';
+import { createOddsApiSource } from './oddsApi.js';
+import { createEventSource } from './eventSource.js';
+import { SPORTS } from './sports.js';
+import { createQuotaTracker } from './quota.js';
+
+export const SOURCE_NAMES = ['odds-api', 'bovada', 'fixtures', 'mock'];
+export const DEFAULT_SOURCES = ['odds-api', 'bovada'];
+export const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('./fixtures/bovada', import.meta.url));
+
+// Error code for "no source could be reached", as opposed to no events
+export const EVENTS_UNAVAILABLE = 'EVENTS_UNAVAILABLE';
+
+/**
+ * Creates the configured sources
+ * @param {string[]|string} names - Source names in order, or a comma-separated list (default EVENT_SOURCES or odds-api,bovada)
+ * @param {Object} options - Source options
+ * @param {Object} options.env - Environment (defaults to process.env)
+ * @param {string} options.fixturesDir - Directory of recorded responses for the fixtures source
+ * @param {Object} options.quota - Odds API quota tracker (default one from the environment, see createOddsApiQuota)
+ * @returns {Array} Event sources
+ */
+export function createEventSources(names, { env = process.env, fixturesDir, quota } = {}) {
+  const list = (Array.isArray(names) ? names : (names || env.EVENT_SOURCES || DEFAULT_SOURCES.join(',')).split(','))
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = list.filter(name => !SOURCE_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown event source(s): ${unknown.join(', ')} (expected ${SOURCE_NAMES.join(', ')})`);
+  }
+
+  return list.flatMap(name => {
+    switch (name) {
+      case 'odds-api':
+        if (!env.ODDS_API_KEY) return [];
+        return [createOddsApiSource({ apiKey: env.ODDS_API_KEY, quota: quota || createOddsApiQuota({ env }) })];
+      case 'bovada':
+        return [createBovadaSource()];
+      case 'fixtures':
+        return [createFixtureSource({ dir: fixturesDir || env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR })];
+      default:
+        return [createMockSource()];
+    }
+  });
+}
+
+/**
+ * Creates the Odds API quota tracker with the budgets from the environment
+ * @param {Object} options - Tracker options
+ * @param {Object} options.env - Environment (defaults to process.env)
+ * @param {string|null} options.dataDir - Directory to save the counts in (memory only if not set)
+ * @returns {Object} Quota tracker (see quota.js)
+ */
+export function createOddsApiQuota({ env = process.env, dataDir = null } = {}) {
+  const budget = value => (value ? Number(value) : null);
+
+  return createQuotaTracker({
+    dailyBudget: budget(env.ODDS_API_DAILY_BUDGET),
+    monthlyBudget: budget(env.ODDS_API_MONTHLY_BUDGET),
+    filePath: dataDir ? join(dataDir, 'odds-api-quota.json') : null,
+  });
+}
+
+/**
+ * Chains sources, falling through to the next when one fails or has no events
+ * @param {Array} sources - Event sources, in order of preference
+ * @returns {Object} Chain with load/health methods
+ */
+export function createSourceChain(sources) {
+  return {
+    sources,
+
+    /**
+     * Loads events from the first source that has some
+     * @param {string|null} sport - Sport (null for all sports)
+     * @param {string|null} league - League from the pick
+     * @returns {Promise<Array>} Events (empty if every source answered with none)
+     * @throws {Error} With code EVENTS_UNAVAILABLE if no source could be reached
+     */
+    async load(sport, league = null) {
+      let answered = false;
+      const errors = [];
+
+      for (const source of sources.filter(s => s.supports(sport))) {
+        try {
+          const events = await source.fetchEvents(sport, { league });
+          answered = true;
+          if (events.length > 0) return events;
+        } catch (error) {
+          console.error(`  ↳ ${source.name} unavailable: ${error.message}`);
+          errors.push(error);
+        }
+      }
+
+      // Every source failed: that's not the same as an empty schedule
+      if (!answered && errors.length > 0) {
+        throw Object.assign(new Error(`No event source available (${errors.map(e => e.message).join('; ')})`), {
+          code: EVENTS_UNAVAILABLE,
+          errors,
+        });
+      }
+
+      // No mock data - require real data
+      console.log('  ↳ No events found from Bovada API');
+      return [];
+    },
+
+    /**
+     * @returns {Array} Health of each source (see eventSource.js)
+     */
+    health() {
+      return sources.map(source => source.health());
+    },
+  };
+}
+
+/**
+ * Creates a source replaying recorded Bovada coupon responses
+ *
+ * The directory holds one response per sport, named after it
+ * ("basketball.json"), as saved from the coupon endpoint:
+ *
+ *   curl -H 'Accept: application/json' \
+ *     https://www.bovada.lv/services/sports/event/coupon/events/A/description/basketball > basketball.json
+ *
+ * @param {Object} options - Source options
+ * @param {string} options.dir - Directory of recorded responses
+ * @returns {Object} Event source (see eventSource.js)
+ */
+export function createFixtureSource({ dir = DEFAULT_FIXTURES_DIR } = {}) {
+  const sports = readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''));
+
+  const replay = async (sport) => {
+    const data = JSON.parse(await readFile(join(dir, `${sport}.json`), 'utf8'));
+    return parseBovadaResponse(data, sport);
+  };
+
+  return createEventSource({
+    name: 'fixtures',
+    sports,
+    fetchEvents: async (sport) => {
+      const recorded = sport ? [sport.toLowerCase()] : sports;
+      const results = await Promise.all(recorded.map(replay));
+      return results.flat();
+    },
+  });
+}
+
+/**
+ * Creates a source serving the built-in mock events
+ * @returns {Object} Event source (see eventSource.js)
+ */
+export function createMockSource() {
+  return createEventSource({
+    name: 'mock',
+    sports: SPORTS,
+    fetchEvents: async sport => getMockEvents(sport),
+  });
+}
@@ -0,0 +1,157 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import {
+  createEventSources,
+  createSourceChain,
+  createFixtureSource,
+  createMockSource,
+  EVENTS_UNAVAILABLE,
+} from './sources.js';
+import { createEventSource } from './eventSource.js';
+import { createCircuitBreaker } from './http.js';
+
+// Sources log every fetch; keep test output readable
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+after(() => mock.restoreAll());
+
+const stubSource = (name, result, sports = ['tennis', 'basketball']) => createEventSource({
+  name,
+  sports,
+  fetchEvents: async () => {
+    if (result instanceof Error) throw result;
+    return result;
+  },
+});
+
+describe('createEventSource', () => {
+  it('reports health from the last fetch', async () => {
+    let fail = false;
+    const source = createEventSource({
+      name: 'test',
+      sports: ['tennis'],
+      fetchEvents: async () => {
+        if (fail) throw new Error('Bovada error: 503');
+        return [];
+      },
+    });
+
+    assert.strictEqual(source.health().status, 'unknown');
+    await source.fetchEvents('tennis');
+    assert.strictEqual(source.health().status, 'ok');
+
+    fail = true;
+    await assert.rejects(source.fetchEvents('tennis'));
+    assert.deepStrictEqual(
+      { status: source.health().status, lastError: source.health().lastError },
+      { status: 'failing', lastError: 'Bovada error: 503' },
+    );
+  });
+
+  it('reports a paused source while its breaker is open', () => {
+    const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 1 });
+    const source = createEventSource({ name: 'test', sports: [], fetchEvents: async () => [], breaker });
+    breaker.recordFailure();
+    assert.strictEqual(source.health().status, 'paused');
+  });
+
+  it('supports its sports and all-sports lookups', () => {
+    const source = stubSource('test', []);
+    assert.ok(source.supports('Tennis'));
+    assert.ok(source.supports(null));
+    assert.ok(!source.supports('curling'));
+  });
+});
+
+describe('createSourceChain', () => {
+  it('uses the first source with events', async () => {
+    const chain = createSourceChain([stubSource('a', [{ id: 'a' }]), stubSource('b', [{ id: 'b' }])]);
+    assert.deepStrictEqual(await chain.load('tennis'), [{ id: 'a' }]);
+  });
+
+  it('falls through failing and empty sources', async () => {
+    const chain = createSourceChain([
+      stubSource('a', new Error('down')),
+      stubSource('b', []),
+      stubSource('c', [{ id: 'c' }]),
+    ]);
+    assert.deepStrictEqual(await chain.load('tennis'), [{ id: 'c' }]);
+  });
+
+  it('skips sources that do not cover the sport', async () => {
+    const chain = createSourceChain([stubSource('a', [{ id: 'a' }], ['tennis']), stubSource('b', [{ id: 'b' }], ['hockey'])]);
+    assert.deepStrictEqual(await chain.load('hockey'), [{ id: 'b' }]);
+  });
+
+  it('returns no events when a source answered with none', async () => {
+    const chain = createSourceChain([stubSource('a', new Error('down')), stubSource('b', [])]);
+    assert.deepStrictEqual(await chain.load('tennis'), []);
+  });
+
+  it('throws a distinct error when every source fails', async () => {
+    const chain = createSourceChain([stubSource('a', new Error('Odds API error: 429')), stubSource('b', new Error('Bovada timed out'))]);
+    await assert.rejects(chain.load('tennis'), error => {
+      assert.strictEqual(error.code, EVENTS_UNAVAILABLE);
+      assert.strictEqual(error.errors.length, 2);
+      return true;
+    });
+  });
+
+  it('reports the health of each source', async () => {
+    const chain = createSourceChain([stubSource('a', new Error('down')), stubSource('b', [{ id: 'b' }])]);
+    await chain.load('tennis');
+    assert.deepStrictEqual(chain.health().map(h => [h.name, h.status]), [['a', 'failing'], ['b', 'ok']]);
+  });
+});
+
+describe('createFixtureSource', () => {
+  it('replays recorded responses for a sport', async () => {
+    const source = createFixtureSource();
+    const events = await source.fetchEvents('basketball');
+
+    assert.ok(events.length > 0);
+    assert.ok(events.every(e => e.sport === 'basketball' && e.league === 'NBA'));
+    const lakers = events.find(e => e.participant1 === 'Los Angeles Lakers');
+    assert.ok(lakers.markets.some(m => m.key === 'spreads' && m.period === '1H'));
+    assert.ok(lakers.markets.some(m => m.key === 'player_points'));
+  });
+
+  it('covers only the recorded sports', async () => {
+    const source = createFixtureSource();
+    assert.ok(source.supports('tennis'));
+    assert.ok(!source.supports('hockey'));
+
+    const sports = new Set((await source.fetchEvents(null)).map(e => e.sport));
+    assert.deepStrictEqual([...sports].sort(), ['basketball', 'tennis']);
+  });
+});
+
+describe('createMockSource', () => {
+  it('serves the mock events', async () => {
+    const events = await createMockSource().fetchEvents('tennis');
+    assert.ok(events.length > 0);
+    assert.ok(events.every(e => e.sport === 'tennis'));
+  });
+});
+
+describe('createEventSources', () => {
+  it('defaults to the Odds API, then Bovada', () => {
+    const names = createEventSources(undefined, { env: { ODDS_API_KEY: 'key' } }).map(s => s.name);
+    assert.deepStrictEqual(names, ['odds-api', 'bovada']);
+  });
+
+  it('skips the Odds API without a key', () => {
+    assert.deepStrictEqual(createEventSources(undefined, { env: {} }).map(s => s.name), ['bovada']);
+  });
+
+  it('reads the chain from EVENT_SOURCES', () => {
+    const names = createEventSources(undefined, { env: { EVENT_SOURCES: 'fixtures, mock' } }).map(s => s.name);
+    assert.deepStrictEqual(names, ['fixtures', 'mock']);
+  });
+
+  it('rejects unknown sources', () => {
+    assert.throws(() => createEventSources('bovada,pinnacle', { env: {} }), /pinnacle/);
+  });
+});
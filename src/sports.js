@@ -0,0 +1,189 @@
+/**
+ * Sports and leagues we can link
+ *
+ * One entry per sport, shared by the parser (names and context clues), the
+ * event sources (Bovada coupon paths, Odds API groups) and the URL builder:
+ *
+ * - slug:         the sport's Bovada path ("ufc-mma" for mma)
+ * - oddsApiGroup: The Odds API sport group, null if it has no head-to-head markets
+ * - aliases:      other names for the sport in picks ("ncaaf", "ping pong")
+ * - leagues:      leagues with their Bovada path; college football and
+ *                 basketball are on their own coupon (`ownCoupon`)
+ */
+
+const COUPON_BASE = '/services/sports/event/coupon/events/A/description';
+
+export const SPORT_DEFINITIONS = [
+  {
+    sport: 'tennis',
+    slug: 'tennis',
+    oddsApiGroup: 'Tennis',
+    aliases: ['atp', 'wta', 'itf'],
+    clues: 'Player last names, "doubles", ATP/WTA, Grand Slam names',
+    leagues: [{ league: 'ATP', slug: 'atp' }, { league: 'WTA', slug: 'wta' }, { league: 'ITF', slug: 'itf' }],
+  },
+  {
+    sport: 'basketball',
+    slug: 'basketball',
+    oddsApiGroup: 'Basketball',
+    aliases: ['nba', 'wnba', 'ncaab', 'cbb', 'college basketball', 'ncaa basketball'],
+    clues: 'Team cities, NBA teams, "points"; college teams and "CBB"/"NCAAB" mean league NCAAB',
+    leagues: [
+      { league: 'NBA', slug: 'nba' },
+      { league: 'WNBA', slug: 'wnba' },
+      { league: 'NCAAB', slug: 'college-basketball', ownCoupon: true },
+    ],
+  },
+  {
+    sport: 'football',
+    slug: 'football',
+    oddsApiGroup: 'American Football',
+    aliases: ['nfl', 'ncaaf', 'cfb', 'american football', 'college football', 'ncaa football'],
+    clues: 'NFL teams, "spread"; college teams and "CFB"/"NCAAF" mean league NCAAF',
+    leagues: [
+      { league: 'NFL', slug: 'nfl' },
+      { league: 'NCAAF', slug: 'college-football', ownCoupon: true },
+    ],
+  },
+  {
+    sport: 'baseball',
+    slug: 'baseball',
+    oddsApiGroup: 'Baseball',
+    aliases: ['mlb'],
+    clues: 'MLB teams, "run line"',
+    leagues: [{ league: 'MLB', slug: 'mlb' }],
+  },
+  {
+    sport: 'hockey',
+    slug: 'hockey',
+    oddsApiGroup: 'Ice Hockey',
+    aliases: ['nhl', 'ice hockey'],
+    clues: 'NHL teams, "puck line"',
+    leagues: [{ league: 'NHL', slug: 'nhl' }],
+  },
+  {
+    sport: 'soccer',
+    slug: 'soccer',
+    oddsApiGroup: 'Soccer',
+    aliases: ['epl', 'mls', 'futbol', 'football (soccer)'],
+    clues: 'Club names, leagues like EPL, La Liga, Serie A, MLS, "draw"',
+    leagues: [{ league: 'EPL', slug: 'europe/england/premier-league' }, { league: 'MLS', slug: 'north-america/united-states/mls' }],
+  },
+  {
+    sport: 'mma',
+    slug: 'ufc-mma',
+    oddsApiGroup: 'Mixed Martial Arts',
+    aliases: ['ufc', 'ufc/mma', 'mixed martial arts'],
+    clues: 'Fighter names, "by KO", "by submission", UFC/Bellator/PFL cards',
+    leagues: [{ league: 'UFC', slug: 'ufc' }],
+  },
+  {
+    sport: 'boxing',
+    slug: 'boxing',
+    oddsApiGroup: 'Boxing',
+    aliases: ['box'],
+    clues: 'Boxer names, "by KO/TKO", "by decision", "goes the distance", title fights',
+    leagues: [],
+  },
+  {
+    sport: 'golf',
+    slug: 'golf',
+    oddsApiGroup: null, // Only outright winners, no matchups
+    aliases: ['pga', 'pga tour', 'liv', 'liv golf', 'lpga', 'dp world tour'],
+    clues: 'Golfer names, tournaments (Masters, US Open, The Open, PGA Championship), "to win" (outright), "top 10", "vs" (matchups)',
+    leagues: [{ league: 'PGA', slug: 'pga-tour' }, { league: 'LIV', slug: 'liv-golf' }, { league: 'LPGA', slug: 'lpga-tour' }],
+  },
+  {
+    sport: 'esports',
+    slug: 'esports',
+    oddsApiGroup: null,
+    aliases: ['e-sports', 'esport', 'cs2', 'csgo', 'counter-strike', 'league of legends', 'lol', 'dota', 'dota 2', 'valorant'],
+    clues: 'Team tags (T1, G2, NAVI, FaZe), game titles (CS2, League of Legends, Dota 2, Valorant), "maps"',
+    leagues: [],
+  },
+  {
+    sport: 'cricket',
+    slug: 'cricket',
+    oddsApiGroup: 'Cricket',
+    aliases: ['ipl', 't20', 'odi', 'test cricket', 'big bash'],
+    clues: 'National teams or franchises (IPL, Big Bash), T20/ODI/Test, "runs", "wickets"',
+    leagues: [{ league: 'IPL', slug: 'indian-premier-league' }],
+  },
+  {
+    sport: 'table-tennis',
+    slug: 'table-tennis',
+    oddsApiGroup: null,
+    aliases: ['table tennis', 'ping pong', 'ping-pong', 'tt elite series', 'setka cup'],
+    clues: 'Player names with "TT Elite", "Setka Cup", "table tennis"',
+    leagues: [],
+  },
+  {
+    sport: 'darts',
+    slug: 'darts',
+    oddsApiGroup: null,
+    aliases: ['pdc', 'premier league darts'],
+    clues: 'Player names with PDC, "180s", "checkout", "legs"',
+    leagues: [],
+  },
+];
+
+export const SPORTS = SPORT_DEFINITIONS.map(d => d.sport);
+
+const BY_SPORT = new Map(SPORT_DEFINITIONS.map(d => [d.sport, d]));
+const BY_ALIAS = new Map(SPORT_DEFINITIONS.flatMap(d => d.aliases.map(alias => [alias, d.sport])));
+
+/**
+ * @param {string|null} sport - Sport
+ * @returns {Object|null} Its definition
+ */
+export function getSportDefinition(sport) {
+  return BY_SPORT.get(sport?.toLowerCase()) || null;
+}
+
+/**
+ * Looks up a sport by name or alias ("NCAAF", "ping pong")
+ * @param {string} name - Sport name
+ * @returns {string|undefined} Sport, or undefined if unknown
+ */
+export function findSport(name) {
+  const key = name.trim().toLowerCase();
+  if (BY_SPORT.has(key)) return key;
+  return BY_ALIAS.get(key) ?? BY_SPORT.get(key.replace(/[\s_]+/g, '-'))?.sport;
+}
+
+/**
+ * Finds a league within a sport
+ * @param {string|null} sport - Sport
+ * @param {string|null} league - League from the pick or event ("NCAAF", "College Football")
+ * @returns {Object|null} League definition ({ league, slug, ownCoupon })
+ */
+export function findLeague(sport, league) {
+  if (!league) return null;
+  const key = league.trim().toLowerCase();
+
+  return getSportDefinition(sport)?.leagues.find(l => l.league.toLowerCase() === key || l.slug.split('/').pop().replace(/-/g, ' ') === key) || null;
+}
+
+/**
+ * Bovada coupon path for a sport, or for a league Bovada lists separately
+ * @param {string} sport - Sport
+ * @param {string|null} league - League from the pick
+ * @returns {string|null} Coupon path, or null for unknown sports
+ */
+export function getCouponPath(sport, league = null) {
+  const definition = getSportDefinition(sport);
+  if (!definition) return null;
+
+  const ownLeague = findLeague(sport, league);
+  return ownLeague?.ownCoupon
+    ? `${COUPON_BASE}/${definition.slug}/${ownLeague.slug}`
+    : `${COUPON_BASE}/${definition.slug}`;
+}
+
+/**
+ * @returns {string} Sport context clues for the parser prompt
+ */
+export function describeSportClues() {
+  const label = sport => sport.charAt(0).toUpperCase() + sport.slice(1).replace(/-/g, ' ');
+  return SPORT_DEFINITIONS.map(d => `- ${label(d.sport)} ("${d.sport}"): ${d.clues}`).join('\n');
+}
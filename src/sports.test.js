@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SPORTS, findSport, findLeague, getCouponPath, describeSportClues } from './sports.js';
+
+describe('findSport', () => {
+  it('finds sports by name and alias', () => {
+    assert.strictEqual(findSport('Golf'), 'golf');
+    assert.strictEqual(findSport('CFB'), 'football');
+    assert.strictEqual(findSport('ping pong'), 'table-tennis');
+    assert.strictEqual(findSport('table_tennis'), 'table-tennis');
+    assert.strictEqual(findSport('PDC'), 'darts');
+    assert.strictEqual(findSport('CS2'), 'esports');
+  });
+
+  it('returns undefined for unknown sports', () => {
+    assert.strictEqual(findSport('quidditch'), undefined);
+  });
+});
+
+describe('findLeague', () => {
+  it('finds leagues by name or path', () => {
+    assert.strictEqual(findLeague('football', 'ncaaf').slug, 'college-football');
+    assert.strictEqual(findLeague('basketball', 'College Basketball').league, 'NCAAB');
+  });
+
+  it('only looks within the sport', () => {
+    assert.strictEqual(findLeague('basketball', 'NCAAF'), null);
+    assert.strictEqual(findLeague('golf', null), null);
+  });
+});
+
+describe('getCouponPath', () => {
+  it('builds the sport coupon path', () => {
+    assert.strictEqual(getCouponPath('golf'), '/services/sports/event/coupon/events/A/description/golf');
+    assert.strictEqual(getCouponPath('mma'), '/services/sports/event/coupon/events/A/description/ufc-mma');
+  });
+
+  it('uses the league coupon for college leagues', () => {
+    assert.strictEqual(
+      getCouponPath('football', 'NCAAF'),
+      '/services/sports/event/coupon/events/A/description/football/college-football'
+    );
+    assert.strictEqual(getCouponPath('football', 'NFL'), '/services/sports/event/coupon/events/A/description/football');
+  });
+
+  it('returns null for unknown sports', () => {
+    assert.strictEqual(getCouponPath('quidditch'), null);
+  });
+});
+
+describe('describeSportClues', () => {
+  it('lists a clue for every sport', () => {
+    const clues = describeSportClues();
+
+    for (const sport of SPORTS) {
+      assert.ok(clues.includes(`("${sport}")`), sport);
+    }
+    assert.ok(clues.includes('Table tennis'));
+  });
+});
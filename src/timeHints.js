@@ -0,0 +1,174 @@
+/**
+ * Time hints ("tonight", "Sunday", "Oct 25", "game 2")
+ *
+ * When the same teams play twice in a week, or a player is in two
+ * tournaments, the pick's wording is often all that tells the games apart.
+ * Hints are kept as short codes on the parsed leg ("tonight", "sunday",
+ * "10-25") and only turned into a time window at match time, relative to
+ * when the pick was posted, so a cached parse never goes stale.
+ *
+ * Days are in the process time zone (set TZ, e.g. TZ=America/New_York).
+ * Windows run until 6am the next day, since late games cross midnight.
+ *
+ * Slash dates ("10/25") look like fractional odds, so one is only a date
+ * when it can't be a quoted price: bookmakers reduce fractions (2/5, never
+ * 10/25), and a pick carries one price ("Lakers ML -150 10/24").
+ */
+
+import { extractOddsText } from './odds.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const HOUR_MS = 60 * 60 * 1000;
+const LATE_NIGHT_HOURS = 6; // Windows end at 6am the next day
+const EVENING_HOUR = 16; // "Tonight" starts at 4pm
+
+// Ordered so longer/more specific spellings are tried first
+const HINT_PATTERNS = [
+  { code: 'tonight', pattern: /(?:^|[^a-z0-9])(tonight|tonite)(?![a-z0-9])/i },
+  { code: 'tomorrow', pattern: /(?:^|[^a-z0-9])(tomorrow(?: night)?|tmrw|tmr)(?![a-z0-9])/i },
+  { code: 'today', pattern: /(?:^|[^a-z0-9])(today)(?![a-z0-9])/i },
+  { code: 'weekend', pattern: /(?:^|[^a-z0-9])((?:this )?weekend)(?![a-z0-9])/i },
+  ...WEEKDAYS.map(day => ({ code: day, pattern: new RegExp(`(?:^|[^a-z0-9])((?:on )?${day})(?![a-z0-9])`, 'i') })),
+];
+
+// "Oct 25th" or "10/25"
+const DATE_PATTERN = new RegExp(
+  `(?:^|[^a-z0-9/])((${MONTHS.join('|')})[a-z]*\\.? (\\d{1,2})(?:st|nd|rd|th)?|(\\d{1,2})/(\\d{1,2}))(?![a-z0-9/])`,
+  'i'
+);
+const GAME_PATTERN = /(?:^|[^a-z0-9])((?:game|gm) ?([1-7]))(?![a-z0-9])/i;
+
+/**
+ * Finds a time hint in pick text
+ * @param {string} text - Pick text
+ * @returns {Object|null} { code, match } where match is the text to strip, or null
+ */
+export function extractTimeHint(text) {
+  if (!text) return null;
+
+  for (const { code, pattern } of HINT_PATTERNS) {
+    const found = text.match(pattern);
+    if (found) return { code, match: found[1] };
+  }
+
+  const date = text.match(DATE_PATTERN);
+  const slash = Boolean(date?.[4]);
+  const month = !date ? 0 : slash ? Number(date[4]) : MONTHS.indexOf(date[2].toLowerCase().slice(0, 3)) + 1;
+  const day = !date ? 0 : Number(slash ? date[5] : date[3]);
+  if (slash && !isSlashDate(text, date[1], month, day)) return null;
+  if (date && month >= 1 && month <= 12 && day >= 1 && day <= 31) {
+    return { code: `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`, match: date[1] };
+  }
+
+  return null;
+}
+
+/**
+ * Tells a slash date from fractional odds
+ * @param {string} text - Pick text
+ * @param {string} token - The slash token ("10/25")
+ * @param {number} month - Month it would be
+ * @param {number} day - Day it would be
+ * @returns {boolean} True if the token can only be a date
+ */
+function isSlashDate(text, token, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return false;
+  if (greatestCommonDivisor(month, day) > 1) return true;
+  return extractOddsText(text.replace(token, ' ')) !== null;
+}
+
+/**
+ * @param {number} a - Positive integer
+ * @param {number} b - Positive integer
+ * @returns {number} Greatest common divisor
+ */
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+/**
+ * Finds a series game number ("game 2", "Gm 3")
+ * @param {string} text - Pick or event text
+ * @returns {Object|null} { number, match }, or null
+ */
+export function extractGameNumber(text) {
+  const found = text?.match(GAME_PATTERN);
+  return found ? { number: Number(found[2]), match: found[1] } : null;
+}
+
+/**
+ * Normalizes a time hint from the LLM or a parse to a code
+ * @param {*} value - Raw hint ("Tonight", "sunday", "10-25", "Oct 25")
+ * @returns {string|null|undefined} Code, null if absent, undefined if unrecognized
+ */
+export function normalizeTimeHint(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'string') return undefined;
+
+  const trimmed = value.trim().toLowerCase();
+  const date = trimmed.match(/^(\d{1,2})[-/](\d{1,2})$/);
+  if (date && Number(date[1]) >= 1 && Number(date[1]) <= 12 && Number(date[2]) >= 1 && Number(date[2]) <= 31) {
+    return `${date[1].padStart(2, '0')}-${date[2].padStart(2, '0')}`;
+  }
+
+  return extractTimeHint(trimmed)?.code;
+}
+
+/**
+ * Turns a time hint into the window the game should start in
+ * @param {string} code - Hint code (see normalizeTimeHint)
+ * @param {number} now - When the pick was posted
+ * @returns {Object|null} { from, to } in ms, or null for an unknown code
+ */
+export function resolveTimeHint(code, now = Date.now()) {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  const dayWindow = (offsetDays, fromHour = 0) => {
+    const start = new Date(today);
+    start.setDate(start.getDate() + offsetDays);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { from: start.getTime() + fromHour * HOUR_MS, to: end.getTime() + LATE_NIGHT_HOURS * HOUR_MS };
+  };
+
+  if (code === 'today') return dayWindow(0);
+  if (code === 'tonight') return dayWindow(0, EVENING_HOUR);
+  if (code === 'tomorrow') return dayWindow(1);
+
+  if (code === 'weekend') {
+    // Saturday through Sunday night; on a Sunday that's the rest of today
+    const weekday = today.getDay();
+    const saturday = weekday === 0 ? -1 : 6 - weekday;
+    return { from: dayWindow(saturday).from, to: dayWindow(saturday + 1).to };
+  }
+
+  const weekday = WEEKDAYS.indexOf(code);
+  if (weekday >= 0) return dayWindow((weekday - today.getDay() + 7) % 7);
+
+  const date = code?.match(/^(\d{2})-(\d{2})$/);
+  if (date) {
+    // The next such date: "Jan 3" posted in December is next year's
+    const target = new Date(today.getFullYear(), Number(date[1]) - 1, Number(date[2]));
+    if (target.getTime() < today.getTime() - 7 * 24 * HOUR_MS) target.setFullYear(target.getFullYear() + 1);
+    return dayWindow(Math.round((target.getTime() - today.getTime()) / (24 * HOUR_MS)));
+  }
+
+  return null;
+}
+
+/**
+ * Describes a time hint for replies
+ * @param {string|null} code - Hint code
+ * @returns {string} e.g. "Tonight", "Sunday", "Oct 25"
+ */
+export function describeTimeHint(code) {
+  if (!code) return 'any time';
+  const date = code.match(/^(\d{2})-(\d{2})$/);
+  if (date) {
+    const month = MONTHS[Number(date[1]) - 1];
+    return `${month.charAt(0).toUpperCase()}${month.slice(1)} ${Number(date[2])}`;
+  }
+  return code.charAt(0).toUpperCase() + code.slice(1);
+}
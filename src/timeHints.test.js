@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { extractTimeHint, extractGameNumber, normalizeTimeHint, resolveTimeHint, describeTimeHint } from './timeHints.js';
+
+// A Wednesday noon, local time
+const NOW = new Date(2026, 9, 21, 12).getTime();
+const at = (month, day, hour = 0) => new Date(2026, month - 1, day, hour).getTime();
+
+describe('extractTimeHint', () => {
+  it('finds relative days', () => {
+    assert.deepStrictEqual(extractTimeHint('Lakers ML tonight'), { code: 'tonight', match: 'tonight' });
+    assert.strictEqual(extractTimeHint('Chiefs -3 tmrw').code, 'tomorrow');
+    assert.strictEqual(extractTimeHint('Bills ML this weekend').code, 'weekend');
+  });
+
+  it('finds weekdays and dates', () => {
+    assert.deepStrictEqual(extractTimeHint('Sunday card: Chiefs -3'), { code: 'sunday', match: 'Sunday' });
+    assert.strictEqual(extractTimeHint('Yankees ML Oct 5th').code, '10-05');
+  });
+
+  it('finds slash dates that cannot be fractional odds', () => {
+    assert.deepStrictEqual(extractTimeHint('Lakers ML 10/25'), { code: '10-25', match: '10/25' });
+    assert.strictEqual(extractTimeHint('Lakers ML -150 10/23').code, '10-23');
+  });
+
+  it('leaves fractional odds alone', () => {
+    assert.strictEqual(extractTimeHint('Pegula 10/11'), null);
+    assert.strictEqual(extractTimeHint('Pegula ML 5/2'), null);
+    assert.strictEqual(extractTimeHint('Lakers ML 13/25'), null);
+  });
+
+  it('ignores words that only contain a hint', () => {
+    assert.strictEqual(extractTimeHint('Sundays River ML'), null);
+    assert.strictEqual(extractTimeHint('Lakers ML -150'), null);
+  });
+});
+
+describe('extractGameNumber', () => {
+  it('finds series games', () => {
+    assert.deepStrictEqual(extractGameNumber('Celtics -3.5 Game 2'), { number: 2, match: 'Game 2' });
+    assert.strictEqual(extractGameNumber('Lakers vs Celtics - Gm3').number, 3);
+  });
+
+  it('ignores numbers outside a series', () => {
+    assert.strictEqual(extractGameNumber('Game 12'), null);
+    assert.strictEqual(extractGameNumber(undefined), null);
+  });
+});
+
+describe('normalizeTimeHint', () => {
+  it('normalizes spellings to codes', () => {
+    assert.strictEqual(normalizeTimeHint('Tonight'), 'tonight');
+    assert.strictEqual(normalizeTimeHint('10/5'), '10-05');
+    assert.strictEqual(normalizeTimeHint('Oct 25'), '10-25');
+  });
+
+  it('tells absent hints from unknown ones', () => {
+    assert.strictEqual(normalizeTimeHint(null), null);
+    assert.strictEqual(normalizeTimeHint(''), null);
+    assert.strictEqual(normalizeTimeHint('someday'), undefined);
+    assert.strictEqual(normalizeTimeHint('13/40'), undefined);
+  });
+});
+
+describe('resolveTimeHint', () => {
+  it('runs tonight from the evening into the small hours', () => {
+    assert.deepStrictEqual(resolveTimeHint('tonight', NOW), { from: at(10, 21, 16), to: at(10, 22, 6) });
+  });
+
+  it('resolves weekdays to the next such day', () => {
+    assert.deepStrictEqual(resolveTimeHint('sunday', NOW), { from: at(10, 25), to: at(10, 26, 6) });
+    assert.deepStrictEqual(resolveTimeHint('wednesday', NOW), { from: at(10, 21), to: at(10, 22, 6) });
+  });
+
+  it('covers Saturday and Sunday for the weekend', () => {
+    assert.deepStrictEqual(resolveTimeHint('weekend', NOW), { from: at(10, 24), to: at(10, 26, 6) });
+  });
+
+  it('rolls past dates into next year', () => {
+    assert.strictEqual(resolveTimeHint('10-25', NOW).from, at(10, 25));
+    assert.strictEqual(resolveTimeHint('01-03', NOW).from, new Date(2027, 0, 3).getTime());
+  });
+
+  it('returns null for unknown codes', () => {
+    assert.strictEqual(resolveTimeHint('someday', NOW), null);
+  });
+});
+
+describe('describeTimeHint', () => {
+  it('describes codes for replies', () => {
+    assert.strictEqual(describeTimeHint('sunday'), 'Sunday');
+    assert.strictEqual(describeTimeHint('10-25'), 'Oct 25');
+    assert.strictEqual(describeTimeHint(null), 'any time');
+  });
+});
@@ -6,23 +6,56 @@
  * 
  * Example:
  * https://www.bovada.lv/sports/tennis/atp/buenos-aires/daniel-elahi-galan-lautaro-midon-202602081100
+ *
+ * Sport and league paths come from the sports registry (see sports.js), so
+ * "mma" links to /sports/ufc-mma and NCAAF to /sports/football/college-football.
+ *
+ * Games in progress link to the same path under Bovada's live betting page:
+ * https://www.bovada.lv/sports/live/basketball/nba/...
  */
 
+import { getSportDefinition, findLeague } from './sports.js';
+import { isInProgress } from './eventStore.js';
+
 const BOVADA_BASE_URL = 'https://www.bovada.lv';
+const LIVE_PATH = '/sports/live';
 
 /**
- * Builds a Bovada URL for an event
+ * Builds a Bovada URL for an event, on the live betting page if it has started
  * @param {Object} event - Event data
  * @returns {string} Bovada URL
  */
 export function buildBovadaUrl(event) {
+  const url = buildEventUrl(event);
+  return isInProgress(event) ? toLiveUrl(url) : url;
+}
+
+/**
+ * Moves an event URL under the live betting page
+ * @param {string} url - Pre-game event URL
+ * @returns {string} Live URL (unchanged if it isn't a Bovada sports URL)
+ */
+function toLiveUrl(url) {
+  const sportsUrl = `${BOVADA_BASE_URL}/sports/`;
+  if (!url.startsWith(sportsUrl) || url.startsWith(`${BOVADA_BASE_URL}${LIVE_PATH}/`)) return url;
+  return `${BOVADA_BASE_URL}${LIVE_PATH}/${url.slice(sportsUrl.length)}`;
+}
+
+/**
+ * Builds the pre-game URL for an event
+ * @param {Object} event - Event data
+ * @returns {string} Bovada URL
+ */
+function buildEventUrl(event) {
   // If the event already has a link, use it
   if (event.link) {
     // Ensure it's a full URL
     if (event.link.startsWith('http')) {
       return event.link;
     }
-    return `${BOVADA_BASE_URL}${event.link}`;
+    // Coupon links are relative to /sports ("/basketball/nba/...")
+    const path = event.link.startsWith('/sports/') ? event.link : `/sports${event.link}`;
+    return `${BOVADA_BASE_URL}${path}`;
   }
 
   // If we have raw Bovada data with path info, construct from that
@@ -56,8 +89,8 @@ function constructUrlFromPath(path, rawEvent) {
  * @returns {string} URL
  */
 function constructUrl(event) {
-  const sport = slugify(event.sport || 'sports');
-  const league = slugify(event.league || 'events');
+  const sport = getSportDefinition(event.sport)?.slug || slugify(event.sport || 'sports');
+  const league = findLeague(event.sport, event.league)?.slug || slugify(event.league || 'events');
   const eventSlug = createEventSlug(event);
 
   return `${BOVADA_BASE_URL}/sports/${sport}/${league}/${eventSlug}`;
@@ -127,11 +160,14 @@ export function parseBovadaUrl(url) {
     const urlObj = new URL(url);
     const pathParts = urlObj.pathname.split('/').filter(Boolean);
 
-    // Expected: ['sports', sport, league, sub-category?, event-slug]
+    // Expected: ['sports', 'live'?, sport, league, sub-category?, event-slug]
     if (pathParts[0] !== 'sports') {
       return null;
     }
 
+    const live = pathParts[1] === 'live';
+    if (live) pathParts.splice(1, 1);
+
     const sport = pathParts[1];
     const league = pathParts[2];
     const eventSlug = pathParts[pathParts.length - 1];
@@ -152,6 +188,7 @@ export function parseBovadaUrl(url) {
       eventSlug,
       timestamp,
       participants,
+      live,
     };
   } catch (error) {
     return null;
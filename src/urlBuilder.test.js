@@ -74,6 +74,32 @@ describe('buildBovadaUrl', () => {
     assert.strictEqual(result, 'https://www.bovada.lv/sports/tennis/test');
   });
 
+  it('adds /sports to coupon links', () => {
+    const event = {
+      link: '/basketball/nba/los-angeles-lakers-boston-celtics-202611151930',
+    };
+
+    const result = buildBovadaUrl(event);
+
+    assert.strictEqual(result, 'https://www.bovada.lv/sports/basketball/nba/los-angeles-lakers-boston-celtics-202611151930');
+  });
+
+  it('links games in progress to the live betting page', () => {
+    const live = buildBovadaUrl({ link: '/basketball/nba/los-angeles-lakers-boston-celtics-202611151930', live: true });
+    const started = buildBovadaUrl({ sport: 'tennis', league: 'ATP', participant1: 'Galan', participant2: 'Midon', startTime: '2020-01-01T00:00:00Z' });
+
+    assert.strictEqual(live, 'https://www.bovada.lv/sports/live/basketball/nba/los-angeles-lakers-boston-celtics-202611151930');
+    assert.ok(started.startsWith('https://www.bovada.lv/sports/live/tennis/atp/'));
+  });
+
+  it('uses Bovada paths for sports and college leagues', () => {
+    const fight = buildBovadaUrl({ sport: 'mma', league: 'UFC', participant1: 'Jon Jones', participant2: 'Alex Pereira' });
+    const game = buildBovadaUrl({ sport: 'football', league: 'NCAAF', participant1: 'Ohio State', participant2: 'Michigan' });
+
+    assert.strictEqual(fight, 'https://www.bovada.lv/sports/ufc-mma/ufc/jon-jones-alex-pereira');
+    assert.strictEqual(game, 'https://www.bovada.lv/sports/football/college-football/ohio-state-michigan');
+  });
+
   it('constructs URL from event data', () => {
     const event = {
       sport: 'tennis',
@@ -111,6 +137,14 @@ describe('parseBovadaUrl', () => {
     assert.ok(result.participants.includes('galan'));
   });
 
+  it('reads live betting URLs', () => {
+    const result = parseBovadaUrl('https://www.bovada.lv/sports/live/basketball/nba/lakers-celtics-202611151930');
+
+    assert.strictEqual(result.live, true);
+    assert.strictEqual(result.sport, 'basketball');
+    assert.strictEqual(result.league, 'nba');
+  });
+
   it('returns null for invalid URLs', () => {
     const result = parseBovadaUrl('not-a-url');
     assert.strictEqual(result, null);